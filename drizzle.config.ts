@@ -4,6 +4,8 @@ export default {
   driver: 'pg',
   out: './server/lib',
   schema: './server/lib/schema.ts',
+  // Staging and rollback snapshot tables are managed by scripts/lib/staging-utils.js
+  tablesFilter: ['!*__staging', '!*__previous'],
   dbCredentials: {
     connectionString: process.env.DATABASE_URL!,
   },
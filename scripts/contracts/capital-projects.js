@@ -0,0 +1,22 @@
+// ABOUTME: Contract for the Capital Projects Database (Socrata 9jkp-n57r) - properties of each GeoJSON feature
+// ABOUTME: Checked against every fetched record by lib/contract-utils.js (see createContractValidator for the rule syntax)
+
+export const contract = {
+  dataset: 'Capital Projects',
+  source: 'https://data.cityofnewyork.us/resource/9jkp-n57r.geojson',
+  maxFailureRate: 0,
+  fields: {
+    // Missing ids and names fall back to placeholders when processed, but should stay rare
+    maprojid: { type: 'string', maxFailureRate: { required: 1 } },
+    description: { type: 'string', maxFailureRate: { required: 10 } },
+    magencyname: { type: 'string', maxFailureRate: { required: 10 } },
+    magencyacro: { type: 'string', nullable: true },
+    typecategory: { type: 'string', nullable: true },
+    mindate: { type: 'date', nullable: true },
+    maxdate: { type: 'date' },
+    allocate_total: { type: 'number', min: 0 },
+    commit_total: { type: 'number', nullable: true },
+    spent_total: { type: 'number', nullable: true },
+    plannedcommit_total: { type: 'number', nullable: true },
+  },
+};
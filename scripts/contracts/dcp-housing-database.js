@@ -0,0 +1,34 @@
+// ABOUTME: Contract for the DCP Housing Database (ArcGIS Housing_Database layer) - new buildings, alterations, demolitions
+// ABOUTME: Checked against every fetched record by lib/contract-utils.js (see createContractValidator for the rule syntax)
+
+// NYC bounding box, with a little margin
+const NYC_LATITUDE = { min: 40.45, max: 40.95 };
+const NYC_LONGITUDE = { min: -74.30, max: -73.65 };
+
+export const contract = {
+  dataset: 'DCP Housing Database',
+  source: 'https://services5.arcgis.com/GfwWNkhOj9bNBqoJ/ArcGIS/rest/services/Housing_Database/FeatureServer/0',
+  maxFailureRate: 0,
+  fields: {
+    // Missing job numbers fall back to a content-derived id, but should stay rare
+    Job_Number: { type: 'string', maxFailureRate: { required: 1 } },
+    Job_Type: { type: 'string', enum: ['New Building', 'Alteration', 'Demolition'] },
+    Job_Status: { type: 'string', nullable: true },
+    Job_Desc: { type: 'string', nullable: true },
+    CompltYear: { type: 'integer', min: 2014, max: 2025 },
+    DateComplt: { type: 'date', nullable: true },
+    PermitYear: { type: 'integer', nullable: true, min: 1990, max: 2030 },
+    Boro: { type: 'integer', enum: [1, 2, 3, 4, 5] },
+    BBL: { type: 'bbl', nullable: true, maxFailureRate: 1 },
+    BIN: { type: 'string', nullable: true },
+    AddressNum: { type: 'string', nullable: true },
+    AddressSt: { type: 'string', nullable: true },
+    // Records without usable coordinates are skipped when processed
+    Latitude: { type: 'latitude', ...NYC_LATITUDE, maxFailureRate: 5 },
+    Longitude: { type: 'longitude', ...NYC_LONGITUDE, maxFailureRate: 5 },
+    ClassAInit: { type: 'number', nullable: true },
+    ClassANet: { type: 'number' },
+    Units_CO: { type: 'number', nullable: true },
+    Bldg_Class: { type: 'string', nullable: true },
+  },
+};
@@ -0,0 +1,16 @@
+// ABOUTME: Contract for the Expense Budget by Funding Source (Socrata 39g5-gbp3), the budget sankey's source
+// ABOUTME: Checked against every fetched record by lib/contract-utils.js (see createContractValidator for the rule syntax)
+
+export const contract = {
+  dataset: 'Expense Budget',
+  source: 'https://data.cityofnewyork.us/resource/39g5-gbp3.json',
+  maxFailureRate: 0,
+  fields: {
+    fiscal_year: { type: 'integer', min: 2000, max: 2100 },
+    publication_date: { type: 'string' },
+    agency_name: { type: 'string', maxFailureRate: { required: 10 } },
+    city_funds_current_budget_amount: { type: 'number', maxFailureRate: { required: 10 } },
+    federal_funds_current_budget_amount: { type: 'number', nullable: true },
+    state_funds_current_budget_amount: { type: 'number', nullable: true },
+  },
+};
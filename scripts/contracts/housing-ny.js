@@ -0,0 +1,28 @@
+// ABOUTME: Contract for Housing New York Units by Building (Socrata hg8x-zxpr), the affordable housing overlay
+// ABOUTME: Checked against every fetched record by lib/contract-utils.js (see createContractValidator for the rule syntax)
+
+// Unit breakdown columns (Socrata leaves out empty values)
+const UNIT_COUNT = { type: 'integer', nullable: true, min: 0 };
+
+export const contract = {
+  dataset: 'Housing NY',
+  source: 'https://data.cityofnewyork.us/resource/hg8x-zxpr.json',
+  maxFailureRate: 0,
+  fields: {
+    // Records without a BBL (or completion date) are skipped when processed - it's an overlay
+    bbl: { type: 'bbl', maxFailureRate: 20 },
+    building_completion_date: { type: 'date', nullable: true },
+    all_counted_units: UNIT_COUNT,
+    total_units: UNIT_COUNT,
+    extremely_low_income_units: UNIT_COUNT,
+    very_low_income_units: UNIT_COUNT,
+    low_income_units: UNIT_COUNT,
+    moderate_income_units: UNIT_COUNT,
+    middle_income_units: UNIT_COUNT,
+    other_income_units: UNIT_COUNT,
+    studio_units: UNIT_COUNT,
+    '1_br_units': UNIT_COUNT,
+    '2_br_units': UNIT_COUNT,
+    '3_br_units': UNIT_COUNT,
+  },
+};
@@ -0,0 +1,16 @@
+// ABOUTME: Contract for the NYC Budget with object codes (Socrata fyxr-9vkh), the expense sunburst's source
+// ABOUTME: Checked against every fetched record by lib/contract-utils.js (see createContractValidator for the rule syntax)
+
+export const contract = {
+  dataset: 'NYC Budget',
+  source: 'https://data.cityofnewyork.us/resource/fyxr-9vkh.json',
+  maxFailureRate: 0,
+  fields: {
+    fiscal_year: { type: 'integer', min: 2000, max: 2100 },
+    publication_date: { type: 'string' },
+    agency_name: { type: 'string', maxFailureRate: { required: 10 } },
+    object_class_name: { type: 'string', maxFailureRate: { required: 10 } },
+    current_modified_budget_amount: { type: 'number', maxFailureRate: { required: 10 } },
+    adopted_budget_amount: { type: 'number', nullable: true },
+  },
+};
@@ -0,0 +1,15 @@
+// ABOUTME: Contract for the pension fund holdings datasets (one Socrata dataset per fund, all with the same columns)
+// ABOUTME: Checked against every fetched record by lib/contract-utils.js (see createContractValidator for the rule syntax)
+
+export const contract = {
+  dataset: 'Pension Holdings',
+  source: 'https://data.cityofnewyork.us/resource/{p3e6-t4zv,fypi-ruxh,dy3p-ay2d,5u2d-n46s,95aa-k2ka}.json',
+  maxFailureRate: 0,
+  fields: {
+    period_end_date: { type: 'date' },
+    // Holdings without a class or type are grouped under 'Unknown' / 'Other'
+    asset_class: { type: 'string', nullable: true },
+    investment_type_name: { type: 'string', nullable: true },
+    base_market_value: { type: 'number', maxFailureRate: { required: 1 } },
+  },
+};
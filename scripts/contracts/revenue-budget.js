@@ -0,0 +1,18 @@
+// ABOUTME: Contract for the Revenue Budget (Socrata ugzk-a6x4), the revenue sunburst's source
+// ABOUTME: Checked against every fetched record by lib/contract-utils.js (see createContractValidator for the rule syntax)
+
+export const contract = {
+  dataset: 'Revenue Budget',
+  source: 'https://data.cityofnewyork.us/resource/ugzk-a6x4.json',
+  maxFailureRate: 0,
+  fields: {
+    fiscal_year: { type: 'integer', min: 2000, max: 2100 },
+    // "YYYY MM DD" in this dataset
+    publication_date: { type: 'string' },
+    revenue_category_name: { type: 'string', maxFailureRate: { required: 10 } },
+    revenue_class_name: { type: 'string', nullable: true },
+    revenue_source_name: { type: 'string', maxFailureRate: { required: 10 } },
+    current_modified_budget_amount: { type: 'number', maxFailureRate: { required: 10 } },
+    adopted_budget_amount: { type: 'number', nullable: true },
+  },
+};
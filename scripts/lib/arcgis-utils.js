@@ -1,99 +1,367 @@
 // ABOUTME: Utilities for fetching data from ArcGIS REST API services
 // ABOUTME: Handles pagination and data transformation from ArcGIS Feature Services
 
+import { createHash } from 'node:crypto';
+import { withArchive, archivePayload } from './archive-utils.js';
+import { openCheckpoint } from './checkpoint-utils.js';
+import { fetchJson } from './http-client.js';
+import { ValidationError } from './validation-utils.js';
+import { esriFeatureToGeoJSON } from './geojson-utils.js';
+import { recordRunSource, recordRunFetched } from './seed-utils.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('ArcGIS');
+
+// ArcGIS Server default when a service does not advertise maxRecordCount
+const DEFAULT_MAX_RECORD_COUNT = 1000;
+
 /**
  * Fetch all features from an ArcGIS Feature Service with pagination
+ * Collects every page from iterateArcGISFeatures - use the iterator directly for large layers
+ *
+ * @param {string} serviceUrl - Base URL of the ArcGIS Feature Service (e.g., .../FeatureServer/0)
+ * @param {Object} options - Query options (see iterateArcGISFeatures)
+ * @returns {Promise<Array>} Array of feature attributes (without geometry by default), or GeoJSON Features
+ */
+export async function fetchArcGISFeatures(serviceUrl, options = {}) {
+  const features = [];
+
+  for await (const page of iterateArcGISFeatures(serviceUrl, options)) {
+    for (const feature of page) {
+      features.push(feature);
+    }
+  }
+
+  return features;
+}
+
+/**
+ * Iterate over the features of an ArcGIS Feature Service one page at a time
+ * Every page is archived (or replayed from the archive in reprocess mode) and checkpointed,
+ * so a failure part-way through resumes from the last good page instead of offset 0
+ *
+ * Page size is capped at the service's maxRecordCount. Services that support resultOffset are
+ * paged by offset until exceededTransferLimit is cleared; services that don't are paged by
+ * objectId ranges (returnIdsOnly first, then one query per range). Once the last page has been
+ * yielded the total is checked against getArcGISCount, so a truncated fetch fails loudly
+ * instead of loading partial data.
  *
  * @param {string} serviceUrl - Base URL of the ArcGIS Feature Service (e.g., .../FeatureServer/0)
  * @param {Object} options - Query options
  * @param {string} options.where - SQL where clause (default: '1=1' for all records)
  * @param {string} options.outFields - Fields to return (default: '*' for all)
- * @param {number} options.batchSize - Records per request (default: 2000)
- * @param {string} options.orderByFields - Sort order (default: none)
- * @returns {Promise<Array>} Array of feature attributes (without geometry by default)
+ * @param {number} options.batchSize - Records per request (default: 2000, capped at maxRecordCount)
+ * @param {string} options.orderByFields - Sort order (the objectId field is always added as the last sort key)
+ * @param {boolean} options.verifyCount - Compare the total against getArcGISCount (default: true)
+ * @param {string} options.format - 'attributes' (default) or 'geojson' for GeoJSON Features with geometry
+ * @param {number} options.outSR - Output spatial reference (default: 4326 for GeoJSON, service native otherwise)
+ * @returns {AsyncGenerator<Array>} Pages of feature attributes, or GeoJSON Features
  */
-export async function fetchArcGISFeatures(serviceUrl, options = {}) {
+export async function* iterateArcGISFeatures(serviceUrl, options = {}) {
   const {
     where = '1=1',
     outFields = '*',
     batchSize = 2000,
     orderByFields = null,
     includeGeometry = false,
+    verifyCount = true,
+    format = 'attributes',
+    outSR = format === 'geojson' ? 4326 : null,
   } = options;
 
-  const features = [];
-  let offset = 0;
+  log.info(`Fetching from: ${serviceUrl}`);
+  log.info(`Where: ${where}\n`);
+
+  const limits = getServiceLimits(await getArcGISMetadata(serviceUrl));
+  const pageSize = Math.min(batchSize, limits.maxRecordCount);
+
+  if (pageSize < batchSize) {
+    log.info(`Service maxRecordCount is ${limits.maxRecordCount} - using page size ${pageSize} instead of ${batchSize}`);
+  }
+
+  const query = {
+    where,
+    outFields,
+    orderByFields,
+    includeGeometry: includeGeometry || format === 'geojson',
+    format,
+    outSR,
+    objectIdField: limits.objectIdField,
+    pageSize,
+  };
+
+  let pages;
+  if (limits.supportsPagination) {
+    pages = pagesByOffset(serviceUrl, query);
+  } else {
+    log.info(`Service does not support resultOffset - paging by ${limits.objectIdField} ranges`);
+    pages = pagesByObjectIds(serviceUrl, query);
+  }
+
+  recordRunSource({ type: 'arcgis', url: serviceUrl, params: { where, outFields, orderByFields, format, pageSize } });
+
+  let total = 0;
+  for await (const page of pages) {
+    total += page.length;
+    recordRunFetched(page.length);
+    yield page;
+  }
+
+  if (verifyCount) {
+    const expected = await getArcGISCount(serviceUrl, where);
+
+    if (total !== expected) {
+      throw new ValidationError(
+        `ArcGIS: Fetched ${total} records but the service reports ${expected} matching records`,
+        {
+          serviceUrl,
+          where,
+          received: total,
+          expected,
+          pageSize,
+          suggestion: 'Pagination may have been truncated by the service, or records changed upstream while paging. '
+            + 'Re-run to fetch the layer again from the start.'
+        }
+      );
+    }
+
+    log.success(`Record count verified against service (${expected})`);
+  }
+
+  log.info(`Completed: ${total} total records\n`);
+}
+
+/**
+ * Page through a query using resultOffset, yielding the extracted features of each page
+ * Continues while the service sets exceededTransferLimit (or, for services that omit the flag,
+ * while pages come back full)
+ */
+async function* pagesByOffset(serviceUrl, query) {
+  const { where, outFields, orderByFields, includeGeometry, outSR, objectIdField, pageSize } = query;
+
+  // The objectId breaks ties in the caller's sort (e.g., many records share a CompltYear), so pages can't overlap or skip
+  const pageOrder = orderByFields ? `${orderByFields},${objectIdField}` : objectIdField;
+
+  const checkpoint = openCheckpoint('arcgis', { serviceUrl, mode: 'offset', ...query });
+
+  let total = 0;
+  let offset = checkpoint.offset;
   let hasMore = true;
 
-  console.log(`[ArcGIS] Fetching from: ${serviceUrl}`);
-  console.log(`[ArcGIS] Where: ${where}\n`);
+  // Restore pages fetched by a previous (failed) run, re-archiving them for this run
+  for (const page of checkpoint.pages) {
+    archivePayload(page.url, page.payload);
+    const features = extractFeatures(page.payload, query);
+    total += features.length;
+    yield features;
+  }
 
   while (hasMore) {
     const params = new URLSearchParams({
       where,
       outFields,
-      resultRecordCount: batchSize.toString(),
+      resultRecordCount: pageSize.toString(),
       resultOffset: offset.toString(),
-      orderByFields: orderByFields || '',
+      orderByFields: pageOrder,
       returnGeometry: includeGeometry ? 'true' : 'false',
       f: 'json',
     });
 
+    if (outSR) params.set('outSR', String(outSR));
+
     const url = `${serviceUrl}/query?${params}`;
 
+    let data;
     try {
-      console.log(`[ArcGIS] Fetching offset ${offset}...`);
-      const response = await fetch(url);
+      log.info(`Fetching offset ${offset}...`);
+      data = await fetchQueryPage(url, params, offset);
+    } catch (error) {
+      log.error(`Error at offset ${offset}: ${error.message}`);
+      throw error;
+    }
 
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
+    if (!data.features || data.features.length === 0) {
+      break;
+    }
 
-      const data = await response.json();
+    const features = extractFeatures(data, query);
+    total += features.length;
 
-      if (data.error) {
-        throw new Error(`ArcGIS Error: ${data.error.message}`);
-      }
+    log.info(`Retrieved ${data.features.length} records (total: ${total})`);
 
-      if (!data.features || data.features.length === 0) {
-        hasMore = false;
-        break;
-      }
+    offset += data.features.length;
+    checkpoint.save(url, data, offset);
 
-      // Extract attributes (and optionally geometry)
-      for (const feature of data.features) {
-        if (includeGeometry && feature.geometry) {
-          features.push({
-            ...feature.attributes,
-            geometry: feature.geometry,
-          });
-        } else {
-          features.push(feature.attributes);
-        }
-      }
+    // Check if there are more records
+    hasMore = data.exceededTransferLimit === undefined
+      ? data.features.length >= pageSize
+      : data.exceededTransferLimit === true;
 
-      console.log(`[ArcGIS] Retrieved ${data.features.length} records (total: ${features.length})`);
+    yield features;
+  }
 
-      // Check if there are more records
-      if (data.features.length < batchSize) {
-        hasMore = false;
-      } else {
-        offset += batchSize;
-      }
+  checkpoint.clear();
+}
+
+/**
+ * Page through a query by objectId ranges, for services without resultOffset support
+ * Fetches the full sorted id list once, then queries contiguous slices of it
+ */
+async function* pagesByObjectIds(serviceUrl, query) {
+  const { where, outFields, orderByFields, includeGeometry, outSR, objectIdField, pageSize } = query;
+
+  const objectIds = await getArcGISObjectIds(serviceUrl, where);
+  log.info(`${objectIds.length} matching object ids`);
+
+  // A checkpoint is only resumed against the same id list - positions in a changed list point at different ranges
+  const idsHash = createHash('sha256').update(objectIds.join(',')).digest('hex').substring(0, 16);
+  const checkpoint = openCheckpoint('arcgis', { serviceUrl, mode: 'objectid', ...query, objectIds: idsHash });
+
+  let total = 0;
+  let position = checkpoint.offset;
+
+  // Restore pages fetched by a previous (failed) run, re-archiving them for this run
+  for (const page of checkpoint.pages) {
+    archivePayload(page.url, page.payload);
+    const features = extractFeatures(page.payload, query);
+    total += features.length;
+    yield features;
+  }
 
-      // Rate limiting - be nice to the API
-      await new Promise(resolve => setTimeout(resolve, 100));
+  while (position < objectIds.length) {
+    const slice = objectIds.slice(position, position + pageSize);
+    const minId = slice[0];
+    const maxId = slice[slice.length - 1];
 
+    const params = new URLSearchParams({
+      where: `(${where}) AND ${objectIdField} >= ${minId} AND ${objectIdField} <= ${maxId}`,
+      outFields,
+      orderByFields: orderByFields || objectIdField,
+      returnGeometry: includeGeometry ? 'true' : 'false',
+      f: 'json',
+    });
+
+    if (outSR) params.set('outSR', String(outSR));
+
+    const url = `${serviceUrl}/query?${params}`;
+
+    let data;
+    try {
+      log.info(`Fetching ${objectIdField} ${minId}-${maxId}...`);
+      data = await fetchQueryPage(url, params, position);
+
+      if (data.exceededTransferLimit) {
+        throw new Error(`Service truncated ${objectIdField} range ${minId}-${maxId} (exceededTransferLimit)`);
+      }
     } catch (error) {
-      console.error(`[ArcGIS] Error at offset ${offset}:`, error.message);
+      log.error(`Error at ${objectIdField} ${minId}: ${error.message}`);
       throw error;
     }
+
+    const features = extractFeatures(data, query);
+    total += features.length;
+
+    log.info(`Retrieved ${data.features?.length || 0} records (total: ${total})`);
+
+    position += slice.length;
+    checkpoint.save(url, data, position);
+
+    yield features;
+  }
+
+  checkpoint.clear();
+}
+
+/**
+ * Fetch one query page through the archive and the shared HTTP client
+ */
+function fetchQueryPage(url, params, offset) {
+  return withArchive(
+    url,
+    () => fetchJson(url, { tag: 'ArcGIS', offset, validate: assertNoArcGISError }),
+    { params: Object.fromEntries(params) }
+  );
+}
+
+/**
+ * Extract attributes (and optionally geometry) from a query response page
+ * In GeoJSON mode each Esri feature is converted to a GeoJSON Feature in WGS84
+ */
+function extractFeatures(data, query) {
+  const { includeGeometry, format, objectIdField } = query;
+  const features = [];
+
+  for (const feature of data.features || []) {
+    if (format === 'geojson') {
+      features.push(esriFeatureToGeoJSON(feature, data.spatialReference, objectIdField));
+    } else if (includeGeometry && feature.geometry) {
+      features.push({
+        ...feature.attributes,
+        geometry: feature.geometry,
+      });
+    } else {
+      features.push(feature.attributes);
+    }
   }
 
-  console.log(`[ArcGIS] Completed: ${features.length} total records\n`);
   return features;
 }
 
+/**
+ * ArcGIS reports many server-side failures as HTTP 200 with an error body
+ * Throwing here lets fetchJson retry them like any other transient failure
+ */
+function assertNoArcGISError(data) {
+  if (data.error) {
+    throw new Error(`ArcGIS Error: ${data.error.message}`);
+  }
+}
+
+/**
+ * Read paging limits from service metadata
+ *
+ * @param {Object} metadata - Layer metadata from getArcGISMetadata
+ * @returns {Object} { maxRecordCount, supportsPagination, objectIdField }
+ */
+export function getServiceLimits(metadata) {
+  const oidField = (metadata.fields || []).find(field => field.type === 'esriFieldTypeOID');
+
+  return {
+    maxRecordCount: metadata.maxRecordCount || DEFAULT_MAX_RECORD_COUNT,
+    supportsPagination: Boolean(metadata.advancedQueryCapabilities?.supportsPagination),
+    objectIdField: metadata.objectIdField || oidField?.name || 'OBJECTID',
+  };
+}
+
+/**
+ * Get the sorted object ids of all records matching a where clause
+ *
+ * @param {string} serviceUrl - Base URL of the ArcGIS Feature Service
+ * @param {string} where - SQL where clause (default: '1=1' for all records)
+ * @returns {Promise<Array<number>>} Object ids in ascending order
+ */
+export async function getArcGISObjectIds(serviceUrl, where = '1=1') {
+  const params = new URLSearchParams({
+    where,
+    returnIdsOnly: 'true',
+    f: 'json',
+  });
+
+  const url = `${serviceUrl}/query?${params}`;
+
+  try {
+    const data = await withArchive(
+      url,
+      () => fetchJson(url, { tag: 'ArcGIS', validate: assertNoArcGISError })
+    );
+
+    return (data.objectIds || []).slice().sort((a, b) => a - b);
+  } catch (error) {
+    log.error(`Error getting object ids: ${error.message}`);
+    throw error;
+  }
+}
+
 /**
  * Get count of records matching a where clause
  *
@@ -111,16 +379,14 @@ export async function getArcGISCount(serviceUrl, where = '1=1') {
   const url = `${serviceUrl}/query?${params}`;
 
   try {
-    const response = await fetch(url);
-    const data = await response.json();
-
-    if (data.error) {
-      throw new Error(`ArcGIS Error: ${data.error.message}`);
-    }
+    const data = await withArchive(
+      url,
+      () => fetchJson(url, { tag: 'ArcGIS', validate: assertNoArcGISError })
+    );
 
     return data.count || 0;
   } catch (error) {
-    console.error('[ArcGIS] Error getting count:', error.message);
+    log.error(`Error getting count: ${error.message}`);
     throw error;
   }
 }
@@ -135,16 +401,12 @@ export async function getArcGISMetadata(serviceUrl) {
   const url = `${serviceUrl}?f=json`;
 
   try {
-    const response = await fetch(url);
-    const data = await response.json();
-
-    if (data.error) {
-      throw new Error(`ArcGIS Error: ${data.error.message}`);
-    }
-
-    return data;
+    return await withArchive(
+      url,
+      () => fetchJson(url, { tag: 'ArcGIS', validate: assertNoArcGISError })
+    );
   } catch (error) {
-    console.error('[ArcGIS] Error getting metadata:', error.message);
+    log.error(`Error getting metadata: ${error.message}`);
     throw error;
   }
 }
@@ -0,0 +1,274 @@
+// ABOUTME: Raw-payload landing zone - archives every fetched page compressed and checksummed on disk
+// ABOUTME: Replays archived payloads in reprocess mode so transforms can be re-run without network access
+
+import { createHash } from 'node:crypto';
+import { gzipSync, gunzipSync } from 'node:zlib';
+import fs from 'node:fs';
+import path from 'node:path';
+import { createLogger } from './logger.js';
+
+const log = createLogger('Archive');
+
+const ARCHIVE_ROOT = process.env.SEED_ARCHIVE_DIR || path.join('data', 'archive');
+const KEEP_RUNS = parseInt(process.env.SEED_ARCHIVE_KEEP_RUNS || '5', 10);
+
+// Active archive session (one per seed script run)
+let session = null;
+
+/**
+ * Start an archive session for a seed script
+ * In record mode every fetched payload is written to data/archive/<script>/<runId>/
+ * In replay mode payloads are read back from a previous run instead of the network
+ * @param {string} scriptName - Seed script identifier (e.g., 'housing', 'capital', 'financial')
+ * @param {object} options - Session options
+ * @param {string|null} options.reprocess - Run id to replay ('latest' for most recent), or null to record
+ * @returns {object} Session info ({ mode, runId, dir })
+ */
+export function startArchiveSession(scriptName, options = {}) {
+  const { reprocess = null } = options;
+  const scriptDir = path.join(ARCHIVE_ROOT, scriptName);
+
+  if (reprocess) {
+    const runId = reprocess === 'latest' ? findLatestRun(scriptDir) : reprocess;
+    if (!runId) {
+      throw new Error(`No archived runs found for ${scriptName} in ${scriptDir}`);
+    }
+
+    const dir = path.join(scriptDir, runId);
+    const manifestPath = path.join(dir, 'manifest.json');
+    if (!fs.existsSync(manifestPath)) {
+      throw new Error(`Archived run ${runId} not found (missing ${manifestPath})`);
+    }
+
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    session = {
+      mode: 'replay',
+      scriptName,
+      runId,
+      dir,
+      manifest,
+      index: new Map(manifest.pages.map(entry => [entry.requestKey, entry])),
+    };
+
+    log.info(`Reprocessing archived run ${runId} (${manifest.pages.length} payloads, fetched ${manifest.startedAt})`);
+    log.info('Network access disabled - payloads will be read from the archive\n');
+  } else {
+    const runId = new Date().toISOString().replace(/[:.]/g, '-');
+    const dir = path.join(scriptDir, runId);
+    fs.mkdirSync(dir, { recursive: true });
+
+    session = {
+      mode: 'record',
+      scriptName,
+      runId,
+      dir,
+      manifest: {
+        runId,
+        script: scriptName,
+        startedAt: new Date().toISOString(),
+        completedAt: null,
+        pages: [],
+      },
+      index: new Map(),
+    };
+    writeManifest();
+
+    log.info(`Recording raw payloads to ${dir}\n`);
+  }
+
+  return { mode: session.mode, runId: session.runId, dir: session.dir };
+}
+
+/**
+ * Mark the archive session as complete and prune the script's older runs
+ */
+export function finishArchiveSession() {
+  if (!session) return;
+
+  if (session.mode === 'record') {
+    session.manifest.completedAt = new Date().toISOString();
+    writeManifest();
+    log.info(`Archived ${session.manifest.pages.length} payloads to ${session.dir}\n`);
+    pruneArchive(path.dirname(session.dir));
+  }
+
+  session = null;
+}
+
+/**
+ * End an unfinished archive session (call from the seed's finally block)
+ * A failed run's manifest is written without completedAt, so replay never picks it up.
+ */
+export function abortArchiveSession() {
+  if (!session) return;
+
+  if (session.mode === 'record') {
+    writeManifest();
+    log.warn(`Run failed - ${session.manifest.pages.length} payloads left as partial run ${session.runId}`);
+  }
+
+  session = null;
+}
+
+/**
+ * Drop the archive session and its recorded payloads (for a run that skips before fetching its data)
+ */
+export function discardArchiveSession() {
+  if (!session) return;
+
+  if (session.mode === 'record') {
+    fs.rmSync(session.dir, { recursive: true, force: true });
+  }
+
+  session = null;
+}
+
+/**
+ * Delete archived runs of a script, except its latest completed runs
+ * Partial runs are kept only while they are newer than the oldest kept run.
+ * @param {string} scriptDir - Archive directory of one script
+ * @param {number} keepRuns - Completed runs to keep (default: SEED_ARCHIVE_KEEP_RUNS or 5)
+ */
+export function pruneArchive(scriptDir, keepRuns = KEEP_RUNS) {
+  try {
+    const runs = fs.readdirSync(scriptDir).sort();
+    const completed = runs.filter(name => isCompletedRun(scriptDir, name));
+    if (completed.length <= keepRuns) return;
+
+    const oldestKept = completed[completed.length - keepRuns];
+    const stale = runs.filter(name => name < oldestKept);
+    for (const name of stale) {
+      fs.rmSync(path.join(scriptDir, name), { recursive: true, force: true });
+    }
+    log.info(`Pruned ${stale.length} archived runs (keeping the last ${keepRuns})\n`);
+  } catch (error) {
+    log.warn(`Could not prune archived runs: ${error.message}`);
+  }
+}
+
+/**
+ * Whether payloads are being replayed from the archive
+ */
+export function isReplaying() {
+  return session?.mode === 'replay';
+}
+
+/**
+ * Fetch a JSON payload through the archive
+ * Replays from the archive in reprocess mode, otherwise calls the fetcher and archives the result
+ * @param {string} url - Full request URL (used as the archive lookup key)
+ * @param {Function} fetcher - Async function that fetches and parses the payload from the network
+ * @param {object} meta - Archive metadata
+ * @param {string} meta.dataset - Dataset identifier (derived from the URL if omitted)
+ * @param {object} meta.params - Query parameters used for the request
+ * @returns {Promise<any>} Parsed payload
+ */
+export async function withArchive(url, fetcher, meta = {}) {
+  if (isReplaying()) {
+    return readArchivedPayload(url);
+  }
+
+  const payload = await fetcher();
+  archivePayload(url, payload, meta);
+  return payload;
+}
+
+/**
+ * Write a fetched payload to the archive (no-op outside record mode)
+ */
+export function archivePayload(url, payload, meta = {}) {
+  if (!session || session.mode !== 'record') return;
+
+  const body = JSON.stringify(payload);
+  const requestKey = hashRequest(url);
+  const sequence = String(session.manifest.pages.length + 1).padStart(5, '0');
+  const file = `${sequence}-${requestKey}.json.gz`;
+  const compressed = gzipSync(body);
+
+  fs.writeFileSync(path.join(session.dir, file), compressed);
+
+  const entry = {
+    requestKey,
+    file,
+    url,
+    dataset: meta.dataset || deriveDatasetId(url),
+    params: meta.params || Object.fromEntries(new URL(url).searchParams),
+    fetchedAt: new Date().toISOString(),
+    sha256: createHash('sha256').update(body).digest('hex'),
+    bytes: Buffer.byteLength(body),
+    compressedBytes: compressed.length,
+  };
+
+  // The manifest is written at start, finish and abort - not per page
+  session.manifest.pages.push(entry);
+  session.index.set(requestKey, entry);
+}
+
+/**
+ * Read a payload back from the archive, verifying its checksum
+ */
+export function readArchivedPayload(url) {
+  if (!session || session.mode !== 'replay') {
+    throw new Error('readArchivedPayload called outside of a reprocess session');
+  }
+
+  const entry = session.index.get(hashRequest(url));
+  if (!entry) {
+    throw new Error(`No archived payload for ${url} in run ${session.runId}`);
+  }
+
+  const body = gunzipSync(fs.readFileSync(path.join(session.dir, entry.file))).toString('utf8');
+  const checksum = createHash('sha256').update(body).digest('hex');
+
+  if (checksum !== entry.sha256) {
+    throw new Error(`Checksum mismatch for archived payload ${entry.file} (expected ${entry.sha256}, got ${checksum})`);
+  }
+
+  return JSON.parse(body);
+}
+
+/**
+ * Stable short hash of a request URL
+ */
+function hashRequest(url) {
+  return createHash('sha256').update(url).digest('hex').substring(0, 16);
+}
+
+/**
+ * Derive a dataset identifier from a Socrata or ArcGIS URL
+ */
+function deriveDatasetId(url) {
+  const socrata = url.match(/\/resource\/([a-z0-9]{4}-[a-z0-9]{4})/i);
+  if (socrata) return socrata[1];
+
+  const arcgis = url.match(/\/services\/([^/]+)\/(?:FeatureServer|MapServer)\/(\d+)/i);
+  if (arcgis) return `${arcgis[1]}/${arcgis[2]}`;
+
+  return new URL(url).pathname;
+}
+
+/**
+ * Find the most recent completed run for a script (partial runs from failed seeds are skipped)
+ */
+function findLatestRun(scriptDir) {
+  if (!fs.existsSync(scriptDir)) return null;
+
+  const runs = fs.readdirSync(scriptDir)
+    .filter(name => isCompletedRun(scriptDir, name))
+    .sort();
+
+  return runs.length > 0 ? runs[runs.length - 1] : null;
+}
+
+function isCompletedRun(scriptDir, name) {
+  const manifestPath = path.join(scriptDir, name, 'manifest.json');
+  if (!fs.existsSync(manifestPath)) return false;
+  return Boolean(JSON.parse(fs.readFileSync(manifestPath, 'utf8')).completedAt);
+}
+
+function writeManifest() {
+  fs.writeFileSync(
+    path.join(session.dir, 'manifest.json'),
+    JSON.stringify(session.manifest, null, 2)
+  );
+}
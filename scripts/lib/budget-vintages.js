@@ -0,0 +1,100 @@
+// ABOUTME: Discovers the publication vintages of a fiscal year in NYC budget datasets on Socrata
+// ABOUTME: Maps each publication_date to a budget stage (preliminary, executive, adopted, modified)
+
+import { fetchNycOpenData } from './seed-utils.js';
+import { soql } from './soql.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('Vintages');
+
+// Budget stages in the order they are published
+export const BUDGET_STAGES = ['preliminary', 'executive', 'adopted', 'modified'];
+
+/**
+ * Find the latest publication of each budget stage for a fiscal year
+ *
+ * NYC fiscal year N runs from July 1 of N-1 to June 30 of N. Its budget is published as:
+ * - preliminary: January-March of N-1
+ * - executive: April-May of N-1
+ * - adopted: June of N-1
+ * - modified: any later update during the fiscal year (the latest one is used)
+ * Earlier publications (financial plan out-years) are ignored.
+ *
+ * Budget datasets write publication_date as 'YYYYMMDD'. The revenue dataset writes 'YYYY MM DD' and
+ * labels the year one ahead (e.g., '2025 06 30' is the FY2025 adopted budget, published June 2024),
+ * which `labelledByFiscalYear` corrects for.
+ *
+ * @param {string} url - Socrata resource URL
+ * @param {number} fiscalYear - Fiscal year
+ * @param {object} options - Discovery options
+ * @param {string} options.label - Dataset label for logging and errors
+ * @param {boolean} options.labelledByFiscalYear - publication_date years run one ahead of the calendar
+ * @returns {Promise<Array<object>>} [{ stage, publicationDate, publishedOn }] in stage order,
+ *   where publicationDate is the raw value to filter on and publishedOn is 'YYYY-MM-DD'
+ *   (empty when the fiscal year has no publications yet)
+ */
+export async function discoverBudgetVintages(url, fiscalYear, options = {}) {
+  const { label = 'Budget', labelledByFiscalYear = false } = options;
+
+  log.info(`Discovering FY${fiscalYear} ${label} publications...`);
+
+  const rows = await fetchNycOpenData(url, {
+    limit: 1000,
+    query: soql()
+      .select('publication_date', 'count(*) AS row_count')
+      .where('fiscal_year = ?', String(fiscalYear))
+      .group('publication_date')
+      .order('publication_date'),
+  });
+
+  const latestByStage = new Map();
+  for (const row of rows) {
+    const published = parsePublicationDate(row.publication_date, labelledByFiscalYear);
+    if (!published) {
+      log.warn(`Ignoring unrecognized publication_date: ${JSON.stringify(row.publication_date)}`);
+      continue;
+    }
+
+    const stage = stageOf(published, fiscalYear);
+    if (!stage) continue;
+
+    const latest = latestByStage.get(stage);
+    if (!latest || published.publishedOn > latest.publishedOn) {
+      latestByStage.set(stage, { stage, publicationDate: row.publication_date, publishedOn: published.publishedOn });
+    }
+  }
+
+  const vintages = BUDGET_STAGES.filter(stage => latestByStage.has(stage)).map(stage => latestByStage.get(stage));
+  if (vintages.length === 0) {
+    log.warn(`No FY${fiscalYear} publications found in ${label} (${rows.length} publication dates checked)\n`);
+    return vintages;
+  }
+
+  log.success(`FY${fiscalYear} ${label}: ${vintages.map(vintage => `${vintage.stage} ${vintage.publishedOn}`).join(', ')}\n`);
+
+  return vintages;
+}
+
+/**
+ * Parse a 'YYYYMMDD' or 'YYYY MM DD' publication date into its calendar date
+ */
+function parsePublicationDate(value, labelledByFiscalYear) {
+  const match = String(value ?? '').trim().match(/^(\d{4})\s*(\d{2})\s*(\d{2})$/);
+  if (!match) return null;
+
+  const year = parseInt(match[1], 10) - (labelledByFiscalYear ? 1 : 0);
+  const month = parseInt(match[2], 10);
+
+  return { year, month, publishedOn: `${year}-${match[2]}-${match[3]}` };
+}
+
+/**
+ * Budget stage of a publication for a fiscal year (null for publications before its budget cycle)
+ */
+function stageOf({ year, month }, fiscalYear) {
+  if (year < fiscalYear - 1) return null;
+  if (year > fiscalYear - 1 || month >= 7) return 'modified';
+  if (month <= 3) return 'preliminary';
+  if (month <= 5) return 'executive';
+  return 'adopted';
+}
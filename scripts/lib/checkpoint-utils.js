@@ -0,0 +1,124 @@
+// ABOUTME: Page-level checkpoints for paginated fetches so a failed run can resume from the last good page
+// ABOUTME: Stores the next offset, query hash, and the raw pages fetched so far under data/checkpoints/
+
+import { createHash } from 'node:crypto';
+import { gzipSync, gunzipSync } from 'node:zlib';
+import fs from 'node:fs';
+import path from 'node:path';
+import { isReplaying } from './archive-utils.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('Checkpoint');
+
+const CHECKPOINT_ROOT = process.env.SEED_CHECKPOINT_DIR || path.join('data', 'checkpoints');
+
+// Checkpoints older than this are considered stale and discarded (upstream data may have moved on)
+const MAX_CHECKPOINT_AGE_HOURS = parseFloat(process.env.SEED_CHECKPOINT_MAX_AGE_HOURS || '24');
+
+/**
+ * Open (or resume) a checkpoint for a paginated query
+ * Checkpoints are disabled while replaying archived payloads, since there is nothing to resume
+ *
+ * @param {string} source - Source type (e.g., 'socrata', 'arcgis')
+ * @param {object} query - Everything that determines the page sequence (URL, filters, page size)
+ * @returns {object} Checkpoint handle
+ *   - queryHash: hash identifying the query
+ *   - offset: next offset to fetch (0 for a fresh query)
+ *   - pages: iterable of previously fetched pages as { url, payload }, in order (read lazily)
+ *   - save(url, payload, nextOffset): persist a page after it was fetched successfully
+ *   - clear(): remove the checkpoint once the query has completed
+ */
+export function openCheckpoint(source, query) {
+  const queryHash = createHash('sha256')
+    .update(JSON.stringify({ source, query }))
+    .digest('hex')
+    .substring(0, 16);
+
+  if (isReplaying()) {
+    return {
+      queryHash,
+      offset: 0,
+      pages: [],
+      save() {},
+      clear() {},
+    };
+  }
+
+  const dir = path.join(CHECKPOINT_ROOT, queryHash);
+  const statePath = path.join(dir, 'state.json');
+  let state = loadState(statePath, queryHash);
+
+  // Restored pages are read lazily, one at a time, so resuming doesn't load the whole dataset
+  const restoredPages = state ? state.pages : 0;
+  const pages = {
+    *[Symbol.iterator]() {
+      for (let i = 1; i <= restoredPages; i++) {
+        const body = gunzipSync(fs.readFileSync(path.join(dir, pageFile(i)))).toString('utf8');
+        yield JSON.parse(body);
+      }
+    },
+  };
+
+  if (state) {
+    log.info(`Resuming ${source} query ${queryHash} at offset ${state.offset} (${state.pages} pages already fetched)`);
+  } else {
+    state = {
+      queryHash,
+      source,
+      query,
+      offset: 0,
+      pages: 0,
+      createdAt: new Date().toISOString(),
+      updatedAt: null,
+    };
+  }
+
+  return {
+    queryHash,
+    offset: state.offset,
+    pages,
+
+    save(url, payload, nextOffset) {
+      fs.mkdirSync(dir, { recursive: true });
+
+      state.pages += 1;
+      state.offset = nextOffset;
+      state.updatedAt = new Date().toISOString();
+
+      fs.writeFileSync(path.join(dir, pageFile(state.pages)), gzipSync(JSON.stringify({ url, payload })));
+      fs.writeFileSync(statePath, JSON.stringify(state, null, 2));
+    },
+
+    clear() {
+      fs.rmSync(dir, { recursive: true, force: true });
+    },
+  };
+}
+
+/**
+ * Load checkpoint state, discarding it if stale or unreadable
+ */
+function loadState(statePath, queryHash) {
+  if (!fs.existsSync(statePath)) return null;
+
+  try {
+    const state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+    const ageHours = (Date.now() - new Date(state.updatedAt || state.createdAt).getTime()) / (1000 * 60 * 60);
+
+    if (state.queryHash !== queryHash || ageHours > MAX_CHECKPOINT_AGE_HOURS) {
+      log.info(`Discarding stale checkpoint ${queryHash} (${ageHours.toFixed(1)}h old)`);
+      fs.rmSync(path.dirname(statePath), { recursive: true, force: true });
+      return null;
+    }
+
+    return state;
+  } catch (error) {
+    log.warn(`Ignoring unreadable checkpoint ${queryHash}: ${error.message}`);
+    fs.rmSync(path.dirname(statePath), { recursive: true, force: true });
+    return null;
+  }
+}
+
+function pageFile(pageNumber) {
+  return `page-${String(pageNumber).padStart(5, '0')}.json.gz`;
+}
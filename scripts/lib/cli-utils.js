@@ -0,0 +1,273 @@
+// ABOUTME: Command line options shared by the seed scripts and the unified seed command (scripts/seed.js)
+// ABOUTME: Parses dataset selection, dry-run, force, drift overrides, archive replay, years, concurrency, output, and verbosity
+
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { configureLogger, createLogger, setLogContext, logSummary } from './logger.js';
+
+const log = createLogger('Seed');
+
+// Selectable datasets and the seed script that builds each one
+export const DATASETS = {
+  'housing': 'housing',
+  'capital': 'capital',
+  'budget-sankey': 'financial',
+  'pension-sankey': 'financial',
+  'revenue-sunburst': 'financial',
+  'expense-sunburst': 'financial',
+};
+
+export const SEEDS = ['housing', 'capital', 'financial'];
+
+export const USAGE = `Usage: bun scripts/seed.js [options]
+
+Options:
+  --only <names>          Comma-separated datasets or seeds to run (default: all)
+                          Datasets: ${Object.keys(DATASETS).join(', ')}
+                          Seeds: ${SEEDS.join(', ')}
+  --dry-run               Fetch, process, validate and print the diff without changing live tables
+  --force                 Skip the upstream freshness check and apply even when no changes are detected
+  --allow-drift [names]   Load even when metrics drift past scripts/drift-thresholds.json since the last
+                          accepted run (all datasets, or the comma-separated datasets or seeds given)
+  --from-archive [runId]  Replay archived payloads instead of fetching (latest run by default; run ids are
+                          per seed, so scripts/seed.js needs --only to select a single seed for one)
+  --years <years>         Fiscal years of the budget, revenue and expense datasets
+                          (e.g., 2025, 2023-2025 or 2023,2025; default: SEED_FISCAL_YEARS or 2025)
+  --concurrency <n>       Seeds to run at once (default: SEED_CONCURRENCY or 2; scripts/seed.js only)
+  --json                  Print a JSON summary on stdout (progress logs go to stderr)
+  --log-format <format>   Log output: pretty (default) or json, one JSON object per line
+                          (default: SEED_LOG_FORMAT or pretty)
+  --quiet                 Only print warnings, errors, and the summary
+  --verbose               Print more detail (e.g., more changed keys per table)
+  --help                  Show this message`;
+
+/**
+ * Parse seed command line options
+ * `--reprocess [runId]` is accepted as an alias of `--from-archive [runId]`
+ *
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {object} { only, dryRun, force, allowDrift, fromArchive, years, concurrency, json, logFormat, quiet, verbose, help }
+ * @throws {Error} On unknown options or dataset names
+ */
+export function parseSeedArgs(argv = process.argv.slice(2)) {
+  const options = {
+    only: null,
+    dryRun: false,
+    force: false,
+    allowDrift: false,
+    fromArchive: null,
+    years: null,
+    concurrency: parseInt(process.env.SEED_CONCURRENCY || '2', 10),
+    json: false,
+    logFormat: process.env.SEED_LOG_FORMAT || 'pretty',
+    quiet: false,
+    verbose: false,
+    help: false,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = argv[i + 1];
+
+    if (arg === '--only') {
+      options.only = parseList(next, arg);
+      i++;
+    } else if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--force') {
+      options.force = true;
+    } else if (arg === '--allow-drift') {
+      if (next && !next.startsWith('--')) {
+        options.allowDrift = parseList(next, arg);
+        i++;
+      } else {
+        options.allowDrift = true;
+      }
+    } else if (arg === '--from-archive' || arg === '--reprocess') {
+      if (next && !next.startsWith('--')) {
+        options.fromArchive = next;
+        i++;
+      } else {
+        options.fromArchive = 'latest';
+      }
+    } else if (arg === '--years') {
+      options.years = parseYears(next);
+      i++;
+    } else if (arg === '--concurrency') {
+      options.concurrency = parseInt(next, 10);
+      i++;
+    } else if (arg === '--json') {
+      options.json = true;
+    } else if (arg === '--log-format') {
+      options.logFormat = next;
+      i++;
+    } else if (arg === '--quiet') {
+      options.quiet = true;
+    } else if (arg === '--verbose') {
+      options.verbose = true;
+    } else if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  if (!Number.isInteger(options.concurrency) || options.concurrency < 1) {
+    throw new Error('--concurrency (or SEED_CONCURRENCY) must be a positive integer');
+  }
+
+  if (!['pretty', 'json'].includes(options.logFormat)) {
+    throw new Error('--log-format (or SEED_LOG_FORMAT) must be pretty or json');
+  }
+
+  for (const names of [options.only, options.allowDrift]) {
+    if (!Array.isArray(names)) continue;
+    const unknown = names.filter(name => !DATASETS[name] && !SEEDS.includes(name));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown dataset(s): ${unknown.join(', ')} (expected: ${[...new Set([...Object.keys(DATASETS), ...SEEDS])].join(', ')})`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Datasets of a seed selected by --only (all of them when nothing was selected)
+ * Naming a seed selects every dataset it builds
+ *
+ * @param {string} seed - 'housing' | 'capital' | 'financial'
+ * @param {Array<string>|null} only - Parsed --only list
+ * @returns {Array<string>} Selected dataset names
+ */
+export function selectDatasets(seed, only) {
+  const datasets = Object.keys(DATASETS).filter(name => DATASETS[name] === seed);
+  if (!only || only.includes(seed)) return datasets;
+  return datasets.filter(name => only.includes(name));
+}
+
+/**
+ * Configure log output for --log-format, --json, --quiet and --verbose
+ * With --json, stdout is reserved for the JSON summary, so logs go to stderr.
+ * With --quiet, progress logs are dropped (warnings, errors and summaries are kept); --verbose adds debug logs.
+ *
+ * @param {object} options - Parsed options
+ */
+export function configureOutput(options) {
+  configureLogger({
+    format: options.logFormat,
+    stderr: options.json,
+    ...(options.quiet ? { level: 'warn' } : options.verbose ? { level: 'debug' } : {}),
+  });
+}
+
+/**
+ * Print a JSON summary on stdout (bypasses the logger, which writes to stderr with --json)
+ *
+ * @param {object} summary - JSON-serializable summary
+ */
+export function printJson(summary) {
+  process.stdout.write(`${JSON.stringify(summary, null, 2)}\n`);
+}
+
+/**
+ * Whether a module is the script being run (as opposed to imported)
+ *
+ * @param {string} moduleUrl - import.meta.url of the module
+ * @returns {boolean}
+ */
+export function isMainModule(moduleUrl) {
+  return Boolean(process.argv[1]) && path.resolve(process.argv[1]) === fileURLToPath(moduleUrl);
+}
+
+/**
+ * Run a seed script's run() when the script is executed directly
+ * Accepts the same options as scripts/seed.js and sets a non-zero exit code on failure
+ *
+ * @param {string} seed - 'housing' | 'capital' | 'financial'
+ * @param {Function} run - The script's run(options)
+ * @param {string} moduleUrl - import.meta.url of the script
+ */
+export async function runSeedScript(seed, run, moduleUrl) {
+  if (!isMainModule(moduleUrl)) return;
+
+  let options;
+  try {
+    options = parseSeedArgs();
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  configureOutput(options);
+  setLogContext({ seed });
+
+  if (selectDatasets(seed, options.only).length === 0) {
+    log.info(`Nothing selected for ${seed} by --only ${options.only.join(',')}`);
+    return;
+  }
+
+  // Every run ends with one summary event, whatever the outcome
+  try {
+    const result = await run(options);
+    logSummary(result);
+    if (options.json) printJson({ ok: true, results: [result] });
+  } catch (error) {
+    const result = failedResult(seed, error);
+    logSummary(result);
+    if (options.json) printJson({ ok: false, results: [result] });
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Result entry for a seed that threw
+ *
+ * @param {string} seed - Seed name
+ * @param {Error} error - Error thrown by run()
+ * @returns {object}
+ */
+export function failedResult(seed, error) {
+  return {
+    seed,
+    status: error.name === 'ValidationError' ? 'validation-failed' : 'error',
+    error: error.message,
+  };
+}
+
+/**
+ * Parse a comma-separated list argument
+ */
+function parseList(value, flag) {
+  if (!value || value.startsWith('--')) {
+    throw new Error(`${flag} needs a comma-separated list`);
+  }
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Parse --years: a year (2025), a range (2023-2025), or a list (2023,2025)
+ */
+export function parseYears(value) {
+  const years = new Set();
+
+  for (const part of parseList(value, '--years')) {
+    const range = part.match(/^(\d{4})-(\d{4})$/);
+    if (range) {
+      const [from, to] = [parseInt(range[1], 10), parseInt(range[2], 10)];
+      if (from > to) throw new Error(`Invalid year range: ${part}`);
+      for (let year = from; year <= to; year++) years.add(year);
+    } else if (/^\d{4}$/.test(part)) {
+      years.add(parseInt(part, 10));
+    } else {
+      throw new Error(`Invalid year: ${part}`);
+    }
+  }
+
+  return [...years].sort((a, b) => a - b);
+}
@@ -0,0 +1,203 @@
+// ABOUTME: Checks every fetched record against a source dataset's contract (scripts/contracts/*.js)
+// ABOUTME: Counts violations per rule, keeps a few examples, and fails when a rule exceeds its allowed failure rate
+
+import { ValidationError } from './validation-utils.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('Contract');
+
+// Examples kept per rule for the report
+const MAX_EXAMPLES = 3;
+
+// Value formats a contract field's `type` can name
+const TYPES = {
+  string: value => typeof value === 'string' || typeof value === 'number',
+  number: value => Number.isFinite(toNumber(value)),
+  integer: value => Number.isInteger(toNumber(value)),
+  boolean: value => typeof value === 'boolean' || ['true', 'false'].includes(String(value).toLowerCase()),
+  date: value => !isNaN(new Date(typeof value === 'string' ? value : Number(value)).getTime()),
+  // 10-digit borough-block-lot (borough 1-5); ArcGIS may send it as a float like 1012340001.0
+  bbl: value => /^[1-5]\d{9}(\.0+)?$/.test(String(value).trim()),
+  latitude: value => Math.abs(toNumber(value)) <= 90,
+  longitude: value => Math.abs(toNumber(value)) <= 180,
+};
+
+const NUMERIC_TYPES = ['number', 'integer', 'latitude', 'longitude'];
+
+/**
+ * Create a validator that checks records against a contract as they stream in
+ * Call check() with every page, then finish() once the source is exhausted.
+ *
+ * A contract is { dataset, source, maxFailureRate, fields }, where each field is
+ * { type, nullable, enum, min, max, maxFailureRate }:
+ *   - required: the value is present (skipped for nullable fields)
+ *   - type: the value parses as the type (see TYPES)
+ *   - enum: the value is one of the listed values
+ *   - range: numeric values lie within min/max
+ * Rules other than required only look at present values. Allowed failure rates are percentages of
+ * checked records: the contract's maxFailureRate (default 0) applies to every rule, and a field's
+ * maxFailureRate overrides it - a number for all of its rules, or e.g. { required: 20 }.
+ *
+ * @param {object} contract - Contract from scripts/contracts/
+ * @param {object} options - Validator options
+ * @param {string} options.label - Name in logs and errors (default: contract.dataset)
+ * @param {Array<string>} options.fields - Check only these fields (e.g., the columns a query selects)
+ * @returns {object} { check(records), finish() }
+ */
+export function createContractValidator(contract, options = {}) {
+  const { label = contract.dataset, fields = Object.keys(contract.fields) } = options;
+
+  const unknown = fields.filter(field => !contract.fields[field]);
+  if (unknown.length > 0) {
+    throw new Error(`${contract.dataset} contract has no field(s): ${unknown.join(', ')}`);
+  }
+
+  const rules = fields.flatMap(field => buildRules(contract, field));
+  let checked = 0;
+
+  return {
+    /**
+     * Check a page of records
+     * @param {Array<object>} records - Source records (Socrata rows or ArcGIS attributes)
+     */
+    check(records) {
+      for (const record of records) {
+        for (const rule of rules) {
+          const value = record[rule.field];
+          if (rule.name !== 'required' && isMissing(value)) continue;
+          if (rule.test(value)) continue;
+
+          rule.violations++;
+          if (rule.examples.length < MAX_EXAMPLES) rule.examples.push({ record: checked, value: value ?? null });
+        }
+        checked++;
+      }
+    },
+
+    /**
+     * Report violations per rule and fail if any rule exceeds its allowed rate
+     * @returns {object} Report ({ dataset, checked, rules })
+     * @throws {ValidationError} When no records were checked or a rule exceeds its allowed failure rate
+     */
+    finish() {
+      if (checked === 0) {
+        throw new ValidationError(`${label}: No records to validate`, { dataset: label, recordCount: 0 });
+      }
+
+      const report = {
+        dataset: label,
+        checked,
+        rules: rules.map(rule => ({
+          rule: `${rule.field}.${rule.name}`,
+          violations: rule.violations,
+          rate: Number(((rule.violations / checked) * 100).toFixed(2)),
+          maxFailureRate: rule.maxFailureRate,
+          examples: rule.examples,
+        })),
+      };
+
+      const violated = report.rules.filter(rule => rule.violations > 0);
+      const failed = violated.filter(rule => rule.rate > rule.maxFailureRate);
+
+      for (const rule of violated) {
+        const line = `${label}: ${rule.rule} - ${rule.violations}/${checked} records (${rule.rate}%, allowed ${rule.maxFailureRate}%)`;
+        if (failed.includes(rule)) log.error(line);
+        else log.warn(line);
+      }
+
+      if (failed.length > 0) {
+        throw new ValidationError(
+          `${label}: ${failed.length} contract rule(s) exceeded their allowed failure rate: ${failed.map(rule => rule.rule).join(', ')}`,
+          {
+            dataset: label,
+            checked,
+            failures: failed,
+            suggestion: 'Upstream schema or data may have changed. Compare the source with its contract in scripts/contracts/.',
+          }
+        );
+      }
+
+      log.success(`${label}: ${checked} records checked against ${rules.length} contract rules\n`);
+      return report;
+    },
+  };
+}
+
+/**
+ * Check an array of records against a contract in one go
+ *
+ * @param {Array<object>} records - Source records
+ * @param {object} contract - Contract from scripts/contracts/
+ * @param {object} options - Validator options (see createContractValidator)
+ * @returns {object} Report ({ dataset, checked, rules })
+ * @throws {ValidationError} When a rule exceeds its allowed failure rate
+ */
+export function validateContract(records, contract, options = {}) {
+  const validator = createContractValidator(contract, options);
+  validator.check(records);
+  return validator.finish();
+}
+
+/**
+ * Rules for one contract field
+ */
+function buildRules(contract, field) {
+  const spec = contract.fields[field];
+  const rules = [];
+
+  if (!TYPES[spec.type]) {
+    throw new Error(`${contract.dataset} contract: unknown type "${spec.type}" for ${field} (expected: ${Object.keys(TYPES).join(', ')})`);
+  }
+
+  if (!spec.nullable) {
+    rules.push({ name: 'required', test: value => !isMissing(value) });
+  }
+
+  rules.push({ name: 'type', test: TYPES[spec.type] });
+
+  if (spec.enum) {
+    const allowed = new Set(spec.enum.map(String));
+    rules.push({ name: 'enum', test: value => allowed.has(String(value)) });
+  }
+
+  if (spec.min !== undefined || spec.max !== undefined) {
+    if (!NUMERIC_TYPES.includes(spec.type)) {
+      throw new Error(`${contract.dataset} contract: min/max need a numeric type for ${field}`);
+    }
+    const { min = -Infinity, max = Infinity } = spec;
+    // Values of the wrong type are the type rule's violations, not this one's
+    rules.push({ name: 'range', test: value => !TYPES[spec.type](value) || (toNumber(value) >= min && toNumber(value) <= max) });
+  }
+
+  return rules.map(rule => ({
+    ...rule,
+    field,
+    maxFailureRate: allowedRate(contract, spec, rule.name),
+    violations: 0,
+    examples: [],
+  }));
+}
+
+/**
+ * Allowed failure rate (percent) of a field's rule
+ */
+function allowedRate(contract, spec, ruleName) {
+  if (typeof spec.maxFailureRate === 'number') return spec.maxFailureRate;
+  return spec.maxFailureRate?.[ruleName] ?? contract.maxFailureRate ?? 0;
+}
+
+/**
+ * Whether a value is absent (missing, null, or blank)
+ */
+function isMissing(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+/**
+ * Strict number parsing - '12abc' is not a number (parseFloat would say 12)
+ */
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value !== 'string' || value.trim() === '') return NaN;
+  return Number(value);
+}
@@ -0,0 +1,158 @@
+// ABOUTME: Minimal five-field cron expressions (minute hour day-of-month month day-of-week) for the refresh daemon
+// ABOUTME: Supports *, lists, ranges, steps, month/day names, and @hourly/@daily/@weekly/@monthly/@quarterly/@yearly
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] },
+];
+
+const SHORTCUTS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@quarterly': '0 0 1 1,4,7,10 *',
+  '@yearly': '0 0 1 1 *',
+};
+
+// Give up looking for a matching time after this many years (e.g., '0 0 31 2 *' never matches)
+const MAX_SEARCH_YEARS = 5;
+
+/**
+ * Parse a cron expression
+ * Times are matched in the process's local time zone (set TZ to change it). As in standard cron,
+ * when both day of month and day of week are restricted, a day matching either one matches.
+ *
+ * @param {string} expression - e.g., '0 6 * * 1' (Mondays at 06:00) or '@monthly'
+ * @returns {object} Parsed schedule for nextCronTime
+ * @throws {Error} On invalid expressions
+ */
+export function parseCron(expression) {
+  const source = String(expression).trim();
+  const fields = (SHORTCUTS[source.toLowerCase()] || source).split(/\s+/);
+
+  if (fields.length !== FIELDS.length) {
+    throw new Error(`Invalid cron expression "${source}": expected 5 fields (minute hour day month weekday)`);
+  }
+
+  const [minutes, hours, days, months, weekdays] = fields.map((field, index) => parseField(field, FIELDS[index], source));
+
+  // 7 is an alias for Sunday
+  if (weekdays.has(7)) {
+    weekdays.delete(7);
+    weekdays.add(0);
+  }
+
+  return {
+    expression: source,
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    daysRestricted: fields[2] !== '*',
+    weekdaysRestricted: fields[4] !== '*',
+  };
+}
+
+/**
+ * Next time a schedule fires, strictly after `after`
+ *
+ * @param {object} schedule - Result of parseCron
+ * @param {Date} after - Start of the search (default: now)
+ * @returns {Date}
+ * @throws {Error} When no matching time exists within a few years
+ */
+export function nextCronTime(schedule, after = new Date()) {
+  const time = new Date(after);
+  time.setSeconds(0, 0);
+  time.setMinutes(time.getMinutes() + 1);
+
+  const limit = new Date(after);
+  limit.setFullYear(limit.getFullYear() + MAX_SEARCH_YEARS);
+
+  while (time <= limit) {
+    if (!schedule.months.has(time.getMonth() + 1)) {
+      time.setMonth(time.getMonth() + 1, 1);
+      time.setHours(0, 0);
+    } else if (!matchesDay(schedule, time)) {
+      time.setDate(time.getDate() + 1);
+      time.setHours(0, 0);
+    } else if (!schedule.hours.has(time.getHours())) {
+      time.setHours(time.getHours() + 1, 0);
+    } else if (!schedule.minutes.has(time.getMinutes())) {
+      time.setMinutes(time.getMinutes() + 1);
+    } else {
+      return time;
+    }
+  }
+
+  throw new Error(`Cron expression "${schedule.expression}" never fires`);
+}
+
+/**
+ * Whether a date matches the day-of-month / day-of-week fields
+ */
+function matchesDay(schedule, time) {
+  const dayMatches = schedule.days.has(time.getDate());
+  const weekdayMatches = schedule.weekdays.has(time.getDay());
+
+  if (schedule.daysRestricted && schedule.weekdaysRestricted) return dayMatches || weekdayMatches;
+  if (schedule.daysRestricted) return dayMatches;
+  if (schedule.weekdaysRestricted) return weekdayMatches;
+  return true;
+}
+
+/**
+ * Parse one field (e.g., '*', '1,15', '9-17', '*\/15', 'mon-fri') into the set of values it matches
+ */
+function parseField(field, spec, expression) {
+  const values = new Set();
+
+  for (const part of field.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+    if (!Number.isInteger(step) || step < 1 || (stepText !== undefined && !/^\d+$/.test(stepText))) {
+      throw new Error(`Invalid step "${part}" in ${spec.name} of cron expression "${expression}"`);
+    }
+
+    let from;
+    let to;
+    if (range === '*') {
+      [from, to] = [spec.min, spec.max];
+    } else {
+      const bounds = range.split('-').map(value => parseValue(value, spec, expression));
+      if (bounds.length > 2) {
+        throw new Error(`Invalid range "${range}" in ${spec.name} of cron expression "${expression}"`);
+      }
+      from = bounds[0];
+      // 'n/step' runs from n to the end of the field
+      to = bounds.length === 2 ? bounds[1] : stepText !== undefined ? spec.max : bounds[0];
+    }
+
+    if (from > to) {
+      throw new Error(`Invalid range "${range}" in ${spec.name} of cron expression "${expression}"`);
+    }
+
+    for (let value = from; value <= to; value += step) values.add(value);
+  }
+
+  return values;
+}
+
+/**
+ * Parse a single value: a number within the field's bounds, or a month/day name
+ */
+function parseValue(value, spec, expression) {
+  const nameIndex = spec.names ? spec.names.indexOf(value.toLowerCase()) : -1;
+  const number = nameIndex >= 0 ? nameIndex + (spec.name === 'month' ? 1 : 0) : /^\d+$/.test(value) ? parseInt(value, 10) : NaN;
+
+  if (!Number.isInteger(number) || number < spec.min || number > spec.max) {
+    throw new Error(`Invalid ${spec.name} "${value}" in cron expression "${expression}" (expected ${spec.min}-${spec.max})`);
+  }
+
+  return number;
+}
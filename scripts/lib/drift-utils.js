@@ -0,0 +1,198 @@
+// ABOUTME: Statistical drift guardrails - compares a run's dataset metrics with the last accepted run's
+// ABOUTME: Blocks the load when a total or per-group metric moves past its threshold (scripts/drift-thresholds.json)
+
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { sql, and, eq, inArray, desc } from 'drizzle-orm';
+import { seedRuns } from '../../server/lib/schema.ts';
+import { ValidationError } from './validation-utils.js';
+import { formatNumber } from './seed-utils.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('Drift');
+
+const THRESHOLDS_PATH = process.env.SEED_DRIFT_THRESHOLDS
+  || path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'drift-thresholds.json');
+
+// Runs whose data went live (or matched live data), so their metrics describe what is being served
+const ACCEPTED_STATUSES = ['success', 'skipped-no-change'];
+
+/**
+ * Compare dataset metrics with the last accepted run of the seed, and fail when a threshold is crossed
+ *
+ * Metrics are flat objects per dataset: a number is a total (e.g., { totalUnits: 123456 }), an object
+ * is a group of totals (e.g., { buildingsByBorough: { Bronx: 1200, ... } }). Thresholds are set per
+ * dataset and metric in drift-thresholds.json:
+ *   - maxChangePercent: largest allowed move in either direction
+ *   - maxDropPercent: largest allowed drop (rises are not checked)
+ *   - allowMissing: for groups, whether a key of the baseline may disappear (default: false)
+ *   - minBaseline: for groups, skip keys whose baseline value is below this (small groups are noisy)
+ * Metrics without a threshold are recorded but not checked. Each entry is compared with the last
+ * accepted run that recorded the same key, so datasets without one (first run, new fiscal year) pass.
+ *
+ * @param {object} db - Drizzle database instance
+ * @param {string} seed - Seed whose runs hold the baseline ('housing', 'capital', 'financial')
+ * @param {Array<object>} entries - { key, dataset, metrics } - key identifies the metrics across runs
+ *   (e.g., 'housing' or 'budget-fy2025-adopted'), dataset selects the thresholds (e.g., 'budget-sankey')
+ * @param {object} options - Check options
+ * @param {boolean|Array<string>} options.allowDrift - Report drift without failing (true, or the
+ *   dataset/seed names it applies to - see --allow-drift)
+ * @returns {Promise<object>} Metrics to record on the run ({ [key]: metrics }) and the checks made
+ * @throws {ValidationError} When a metric crosses its threshold and drift is not allowed for its dataset
+ */
+export async function checkDrift(db, seed, entries, options = {}) {
+  const { allowDrift = false } = options;
+  const thresholds = loadDriftThresholds();
+
+  const metrics = {};
+  const checks = [];
+  const failures = [];
+
+  for (const entry of entries) {
+    metrics[entry.key] = entry.metrics;
+
+    const baseline = await loadBaseline(db, seed, entry.key);
+    if (!baseline) {
+      log.info(`${entry.key}: No accepted run to compare with - recording a baseline`);
+      continue;
+    }
+    log.info(`${entry.key}: Comparing with run #${baseline.runId} (${baseline.finishedAt ? new Date(baseline.finishedAt).toISOString().slice(0, 10) : 'unknown date'})`);
+
+    const allowed = allowDrift === true || (Array.isArray(allowDrift) && (allowDrift.includes(entry.dataset) || allowDrift.includes(seed)));
+    const datasetThresholds = thresholds[entry.dataset] || {};
+
+    for (const [metric, threshold] of Object.entries(datasetThresholds)) {
+      for (const check of compareMetric(entry.metrics[metric], baseline.metrics[metric], threshold)) {
+        const result = { key: entry.key, dataset: entry.dataset, metric: check.name ? `${metric}.${check.name}` : metric, ...check.result };
+        checks.push(result);
+
+        const line = `${entry.key}: ${formatCheck(result)}`;
+        if (!result.drifted) {
+          log.debug(line);
+        } else if (allowed) {
+          log.warn(`${line} - allowed by --allow-drift`);
+        } else {
+          log.error(line);
+          failures.push(result);
+        }
+      }
+    }
+  }
+
+  if (failures.length > 0) {
+    throw new ValidationError(
+      `${failures.length} metric(s) drifted past their thresholds since the last accepted run: ${failures.map(failure => `${failure.key} ${failure.metric}`).join(', ')}`,
+      {
+        failures,
+        suggestion: 'Check the upstream data. If the change is expected, rerun with --allow-drift (or --allow-drift <datasets>); thresholds live in scripts/drift-thresholds.json.',
+      }
+    );
+  }
+
+  if (checks.length > 0) {
+    const drifted = checks.filter(check => check.drifted).length;
+    log.success(`${checks.length} drift checks passed${drifted > 0 ? ` (${drifted} allowed by --allow-drift)` : ''}\n`);
+  }
+
+  return { metrics, checks };
+}
+
+/**
+ * Load the drift thresholds per dataset
+ * @returns {object} { [dataset]: { [metric]: threshold } }
+ */
+export function loadDriftThresholds() {
+  const config = JSON.parse(readFileSync(THRESHOLDS_PATH, 'utf8'));
+  return config.datasets || {};
+}
+
+/**
+ * Metrics recorded for a key by the last accepted run of a seed
+ * A missing ledger (e.g., the metrics column not migrated yet) disables the comparison rather than the seed
+ */
+async function loadBaseline(db, seed, key) {
+  try {
+    const [row] = await db.select({
+      runId: seedRuns.id,
+      finishedAt: seedRuns.finishedAt,
+      metrics: sql`${seedRuns.metrics} -> ${key}`,
+    })
+      .from(seedRuns)
+      .where(and(
+        eq(seedRuns.seed, seed),
+        inArray(seedRuns.status, ACCEPTED_STATUSES),
+        sql`${seedRuns.metrics} -> ${key} IS NOT NULL`
+      ))
+      .orderBy(desc(seedRuns.id))
+      .limit(1);
+    return row || null;
+  } catch (error) {
+    log.warn(`Could not read previous metrics for ${key}: ${error.message} - skipping drift checks`);
+    return null;
+  }
+}
+
+/**
+ * Compare one metric with its baseline
+ * @returns {Array<object>} { name, result } per total or group key (name is null for totals)
+ */
+function compareMetric(current, previous, threshold) {
+  if (previous === undefined || previous === null) return [];
+
+  if (typeof previous === 'number') {
+    return [{ name: null, result: compareValue(current ?? 0, previous, threshold) }];
+  }
+
+  const { allowMissing = false, minBaseline = 0 } = threshold;
+  const group = current || {};
+  const checks = [];
+
+  for (const [name, value] of Object.entries(previous)) {
+    if (Math.abs(value) < minBaseline) continue;
+
+    if (group[name] === undefined) {
+      checks.push({ name, result: { previous: value, current: null, changePercent: -100, missing: true, drifted: !allowMissing } });
+    } else {
+      checks.push({ name, result: compareValue(group[name], value, threshold) });
+    }
+  }
+
+  return checks;
+}
+
+/**
+ * Percent change of a value against its baseline, and whether it crosses the threshold
+ */
+function compareValue(current, previous, threshold) {
+  const { maxChangePercent = null, maxDropPercent = null } = threshold;
+  const changePercent = previous === 0
+    ? (current === 0 ? 0 : 100)
+    : Number((((current - previous) / Math.abs(previous)) * 100).toFixed(2));
+
+  const drifted = (maxChangePercent !== null && Math.abs(changePercent) > maxChangePercent)
+    || (maxDropPercent !== null && -changePercent > maxDropPercent);
+
+  return { previous, current, changePercent, maxChangePercent, maxDropPercent, drifted };
+}
+
+/**
+ * One report line, e.g. 'buildingsByBorough.Bronx 12,345 → 9,100 (-26.3%, allowed ±20%)'
+ */
+function formatCheck(check) {
+  if (check.missing) {
+    return `${check.metric} disappeared (was ${formatValue(check.previous)})`;
+  }
+
+  const limits = [
+    check.maxChangePercent !== null ? `±${check.maxChangePercent}%` : null,
+    check.maxDropPercent !== null ? `-${check.maxDropPercent}%` : null,
+  ].filter(Boolean).join(', ');
+  const sign = check.changePercent > 0 ? '+' : '';
+
+  return `${check.metric} ${formatValue(check.previous)} → ${formatValue(check.current)} (${sign}${check.changePercent}%, allowed ${limits})`;
+}
+
+function formatValue(value) {
+  return formatNumber(Number.isInteger(value) ? value : Number(value.toFixed(2)));
+}
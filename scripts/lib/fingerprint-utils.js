@@ -0,0 +1,72 @@
+// ABOUTME: Content fingerprints for seeded rows - a canonical per-row hash stored in content_hash
+// ABOUTME: Plus an order-independent table digest, so change detection compares every row, not a sample
+
+import { sql } from 'drizzle-orm';
+import { createLogger } from './logger.js';
+
+const log = createLogger('Fingerprint');
+
+// PostGIS columns derived from other columns of the same row (see spatial-utils.js)
+export const DERIVED_COLUMNS = ['location', 'geom', 'geom_simplified'];
+
+// Bookkeeping columns that don't describe the row's content (and the hash column itself), plus derived columns
+export const UNHASHED_COLUMNS = [
+  'created_at', 'updated_at', 'last_synced_at', 'generated_at', 'deleted_at', 'content_hash',
+  ...DERIVED_COLUMNS,
+];
+
+/**
+ * Canonical content hash of a row, as a SQL expression over a row alias
+ * jsonb output is canonical (sorted keys, normalized numbers), so equal content always hashes the same,
+ * regardless of column order or how the row was built
+ *
+ * @param {string} alias - Row alias in the surrounding query
+ * @returns {object} SQL fragment
+ */
+export function rowHashSql(alias) {
+  const excluded = sql.join(UNHASHED_COLUMNS.map(name => sql`${name}`), sql`, `);
+  return sql`md5((to_jsonb(${sql.identifier(alias)}) - ARRAY[${excluded}]::text[])::text)`;
+}
+
+/**
+ * Compute content_hash for every staged row
+ * Run after all SQL post-processing (overlays, matching, dedup) so the hash reflects the final row
+ *
+ * @param {object} db - Drizzle database instance
+ * @param {object} staging - Staging handle from staging-utils.js
+ * @returns {Promise<number>} Number of rows fingerprinted
+ */
+export async function fingerprintStagedRows(db, staging) {
+  const result = await db.execute(sql`
+    UPDATE ${sql.identifier(staging.name)} AS r SET content_hash = ${rowHashSql('r')}
+  `);
+
+  log.info(`Hashed ${result.count} rows in ${staging.name}`);
+  return result.count;
+}
+
+/**
+ * Order-independent digest of a table's content hashes
+ * Two tables with the same rows have the same digest, whatever order the rows were written in
+ *
+ * @param {object} db - Drizzle database instance
+ * @param {string} tableName - Table name
+ * @param {string} where - Optional SQL filter (e.g., 'deleted_at IS NULL')
+ * @returns {Promise<object>} { digest, count, unhashed }
+ */
+export async function tableDigest(db, tableName, where = null) {
+  const [row] = await db.execute(sql`
+    SELECT
+      md5(COALESCE(string_agg(COALESCE(content_hash, '-'), ',' ORDER BY content_hash), '')) AS digest,
+      COUNT(*) AS count,
+      COUNT(*) FILTER (WHERE content_hash IS NULL) AS unhashed
+    FROM ${sql.identifier(tableName)}
+    ${where ? sql`WHERE ${sql.raw(where)}` : sql``}
+  `);
+
+  return {
+    digest: row.digest,
+    count: parseInt(row.count, 10),
+    unhashed: parseInt(row.unhashed, 10),
+  };
+}
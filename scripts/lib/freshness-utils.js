@@ -0,0 +1,209 @@
+// ABOUTME: Cheap upstream freshness pre-flight - asks each source whether it changed since our last sync
+// ABOUTME: Reads Socrata view metadata and ArcGIS editingInfo/counts, and records the version we synced against
+
+import { inArray } from 'drizzle-orm';
+import { sourceSyncState } from '../../server/lib/schema.ts';
+import { fetchJson } from './http-client.js';
+import { getArcGISMetadata, getArcGISCount } from './arcgis-utils.js';
+import { checkNeedsUpdate } from './validation-utils.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('Freshness');
+
+// Re-sync unchanged sources at least this often, in case upstream metadata is stale or wrong
+const MAX_SYNC_AGE_HOURS = parseFloat(process.env.SEED_MAX_SYNC_AGE_HOURS || '168');
+
+/**
+ * Check whether any of a seed's upstream sources changed since the last successful sync
+ * A source counts as changed when its upstream timestamp moved forward, its record count differs,
+ * it was never synced, or its version can't be determined (fail-safe). The seed is also refreshed
+ * when its last sync is older than SEED_MAX_SYNC_AGE_HOURS, regardless of upstream metadata.
+ *
+ * @param {object} db - Drizzle database instance
+ * @param {string} seed - Seed script identifier ('housing', 'capital', 'financial')
+ * @param {Array<object>} sources - Source definitions
+ *   - id: stable source key (e.g., 'housing:housing-ny')
+ *   - type: 'socrata' | 'arcgis'
+ *   - url: Socrata resource URL or ArcGIS layer URL
+ *   - where: ArcGIS where clause for the record count (default: '1=1')
+ * @param {object} options - Check options
+ * @param {boolean} options.force - Always report an update (versions are still collected for recording)
+ * @returns {Promise<object>} { needsUpdate, reasons, seed, sources: [{ ...source, upstream, previous, changed, reason }] }
+ */
+export async function checkSourceFreshness(db, seed, sources, options = {}) {
+  const { force = false } = options;
+
+  log.info(`Checking ${sources.length} upstream source(s) for ${seed}...`);
+
+  const previousById = await loadSyncState(db, sources.map(source => source.id));
+  const results = [];
+
+  for (const source of sources) {
+    let upstream;
+    try {
+      upstream = await getUpstreamVersion(source);
+    } catch (error) {
+      log.warn(`Could not read upstream version for ${source.id}: ${error.message}`);
+      results.push({ ...source, upstream: null, previous: previousById.get(source.id) || null, changed: true, reason: 'Upstream version unavailable' });
+      continue;
+    }
+
+    const previous = previousById.get(source.id) || null;
+    const { changed, reason } = compareVersions(upstream, previous);
+
+    log.info(`${changed ? '→' : '✓'} ${source.id}: ${reason}`, { source: source.id, changed });
+    results.push({ ...source, upstream, previous, changed, reason });
+  }
+
+  const reasons = results.filter(result => result.changed).map(result => `${result.id}: ${result.reason}`);
+
+  // Safety net: refresh periodically even when upstream metadata says nothing changed
+  const ageCheck = await checkNeedsUpdate(db, 'source_sync_state', MAX_SYNC_AGE_HOURS, {
+    column: 'synced_at',
+    where: `seed = '${seed.replace(/'/g, "''")}'`,
+  });
+  if (ageCheck.needsUpdate && reasons.length === 0) {
+    reasons.push(ageCheck.reason);
+  }
+
+  if (force) {
+    reasons.unshift('Forced with --force');
+  }
+
+  const needsUpdate = reasons.length > 0;
+
+  if (needsUpdate) {
+    log.info(`Update required (${reasons.length} reason(s))\n`);
+  } else {
+    log.success(`All sources unchanged since last sync\n`);
+  }
+
+  return { seed, needsUpdate, reasons, sources: results };
+}
+
+/**
+ * Record the upstream versions a seed run synced against
+ * Call after the run completed successfully (including runs where no data changes were detected)
+ *
+ * @param {object} db - Drizzle database instance
+ * @param {object} freshness - Result of checkSourceFreshness
+ */
+export async function recordSourceSync(db, freshness) {
+  const now = new Date();
+  let recorded = 0;
+
+  for (const source of freshness.sources) {
+    // Without an upstream version the next run has nothing to compare against - leave it unrecorded
+    if (!source.upstream) continue;
+
+    const values = {
+      seed: freshness.seed,
+      sourceType: source.type,
+      sourceUrl: source.url,
+      upstreamUpdatedAt: source.upstream.updatedAt,
+      upstreamCount: source.upstream.count,
+      syncedAt: now,
+      updatedAt: now,
+    };
+
+    await db.insert(sourceSyncState)
+      .values({ id: source.id, ...values })
+      .onConflictDoUpdate({ target: sourceSyncState.id, set: values });
+
+    recorded++;
+  }
+
+  log.success(`Recorded upstream versions for ${recorded}/${freshness.sources.length} source(s)\n`);
+}
+
+/**
+ * Ask a source for its current version without downloading the data
+ *
+ * @param {object} source - Source definition ({ type, url, where })
+ * @returns {Promise<object>} { updatedAt: Date|null, count: number|null }
+ */
+export async function getUpstreamVersion(source) {
+  if (source.type === 'socrata') {
+    const url = new URL(source.url);
+    const match = url.pathname.match(/\/resource\/([a-z0-9]{4}-[a-z0-9]{4})/);
+    if (!match) {
+      throw new Error(`Not a Socrata resource URL: ${source.url}`);
+    }
+
+    const view = await fetchJson(`${url.origin}/api/views/${match[1]}.json`, { tag: 'Freshness' });
+
+    return {
+      updatedAt: view.rowsUpdatedAt ? new Date(view.rowsUpdatedAt * 1000) : null,
+      count: null,
+    };
+  }
+
+  if (source.type === 'arcgis') {
+    const metadata = await getArcGISMetadata(source.url);
+    const lastEditDate = metadata.editingInfo?.dataLastEditDate ?? metadata.editingInfo?.lastEditDate;
+
+    // Layers without edit tracking only expose a count, so always collect it
+    const count = await getArcGISCount(source.url, source.where || '1=1');
+
+    return {
+      updatedAt: lastEditDate ? new Date(lastEditDate) : null,
+      count,
+    };
+  }
+
+  throw new Error(`Unknown source type: ${source.type}`);
+}
+
+/**
+ * Compare an upstream version against the stored sync state
+ */
+function compareVersions(upstream, previous) {
+  if (!previous) {
+    return { changed: true, reason: 'Never synced before' };
+  }
+
+  let compared = false;
+
+  if (upstream.updatedAt && previous.upstreamUpdatedAt) {
+    compared = true;
+    const previousUpdatedAt = new Date(previous.upstreamUpdatedAt);
+
+    if (upstream.updatedAt.getTime() > previousUpdatedAt.getTime()) {
+      return {
+        changed: true,
+        reason: `Updated upstream at ${upstream.updatedAt.toISOString()} (synced against ${previousUpdatedAt.toISOString()})`,
+      };
+    }
+  }
+
+  if (upstream.count !== null && previous.upstreamCount !== null) {
+    compared = true;
+
+    if (upstream.count !== previous.upstreamCount) {
+      return {
+        changed: true,
+        reason: `Record count changed (${previous.upstreamCount} → ${upstream.count})`,
+      };
+    }
+  }
+
+  if (!compared) {
+    return { changed: true, reason: 'No comparable upstream version' };
+  }
+
+  return { changed: false, reason: 'Unchanged since last sync' };
+}
+
+/**
+ * Load stored sync state for a set of sources
+ * A missing table or query failure is treated as "never synced" so the seed proceeds
+ */
+async function loadSyncState(db, ids) {
+  try {
+    const rows = await db.select().from(sourceSyncState).where(inArray(sourceSyncState.id, ids));
+    return new Map(rows.map(row => [row.id, row]));
+  } catch (error) {
+    log.warn(`Could not read sync state: ${error.message}`);
+    return new Map();
+  }
+}
@@ -0,0 +1,299 @@
+// ABOUTME: GeoJSON helpers shared by seed scripts - Esri JSON conversion, centroids, and simplification
+// ABOUTME: Converts ArcGIS geometries (points, multipoints, polylines, polygons) to RFC 7946 GeoJSON
+
+// Spatial references that are already WGS84 longitude/latitude
+const WGS84_WKIDS = new Set([4326]);
+
+// Web Mercator (ArcGIS Online default) can be unprojected locally
+const WEB_MERCATOR_WKIDS = new Set([102100, 102113, 3857, 900913]);
+const EARTH_RADIUS = 6378137;
+
+/**
+ * Convert an ArcGIS query feature to a GeoJSON Feature
+ *
+ * @param {Object} feature - Esri feature ({ attributes, geometry })
+ * @param {Object} spatialReference - Spatial reference of the response (default: WGS84)
+ * @param {string} idField - Attribute to use as the Feature id (e.g., 'OBJECTID')
+ * @returns {Object} GeoJSON Feature
+ */
+export function esriFeatureToGeoJSON(feature, spatialReference = null, idField = null) {
+  const properties = feature.attributes || {};
+  const geoJSONFeature = {
+    type: 'Feature',
+    properties,
+    geometry: esriGeometryToGeoJSON(feature.geometry, spatialReference),
+  };
+
+  if (idField && properties[idField] !== undefined) {
+    geoJSONFeature.id = properties[idField];
+  }
+
+  return geoJSONFeature;
+}
+
+/**
+ * Convert an Esri JSON geometry to a GeoJSON geometry
+ * Polygon rings are regrouped into outer rings and holes (Esri: outer clockwise, holes counter-clockwise)
+ * and re-wound to RFC 7946 order (outer counter-clockwise, holes clockwise)
+ *
+ * @param {Object} geometry - Esri geometry (x/y, points, paths, rings, or envelope)
+ * @param {Object} spatialReference - Spatial reference of the coordinates (default: WGS84)
+ * @returns {Object|null} GeoJSON geometry, or null for empty geometries
+ */
+export function esriGeometryToGeoJSON(geometry, spatialReference = null) {
+  if (!geometry) return null;
+
+  const project = getProjector(geometry.spatialReference || spatialReference);
+
+  if (typeof geometry.x === 'number' && typeof geometry.y === 'number') {
+    if (isNaN(geometry.x) || isNaN(geometry.y)) return null;
+    return { type: 'Point', coordinates: project([geometry.x, geometry.y]) };
+  }
+
+  if (Array.isArray(geometry.points)) {
+    if (geometry.points.length === 0) return null;
+    return { type: 'MultiPoint', coordinates: geometry.points.map(project) };
+  }
+
+  if (Array.isArray(geometry.paths)) {
+    const paths = geometry.paths
+      .filter(path => path.length >= 2)
+      .map(path => path.map(project));
+
+    if (paths.length === 0) return null;
+    if (paths.length === 1) return { type: 'LineString', coordinates: paths[0] };
+    return { type: 'MultiLineString', coordinates: paths };
+  }
+
+  if (Array.isArray(geometry.rings)) {
+    const rings = geometry.rings
+      .map(ring => closeRing(ring.map(project)))
+      .filter(ring => ring.length >= 4);
+
+    return ringsToGeoJSON(rings);
+  }
+
+  if (typeof geometry.xmin === 'number') {
+    const { xmin, ymin, xmax, ymax } = geometry;
+    const ring = [[xmin, ymin], [xmax, ymin], [xmax, ymax], [xmin, ymax], [xmin, ymin]].map(project);
+    return { type: 'Polygon', coordinates: [ring] };
+  }
+
+  return null;
+}
+
+/**
+ * Group Esri polygon rings into polygons (outer ring + holes)
+ */
+function ringsToGeoJSON(rings) {
+  if (rings.length === 0) return null;
+
+  const outers = [];
+  const holes = [];
+
+  for (const ring of rings) {
+    if (isClockwise(ring)) {
+      outers.push([ring]);
+    } else {
+      holes.push(ring);
+    }
+  }
+
+  for (const hole of holes) {
+    const container = outers.find(polygon => ringContainsPoint(polygon[0], hole[0]));
+
+    if (container) {
+      container.push(hole);
+    } else {
+      // Counter-clockwise ring with no enclosing outer ring - treat it as an outer ring
+      outers.push([hole.slice().reverse()]);
+    }
+  }
+
+  // RFC 7946 winding: outer rings counter-clockwise, holes clockwise
+  const polygons = outers.map(([outer, ...inner]) => [
+    outer.slice().reverse(),
+    ...inner.map(hole => hole.slice().reverse()),
+  ]);
+
+  if (polygons.length === 1) {
+    return { type: 'Polygon', coordinates: polygons[0] };
+  }
+
+  return { type: 'MultiPolygon', coordinates: polygons };
+}
+
+/**
+ * Ring orientation via the shoelace formula (y axis pointing up)
+ */
+function isClockwise(ring) {
+  let sum = 0;
+  for (let i = 0; i < ring.length - 1; i++) {
+    const [x1, y1] = ring[i];
+    const [x2, y2] = ring[i + 1];
+    sum += (x2 - x1) * (y2 + y1);
+  }
+  return sum > 0;
+}
+
+/**
+ * Ray-casting point-in-ring test
+ */
+function ringContainsPoint(ring, [x, y]) {
+  let inside = false;
+
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+}
+
+function closeRing(ring) {
+  if (ring.length === 0) return ring;
+
+  const [firstX, firstY] = ring[0];
+  const [lastX, lastY] = ring[ring.length - 1];
+  if (firstX === lastX && firstY === lastY) return ring;
+
+  return [...ring, ring[0]];
+}
+
+/**
+ * Build a coordinate transform into WGS84 for a spatial reference
+ * Throws for projections we can't unproject locally (request them with outSR=4326 instead)
+ */
+function getProjector(spatialReference) {
+  const wkid = spatialReference?.latestWkid || spatialReference?.wkid;
+
+  if (!wkid || WGS84_WKIDS.has(wkid)) {
+    return ([x, y, ...rest]) => [x, y, ...rest];
+  }
+
+  if (WEB_MERCATOR_WKIDS.has(wkid)) {
+    return ([x, y, ...rest]) => [
+      (x / EARTH_RADIUS) * (180 / Math.PI),
+      (2 * Math.atan(Math.exp(y / EARTH_RADIUS)) - Math.PI / 2) * (180 / Math.PI),
+      ...rest,
+    ];
+  }
+
+  throw new Error(`Unsupported spatial reference ${wkid} - request features with outSR=4326`);
+}
+
+/**
+ * Calculate centroid of a GeoJSON geometry
+ * Supports Point, Polygon, and MultiPolygon
+ */
+export function calculateCentroid(geometry) {
+  if (!geometry || !geometry.type) return [null, null];
+
+  if (geometry.type === 'Point') {
+    return geometry.coordinates;
+  }
+
+  let totalX = 0;
+  let totalY = 0;
+  let totalPoints = 0;
+
+  const processRing = (ring) => {
+    for (const [lon, lat] of ring) {
+      totalX += lon;
+      totalY += lat;
+      totalPoints++;
+    }
+  };
+
+  if (geometry.type === 'Polygon') {
+    processRing(geometry.coordinates[0]); // Outer ring only
+  } else if (geometry.type === 'MultiPolygon') {
+    for (const polygon of geometry.coordinates) {
+      processRing(polygon[0]); // Outer ring of each polygon
+    }
+  } else if (geometry.type === 'MultiPoint' || geometry.type === 'LineString') {
+    processRing(geometry.coordinates);
+  } else if (geometry.type === 'MultiLineString') {
+    for (const line of geometry.coordinates) {
+      processRing(line);
+    }
+  }
+
+  if (totalPoints === 0) return [null, null];
+  return [totalX / totalPoints, totalY / totalPoints];
+}
+
+/**
+ * Douglas-Peucker line simplification algorithm
+ * Reduces number of points while preserving shape
+ */
+export function simplifyLine(points, tolerance) {
+  if (points.length <= 2) return points;
+
+  // Find point with maximum distance from line between first and last
+  let maxDist = 0;
+  let maxIndex = 0;
+  const [x1, y1] = points[0];
+  const [x2, y2] = points[points.length - 1];
+
+  // Check if endpoints are identical (would cause divide by zero)
+  const lineLength = Math.sqrt((y2 - y1) ** 2 + (x2 - x1) ** 2);
+  if (lineLength === 0) {
+    // Endpoints are identical, return just the first point
+    return [points[0]];
+  }
+
+  for (let i = 1; i < points.length - 1; i++) {
+    const [x0, y0] = points[i];
+    // Perpendicular distance from point to line
+    const dist = Math.abs((y2 - y1) * x0 - (x2 - x1) * y0 + x2 * y1 - y2 * x1) / lineLength;
+    if (dist > maxDist) {
+      maxDist = dist;
+      maxIndex = i;
+    }
+  }
+
+  // If max distance > tolerance, recursively simplify
+  if (maxDist > tolerance) {
+    const left = simplifyLine(points.slice(0, maxIndex + 1), tolerance);
+    const right = simplifyLine(points.slice(maxIndex), tolerance);
+    return [...left.slice(0, -1), ...right];
+  }
+
+  // Otherwise, return just endpoints
+  return [points[0], points[points.length - 1]];
+}
+
+/**
+ * Simplify a GeoJSON geometry using Douglas-Peucker algorithm
+ * tolerance: in degrees (0.0001 ≈ 11 meters at NYC latitude)
+ */
+export function simplifyGeometry(geometry, tolerance = 0.0001) {
+  if (!geometry || !geometry.type) return geometry;
+
+  if (geometry.type === 'Point') {
+    return geometry; // Points can't be simplified
+  }
+
+  if (geometry.type === 'Polygon') {
+    return {
+      type: 'Polygon',
+      coordinates: geometry.coordinates.map(ring => simplifyLine(ring, tolerance)),
+    };
+  }
+
+  if (geometry.type === 'MultiPolygon') {
+    return {
+      type: 'MultiPolygon',
+      coordinates: geometry.coordinates.map(polygon =>
+        polygon.map(ring => simplifyLine(ring, tolerance))
+      ),
+    };
+  }
+
+  return geometry; // Return unchanged for other types
+}
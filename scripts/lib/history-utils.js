@@ -0,0 +1,145 @@
+// ABOUTME: Time-travel queries over record_history (SCD type 2 versions of seeded records)
+// ABOUTME: State of a table as of a date, changes between two dates, and the version history of one record
+
+import { sql } from 'drizzle-orm';
+
+// Tables whose loaders maintain record_history (see mergeStagingTables' history option)
+export const HISTORY_TABLES = ['housing_buildings', 'capital_projects'];
+
+/**
+ * Get the state of a table as of a point in time
+ * Returns the version of every record that was current at `asOf` (records tombstoned by then are absent)
+ *
+ * @param {object} db - Drizzle database instance
+ * @param {string} tableName - 'housing_buildings' or 'capital_projects'
+ * @param {Date} asOf - Point in time
+ * @param {object} options - Query options
+ * @param {string} options.key - Only this record (job_number / maprojid)
+ * @returns {Promise<Array<object>>} [{ key, data, validFrom, validTo }] - data uses snake_case columns
+ */
+export async function getStateAsOf(db, tableName, asOf, options = {}) {
+  const { key = null } = options;
+  assertHistoryTable(tableName);
+
+  const rows = await db.execute(sql`
+    SELECT record_key, data, valid_from, valid_to
+    FROM record_history
+    WHERE ${versionAt(tableName, asOf, key)}
+    ORDER BY record_key
+  `);
+
+  return rows.map(row => ({
+    key: row.record_key,
+    data: row.data,
+    validFrom: new Date(row.valid_from),
+    validTo: row.valid_to ? new Date(row.valid_to) : null,
+  }));
+}
+
+/**
+ * Compare the state of a table at two points in time
+ * Records present only at `to` are 'added', only at `from` are 'removed', and records whose content
+ * differs are 'modified' - with `before`/`after` holding just the columns that changed
+ *
+ * @param {object} db - Drizzle database instance
+ * @param {string} tableName - 'housing_buildings' or 'capital_projects'
+ * @param {Date} from - Start of the period
+ * @param {Date} to - End of the period
+ * @param {object} options - Query options
+ * @param {string} options.key - Only this record (job_number / maprojid)
+ * @param {Array<string>} options.columns - Only report modifications to these columns (snake_case)
+ * @returns {Promise<Array<object>>} [{ key, change, before, after }]
+ */
+export async function getChangesBetween(db, tableName, from, to, options = {}) {
+  const { key = null, columns = null } = options;
+  assertHistoryTable(tableName);
+
+  const rows = await db.execute(sql`
+    WITH before AS (
+      SELECT record_key, data, content_hash FROM record_history WHERE ${versionAt(tableName, from, key)}
+    ),
+    after AS (
+      SELECT record_key, data, content_hash FROM record_history WHERE ${versionAt(tableName, to, key)}
+    )
+    SELECT
+      COALESCE(a.record_key, b.record_key) AS key,
+      CASE
+        WHEN b.record_key IS NULL THEN 'added'
+        WHEN a.record_key IS NULL THEN 'removed'
+        ELSE 'modified'
+      END AS change,
+      CASE
+        WHEN a.record_key IS NULL OR b.record_key IS NULL THEN b.data
+        ELSE (SELECT jsonb_object_agg(o.key, o.value) FROM jsonb_each(b.data) o
+          JOIN jsonb_each(a.data) n ON n.key = o.key WHERE o.value IS DISTINCT FROM n.value)
+      END AS before,
+      CASE
+        WHEN a.record_key IS NULL OR b.record_key IS NULL THEN a.data
+        ELSE (SELECT jsonb_object_agg(n.key, n.value) FROM jsonb_each(a.data) n
+          JOIN jsonb_each(b.data) o ON o.key = n.key WHERE o.value IS DISTINCT FROM n.value)
+      END AS after
+    FROM before b
+    FULL OUTER JOIN after a ON a.record_key = b.record_key
+    WHERE a.record_key IS NULL
+      OR b.record_key IS NULL
+      OR a.content_hash IS DISTINCT FROM b.content_hash
+    ORDER BY 1
+  `);
+
+  const changes = rows.map(row => ({ key: row.key, change: row.change, before: row.before, after: row.after }));
+  if (!columns) return changes;
+
+  // Keep additions/removals, and modifications that touched one of the requested columns
+  return changes
+    .filter(change => change.change !== 'modified' || columns.some(column => column in (change.after || {})))
+    .map(change => change.change !== 'modified' ? change : {
+      ...change,
+      before: pick(change.before, columns),
+      after: pick(change.after, columns),
+    });
+}
+
+/**
+ * Get every version of one record, oldest first
+ *
+ * @param {object} db - Drizzle database instance
+ * @param {string} tableName - 'housing_buildings' or 'capital_projects'
+ * @param {string} key - Record key (job_number / maprojid)
+ * @returns {Promise<Array<object>>} [{ data, validFrom, validTo }]
+ */
+export async function getRecordHistory(db, tableName, key) {
+  assertHistoryTable(tableName);
+
+  const rows = await db.execute(sql`
+    SELECT data, valid_from, valid_to
+    FROM record_history
+    WHERE table_name = ${tableName} AND record_key = ${key}
+    ORDER BY valid_from, id
+  `);
+
+  return rows.map(row => ({
+    data: row.data,
+    validFrom: new Date(row.valid_from),
+    validTo: row.valid_to ? new Date(row.valid_to) : null,
+  }));
+}
+
+/**
+ * Condition selecting the versions current at a point in time
+ */
+function versionAt(tableName, at, key) {
+  return sql`table_name = ${tableName}
+    AND valid_from <= ${at}
+    AND (valid_to IS NULL OR valid_to > ${at})
+    ${key ? sql`AND record_key = ${key}` : sql``}`;
+}
+
+function assertHistoryTable(tableName) {
+  if (!HISTORY_TABLES.includes(tableName)) {
+    throw new Error(`No history is kept for ${tableName} (expected one of: ${HISTORY_TABLES.join(', ')})`);
+  }
+}
+
+function pick(data, columns) {
+  return Object.fromEntries(Object.entries(data || {}).filter(([column]) => columns.includes(column)));
+}
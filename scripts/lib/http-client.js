@@ -0,0 +1,369 @@
+// ABOUTME: Shared HTTP client for every seed data source - retries, timeouts, and per-host rate limiting
+// ABOUTME: Adds Socrata app tokens, honors Retry-After, sends conditional requests, and tracks per-host stats
+
+import { createHash } from 'node:crypto';
+import { gzipSync, gunzipSync } from 'node:zlib';
+import fs from 'node:fs';
+import path from 'node:path';
+import { createLogger } from './logger.js';
+
+const httpLog = createLogger('HTTP');
+
+const SOCRATA_APP_TOKEN = process.env.SOCRATA_APP_TOKEN || null;
+const HTTP_CACHE_DIR = process.env.SEED_HTTP_CACHE_DIR || path.join('data', 'http-cache');
+const HTTP_CACHE_ENABLED = process.env.SEED_HTTP_CACHE !== 'off';
+
+// Cached bodies are evicted by age, then oldest-first until the cache fits its size cap
+const HTTP_CACHE_MAX_AGE_MS = parseInt(process.env.SEED_HTTP_CACHE_MAX_AGE_DAYS || '7', 10) * 24 * 60 * 60 * 1000;
+const HTTP_CACHE_MAX_BYTES = parseInt(process.env.SEED_HTTP_CACHE_MAX_MB || '200', 10) * 1024 * 1024;
+
+// Longest Retry-After we are willing to honor before giving up on the request
+const MAX_RETRY_AFTER_MS = 5 * 60 * 1000;
+
+// Token bucket settings per host (requests per second, burst size)
+// Socrata allows far more throughput to requests that carry an app token
+const HOST_LIMITS = {
+  'data.cityofnewyork.us': SOCRATA_APP_TOKEN ? { rate: 10, burst: 10 } : { rate: 2, burst: 2 },
+};
+const DEFAULT_HOST_LIMIT = { rate: 10, burst: 10 };
+
+const buckets = new Map(); // host -> token bucket state
+const stats = new Map(); // host -> request statistics
+let cachePruned = false; // the cache is pruned once per process, before its first write
+
+/**
+ * Fetch JSON through the shared client
+ * Every request waits for its host's token bucket, carries a timeout, and is retried with
+ * exponential backoff (or the server's Retry-After on 429/503)
+ *
+ * @param {string} url - Fully-qualified request URL
+ * @param {object} options - Request options
+ * @param {string} options.tag - Log prefix (e.g., 'Fetch', 'ArcGIS')
+ * @param {number} options.offset - Page offset (for logging)
+ * @param {number} options.maxRetries - Attempts before giving up (default: 3)
+ * @param {number} options.timeoutMs - Per-request timeout (default: 60s)
+ * @param {Function} options.validate - Optional check on the parsed body; throw to trigger a retry
+ * @param {boolean} options.conditional - Send If-None-Match / If-Modified-Since from the local cache (default: true)
+ * @returns {Promise<any>} Parsed JSON body
+ */
+export async function fetchJson(url, options = {}) {
+  const {
+    tag = 'Fetch',
+    offset = 0,
+    maxRetries = 3,
+    timeoutMs = 60000,
+    validate = null,
+    conditional = HTTP_CACHE_ENABLED,
+  } = options;
+
+  const log = createLogger(tag);
+  const host = new URL(url).host;
+  const hostStats = getHostStats(host);
+  const cached = conditional ? readCacheEntry(url) : null;
+  let retryCount = 0;
+
+  while (true) {
+    let retryAfterMs = null;
+
+    try {
+      await acquireToken(host);
+
+      const headers = { 'Accept': 'application/json' };
+      if (SOCRATA_APP_TOKEN && isSocrataHost(host)) {
+        headers['X-App-Token'] = SOCRATA_APP_TOKEN;
+      }
+      if (cached?.etag) headers['If-None-Match'] = cached.etag;
+      if (cached?.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
+      // Use AbortController for timeout
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+
+      let response;
+      let text;
+      try {
+        hostStats.requests++;
+        response = await fetch(url, { signal: controller.signal, headers });
+        text = response.status === 304 ? null : await response.text();
+      } finally {
+        clearTimeout(timeoutId);
+      }
+
+      if (response.status === 304 && cached) {
+        hostStats.notModified++;
+        hostStats.bytesSaved += cached.bytes;
+        return JSON.parse(cached.body);
+      }
+
+      hostStats.bytes += Buffer.byteLength(text || '');
+
+      if (response.status === 429 || response.status === 503) {
+        hostStats.throttled++;
+        retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+        throw new HttpError(response, `HTTP ${response.status}: ${response.statusText}`);
+      }
+
+      if (!response.ok) {
+        throw new HttpError(response, `HTTP ${response.status}: ${response.statusText}`);
+      }
+
+      const data = JSON.parse(text);
+      if (validate) validate(data);
+
+      if (conditional) {
+        writeCacheEntry(url, response, text);
+      }
+
+      return data;
+
+    } catch (error) {
+      retryCount++;
+
+      if (error.name === 'AbortError') {
+        log.error(`Request timed out (attempt ${retryCount}/${maxRetries})`);
+      } else if (error.code === 'ECONNRESET' || error.errno === 0) {
+        log.error(`Connection reset (attempt ${retryCount}/${maxRetries}): ${error.message}`);
+      } else {
+        log.error(`Error (attempt ${retryCount}/${maxRetries}): ${error.message}`);
+      }
+
+      // Client errors (other than throttling and timeouts) won't succeed on retry
+      const status = error instanceof HttpError ? error.status : null;
+      const retryable = status === null || status >= 500 || status === 429 || status === 408;
+
+      if (!retryable || retryCount >= maxRetries) {
+        log.error(`Failed after ${retryCount} attempt(s) at offset ${offset}`);
+        throw error;
+      }
+
+      hostStats.retries++;
+
+      if (retryAfterMs !== null) {
+        if (retryAfterMs > MAX_RETRY_AFTER_MS) {
+          log.error(`Server asked us to wait ${Math.round(retryAfterMs / 1000)}s - giving up`);
+          throw error;
+        }
+
+        // Pause every request to this host, not just this one
+        blockHost(host, retryAfterMs);
+        log.info(`Server requested Retry-After ${Math.round(retryAfterMs / 1000)}s...`);
+      } else {
+        // Exponential backoff: 2s, 4s, 8s
+        const backoffMs = Math.pow(2, retryCount) * 1000;
+        log.info(`Retrying in ${backoffMs / 1000}s...`);
+        await sleep(backoffMs);
+      }
+    }
+  }
+}
+
+/**
+ * Per-host request statistics for this process
+ * @returns {Array<object>} One entry per host ({ host, requests, bytes, notModified, ... })
+ */
+export function getHttpStats() {
+  return Array.from(stats.entries()).map(([host, hostStats]) => ({ host, ...hostStats }));
+}
+
+/**
+ * Log per-host request and byte statistics (call at the end of each run)
+ */
+export function logHttpStats() {
+  const hosts = getHttpStats();
+  if (hosts.length === 0) return;
+
+  httpLog.info('Request statistics:');
+  for (const entry of hosts) {
+    httpLog.info(
+      `  ${entry.host}: ${entry.requests} requests, ${formatBytes(entry.bytes)} downloaded, ` +
+      `${entry.notModified} not modified (${formatBytes(entry.bytesSaved)} saved), ` +
+      `${entry.retries} retries, ${entry.throttled} throttled, ${(entry.waitMs / 1000).toFixed(1)}s rate-limited`,
+      entry
+    );
+  }
+  httpLog.info('');
+}
+
+/**
+ * Override the rate limit for a host
+ * @param {string} host - Host name (e.g., 'services5.arcgis.com')
+ * @param {object} limit - { rate: requests per second, burst: bucket size }
+ */
+export function setHostRateLimit(host, limit) {
+  HOST_LIMITS[host] = limit;
+  buckets.delete(host);
+}
+
+class HttpError extends Error {
+  constructor(response, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = response.status;
+  }
+}
+
+function isSocrataHost(host) {
+  return host === 'data.cityofnewyork.us' || host.endsWith('.socrata.com');
+}
+
+function getHostStats(host) {
+  if (!stats.has(host)) {
+    stats.set(host, {
+      requests: 0,
+      bytes: 0,
+      notModified: 0,
+      bytesSaved: 0,
+      retries: 0,
+      throttled: 0,
+      waitMs: 0,
+    });
+  }
+  return stats.get(host);
+}
+
+function getBucket(host) {
+  if (!buckets.has(host)) {
+    const { rate, burst } = HOST_LIMITS[host] || DEFAULT_HOST_LIMIT;
+    buckets.set(host, {
+      rate,
+      capacity: burst,
+      tokens: burst,
+      updatedAt: Date.now(),
+      blockedUntil: 0,
+      queue: Promise.resolve(),
+    });
+  }
+  return buckets.get(host);
+}
+
+/**
+ * Wait for a token from the host's bucket
+ * Waiters are queued so concurrent requests to the same host are released in order
+ */
+function acquireToken(host) {
+  const bucket = getBucket(host);
+  const hostStats = getHostStats(host);
+
+  const turn = bucket.queue.then(async () => {
+    const blockedMs = bucket.blockedUntil - Date.now();
+    if (blockedMs > 0) {
+      hostStats.waitMs += blockedMs;
+      await sleep(blockedMs);
+    }
+
+    refill(bucket);
+    if (bucket.tokens < 1) {
+      const waitMs = ((1 - bucket.tokens) / bucket.rate) * 1000;
+      hostStats.waitMs += waitMs;
+      await sleep(waitMs);
+      refill(bucket);
+    }
+
+    bucket.tokens -= 1;
+  });
+
+  bucket.queue = turn.catch(() => {});
+  return turn;
+}
+
+function refill(bucket) {
+  const now = Date.now();
+  bucket.tokens = Math.min(bucket.capacity, bucket.tokens + ((now - bucket.updatedAt) / 1000) * bucket.rate);
+  bucket.updatedAt = now;
+}
+
+function blockHost(host, ms) {
+  const bucket = getBucket(host);
+  bucket.blockedUntil = Math.max(bucket.blockedUntil, Date.now() + ms);
+}
+
+/**
+ * Parse a Retry-After header (delay in seconds or an HTTP date)
+ * @returns {number} Delay in milliseconds (defaults to 30s when the header is missing or invalid)
+ */
+function parseRetryAfter(value) {
+  if (!value) return 30000;
+
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  if (!isNaN(date)) return Math.max(0, date - Date.now());
+
+  return 30000;
+}
+
+function cachePath(url) {
+  return path.join(HTTP_CACHE_DIR, `${createHash('sha256').update(url).digest('hex')}.json.gz`);
+}
+
+function readCacheEntry(url) {
+  const file = cachePath(url);
+  if (!fs.existsSync(file)) return null;
+  if (Date.now() - fs.statSync(file).mtimeMs > HTTP_CACHE_MAX_AGE_MS) return null;
+
+  try {
+    return JSON.parse(gunzipSync(fs.readFileSync(file)).toString('utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function writeCacheEntry(url, response, body) {
+  const etag = response.headers.get('etag');
+  const lastModified = response.headers.get('last-modified');
+  if (!etag && !lastModified) return;
+
+  fs.mkdirSync(HTTP_CACHE_DIR, { recursive: true });
+  if (!cachePruned) {
+    cachePruned = true;
+    pruneHttpCache();
+  }
+  fs.writeFileSync(cachePath(url), gzipSync(JSON.stringify({
+    url,
+    etag,
+    lastModified,
+    bytes: Buffer.byteLength(body),
+    body,
+  })));
+}
+
+/**
+ * Delete cached responses older than the max age, then the oldest ones until the cache fits its size cap
+ */
+function pruneHttpCache() {
+  try {
+    const entries = fs.readdirSync(HTTP_CACHE_DIR)
+      .map(name => {
+        const file = path.join(HTTP_CACHE_DIR, name);
+        const { mtimeMs, size } = fs.statSync(file);
+        return { file, mtimeMs, size };
+      })
+      .sort((a, b) => b.mtimeMs - a.mtimeMs);
+
+    let totalBytes = 0;
+    let removed = 0;
+    for (const entry of entries) {
+      const expired = Date.now() - entry.mtimeMs > HTTP_CACHE_MAX_AGE_MS;
+      if (!expired) totalBytes += entry.size;
+      if (expired || totalBytes > HTTP_CACHE_MAX_BYTES) {
+        fs.rmSync(entry.file, { force: true });
+        removed++;
+      }
+    }
+
+    if (removed > 0) httpLog.info(`Evicted ${removed} cached responses from ${HTTP_CACHE_DIR}`);
+  } catch (error) {
+    httpLog.warn(`Could not prune HTTP cache: ${error.message}`);
+  }
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
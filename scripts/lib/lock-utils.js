@@ -0,0 +1,115 @@
+// ABOUTME: Postgres advisory locks per table, so overlapping seed runs (e.g., cron plus manual) can't clobber each other
+// ABOUTME: Locks are held on a dedicated connection and released at the end of the run (or when the process dies)
+
+import postgres from 'postgres';
+import { getTableName } from 'drizzle-orm';
+import { createLogger } from './logger.js';
+
+const log = createLogger('Lock');
+
+// First key of the two-key advisory lock space, reserved for seed table locks (the second is hashtext(table))
+const LOCK_NAMESPACE = 7294;
+
+// How long to wait for another run to release its locks before giving up (0 = don't wait)
+const LOCK_WAIT_SECONDS = parseFloat(process.env.SEED_LOCK_WAIT_SECONDS || '0');
+const LOCK_RETRY_MS = 5000;
+
+/**
+ * Take session advisory locks on the tables a run writes
+ * The locks live on their own connection (the seed connection pool has a single, idle-timed-out
+ * connection), so they are held for the whole run and released by release() or when the process exits.
+ * All tables are locked or none: on a conflict the locks already taken are released again.
+ *
+ * @param {Array<object|string>} tables - Drizzle tables or table names
+ * @param {object} options - Lock options
+ * @param {string} options.owner - Who holds the locks (e.g., 'housing'), shown to conflicting runs
+ * @param {number} options.waitSeconds - Keep retrying this long before giving up (default: SEED_LOCK_WAIT_SECONDS)
+ * @returns {Promise<object>} { acquired, tables, reason, release() } - reason names the holders when not acquired
+ */
+export async function acquireTableLocks(tables, options = {}) {
+  const { owner = 'seed', waitSeconds = LOCK_WAIT_SECONDS } = options;
+  // Sorted, so two runs locking overlapping tables always lock them in the same order
+  const names = [...new Set(tables.map(table => typeof table === 'string' ? table : getTableName(table)))].sort();
+
+  const client = postgres(process.env.DATABASE_URL, {
+    max: 1,
+    idle_timeout: 0, // Never close the connection holding the locks
+    connect_timeout: 30,
+    connection: { application_name: `seed:${owner}` },
+    onnotice: () => {},
+  });
+
+  // Never throws, so it can run in a finally block without hiding the run's own error
+  const release = async () => {
+    try {
+      await client`SELECT pg_advisory_unlock_all()`;
+    } catch (error) {
+      log.warn(`Could not release locks (they are dropped with the connection): ${error.message}`);
+    }
+    await client.end();
+  };
+
+  const deadline = Date.now() + waitSeconds * 1000;
+  let waiting = false;
+
+  try {
+    while (true) {
+      const locked = [];
+      for (const name of names) {
+        const [row] = await client`SELECT pg_try_advisory_lock(${LOCK_NAMESPACE}, hashtext(${name})) AS locked`;
+        if (!row.locked) break;
+        locked.push(name);
+      }
+
+      if (locked.length === names.length) {
+        log.success(`Locked ${names.join(', ')}\n`);
+        return { acquired: true, tables: names, reason: null, release };
+      }
+
+      await client`SELECT pg_advisory_unlock_all()`;
+      const reason = await describeHolders(client, names);
+
+      if (Date.now() + LOCK_RETRY_MS > deadline) {
+        log.warn(`${reason}\n`);
+        await client.end();
+        return { acquired: false, tables: names, reason, release: async () => {} };
+      }
+
+      if (!waiting) {
+        log.info(`${reason} - waiting up to ${waitSeconds}s...`);
+        waiting = true;
+      }
+      await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+    }
+  } catch (error) {
+    await client.end();
+    throw error;
+  }
+}
+
+/**
+ * Describe which sessions hold the seed locks on any of the tables
+ */
+async function describeHolders(client, names) {
+  const holders = await client`
+    SELECT t.name AS table_name, l.pid, a.application_name, a.backend_start
+    FROM unnest(${names}::text[]) AS t(name)
+    JOIN pg_locks l
+      ON l.locktype = 'advisory'
+      AND l.granted
+      AND l.objsubid = 2
+      AND l.classid = ${LOCK_NAMESPACE}::oid
+      AND l.objid = (hashtext(t.name)::bigint & 4294967295)::oid
+    LEFT JOIN pg_stat_activity a ON a.pid = l.pid
+    WHERE l.pid <> pg_backend_pid()
+  `;
+
+  if (holders.length === 0) {
+    return `Tables are locked by another run: ${names.join(', ')}`;
+  }
+
+  const described = holders.map(holder =>
+    `${holder.table_name} (${holder.application_name || 'unknown'}, pid ${holder.pid}${holder.backend_start ? `, since ${new Date(holder.backend_start).toISOString()}` : ''})`
+  );
+  return `Tables are locked by another run: ${described.join(', ')}`;
+}
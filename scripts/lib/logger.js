@@ -0,0 +1,241 @@
+// ABOUTME: Structured logger for the seed scripts - levels, run context (seed, run id, dataset, step), and two formats
+// ABOUTME: 'pretty' prints the familiar [Tag] lines, banners and step headers; 'json' prints one JSON object per line
+
+import util from 'node:util';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const FORMATS = ['pretty', 'json'];
+
+// Pretty-mode markers, so messages don't carry their own emoji
+const ICONS = { success: '✓ ', warn: '⚠️  ' };
+
+const BANNER_WIDTH = 40;
+const BOX_WIDTH = 60;
+
+const settings = {
+  format: FORMATS.includes(process.env.SEED_LOG_FORMAT) ? process.env.SEED_LOG_FORMAT : 'pretty',
+  level: LEVELS[process.env.SEED_LOG_LEVEL] ? process.env.SEED_LOG_LEVEL : 'info',
+  stderr: false,
+};
+
+// Fields added to every entry (seed, runId, dataset, step) - one seed runs per process, so this is global
+const context = {};
+
+// The original console methods, so JSON mode can capture stray console output without looping
+const consoleMethods = { log: console.log, info: console.info, debug: console.debug, warn: console.warn, error: console.error };
+
+/**
+ * Configure the logger (call once, before logging)
+ * In JSON mode, output written directly with console.* is captured as log entries too, so every line is JSON.
+ *
+ * @param {object} options - Logger options
+ * @param {string} options.format - 'pretty' | 'json' (default: SEED_LOG_FORMAT or 'pretty')
+ * @param {string} options.level - 'debug' | 'info' | 'warn' | 'error' (default: SEED_LOG_LEVEL or 'info')
+ * @param {boolean} options.stderr - Write everything to stderr (when stdout is reserved for a JSON result)
+ * @throws {Error} On an unknown format or level
+ */
+export function configureLogger(options = {}) {
+  if (options.format !== undefined && !FORMATS.includes(options.format)) {
+    throw new Error(`Unknown log format: ${options.format} (expected: ${FORMATS.join(', ')})`);
+  }
+  if (options.level !== undefined && !LEVELS[options.level]) {
+    throw new Error(`Unknown log level: ${options.level} (expected: ${Object.keys(LEVELS).join(', ')})`);
+  }
+
+  for (const key of ['format', 'level', 'stderr']) {
+    if (options[key] !== undefined) settings[key] = options[key];
+  }
+
+  Object.assign(console, consoleMethods);
+  if (settings.format === 'json') {
+    const captured = createLogger('console');
+    console.log = (...args) => captured.info(util.format(...args));
+    console.info = console.log;
+    console.debug = (...args) => captured.debug(util.format(...args));
+    console.warn = (...args) => captured.warn(util.format(...args));
+    console.error = (...args) => captured.error(util.format(...args));
+  }
+}
+
+/**
+ * Current log format ('pretty' or 'json')
+ */
+export function getLogFormat() {
+  return settings.format;
+}
+
+/**
+ * Add fields to every following entry (null or undefined removes a field)
+ *
+ * @param {object} fields - e.g., { seed: 'housing' }, { runId: 42 }, { dataset: 'budget-sankey' }
+ */
+export function setLogContext(fields) {
+  for (const [key, value] of Object.entries(fields)) {
+    if (value === null || value === undefined) delete context[key];
+    else context[key] = value;
+  }
+}
+
+/**
+ * Create a logger whose entries are tagged (pretty mode prints the tag as a [Tag] prefix)
+ * Each method takes a message and optional structured fields (only written in JSON mode).
+ * error() also accepts an Error in place of the fields.
+ *
+ * @param {string|null} tag - e.g., 'Fetch', 'Validation'
+ * @returns {object} { debug, info, success, warn, error }
+ */
+export function createLogger(tag = null) {
+  return {
+    debug: (message, fields) => write('debug', tag, message, fields),
+    info: (message, fields) => write('info', tag, message, fields),
+    success: (message, fields) => write('info', tag, message, fields, ICONS.success),
+    warn: (message, fields) => write('warn', tag, message, fields, ICONS.warn),
+    error: (message, fields) => write('error', tag, message, fields),
+  };
+}
+
+/**
+ * Start a numbered step - pretty mode prints a '--- STEP n: title ---' header
+ * The step is added to the context of every following entry.
+ *
+ * @param {number|string} step - Step number (e.g., 3 or '4.1')
+ * @param {string} title - What the step does
+ */
+export function logStep(step, title) {
+  setLogContext({ step: String(step) });
+
+  if (settings.format === 'json') {
+    emit('info', { event: 'step', msg: title });
+  } else if (enabled('info')) {
+    output('info', `--- STEP ${step}: ${title} ---\n`);
+  }
+}
+
+/**
+ * Print a banner: a title block between rules, or a box for notices like 'NO CHANGES DETECTED'
+ *
+ * @param {Array<string>|string} lines - Banner text
+ * @param {object} options - Banner options
+ * @param {string} options.style - 'rule' (default) or 'box'
+ * @param {string} options.level - Log level (default: 'info')
+ */
+export function logBanner(lines, options = {}) {
+  const { style = 'rule', level = 'info' } = options;
+  const text = [].concat(lines);
+
+  if (settings.format === 'json') {
+    if (enabled(level)) emit(level, { event: 'banner', msg: text.join(' - ') });
+    return;
+  }
+  if (!enabled(level)) return;
+
+  if (style === 'box') {
+    const center = (line) => {
+      const left = Math.floor((BOX_WIDTH - line.length) / 2);
+      return `║${' '.repeat(Math.max(left, 0))}${line}${' '.repeat(Math.max(BOX_WIDTH - line.length - left, 0))}║`;
+    };
+    output(level, [`╔${'═'.repeat(BOX_WIDTH)}╗`, ...text.map(center), `╚${'═'.repeat(BOX_WIDTH)}╝\n`].join('\n'));
+  } else {
+    const rule = '='.repeat(BANNER_WIDTH);
+    output(level, [rule, ...text.map(line => `   ${line}`), `${rule}\n`].join('\n'));
+  }
+}
+
+/**
+ * Print a run's human-readable summary block (always printed, even with --quiet)
+ * In JSON mode the lines are written as one 'report' entry; the machine-readable result is logSummary's job.
+ *
+ * @param {Array<string>} lines - e.g., ['Status: SKIPPED (Upstream unchanged)', 'Total Time: 2.1s']
+ * @param {string} title - Block title (default: 'SEED SUMMARY')
+ */
+export function logReport(lines, title = 'SEED SUMMARY') {
+  if (settings.format === 'json') {
+    emit('info', { event: 'report', msg: title, lines });
+    return;
+  }
+
+  const rule = '='.repeat(BANNER_WIDTH);
+  output('info', [rule, `   ${title}`, rule, ...lines, `${rule}\n`].join('\n'));
+}
+
+/**
+ * Emit the final machine-readable summary of a run (always emitted, even with --quiet)
+ * Pretty mode prints it as a single '[Summary] {...}' line, so CI can pick it out of the log.
+ *
+ * @param {object} summary - Run result (seed, status, changes, duration, error, ...)
+ */
+export function logSummary(summary) {
+  const { step, ...runContext } = context;
+
+  const level = summary.error ? 'error' : 'info';
+
+  if (settings.format === 'json') {
+    emit(level, { event: 'summary', ...summary }, runContext);
+  } else {
+    output(level, `[Summary] ${JSON.stringify({ ...runContext, ...summary })}`);
+  }
+}
+
+/**
+ * Whether entries of a level are written at the configured level
+ */
+function enabled(level) {
+  return LEVELS[level] >= LEVELS[settings.level];
+}
+
+/**
+ * Write one entry from a logger method
+ */
+function write(level, tag, message, fields, icon = '') {
+  if (!enabled(level)) return;
+
+  const error = fields instanceof Error ? fields : fields?.error instanceof Error ? fields.error : null;
+  const extra = fields instanceof Error ? {} : { ...fields };
+
+  if (settings.format === 'json') {
+    const text = String(message).trim();
+    // Blank lines are only spacing in pretty mode
+    if (!text && !error && Object.keys(extra).length === 0) return;
+    if (error) extra.error = serializeError(error);
+    emit(level, { ...(tag ? { tag } : {}), msg: text, ...extra });
+    return;
+  }
+
+  // Leading newlines stay in front of the [Tag] prefix
+  const [, lead, body] = String(message).match(/^(\n*)([\s\S]*)$/);
+  const prefix = tag && body ? `[${tag}] ` : '';
+  const line = `${lead}${prefix}${body ? icon : ''}${body}`;
+  output(level, error ? util.format(line, error) : line);
+}
+
+/**
+ * Write a JSON entry
+ */
+function emit(level, entry, baseContext = context) {
+  const line = JSON.stringify({ time: new Date().toISOString(), level, ...baseContext, ...entry });
+  stream(level).write(`${line}\n`);
+}
+
+/**
+ * Write pretty text
+ */
+function output(level, text) {
+  stream(level).write(`${text}\n`);
+}
+
+function stream(level) {
+  return settings.stderr || LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+}
+
+/**
+ * Plain-object form of an error for JSON entries
+ */
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.code ? { code: error.code } : {}),
+    ...(error.details ? { details: error.details } : {}),
+    stack: error.stack,
+  };
+}
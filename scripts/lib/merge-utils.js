@@ -0,0 +1,280 @@
+// ABOUTME: Row-level incremental loads - diffs a staging table against its live table by a natural key
+// ABOUTME: Inserts new rows, updates changed rows, tombstones vanished rows (deleted_at), and audits every change
+
+import { sql, getTableColumns } from 'drizzle-orm';
+import { PREVIOUS_SUFFIX } from './staging-utils.js';
+import { UNHASHED_COLUMNS, DERIVED_COLUMNS } from './fingerprint-utils.js';
+import { ValidationError } from './validation-utils.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('Merge');
+
+// Bookkeeping and derived columns that never count as a change on their own
+const IGNORED_COLUMNS = ['created_at', 'updated_at', 'last_synced_at', 'content_hash', ...DERIVED_COLUMNS];
+
+// Columns the merge manages itself rather than copying from staging
+const MANAGED_COLUMNS = ['created_at', 'updated_at', 'last_synced_at', 'deleted_at'];
+
+// Duplicated keys listed when a staging table fails the unique-key check
+const MAX_DUPLICATE_EXAMPLES = 20;
+
+/**
+ * Merge staged rows into live tables in a single transaction
+ * For each table, rows are matched on `key` (a property name, e.g. 'jobNumber'):
+ *   - staged rows with no live match are inserted (audit action 'INSERT')
+ *   - matched rows whose columns differ are updated, and tombstoned rows that reappear are restored
+ *     (audit action 'UPDATE', with only the changed columns in oldData/newData)
+ *   - live rows missing from staging get deleted_at set (audit action 'DELETE')
+ * The live table is snapshotted into <table>__previous first, so seed:rollback still works.
+ * With `history: true`, record_history versions are opened and closed to match the merged table
+ * (see history-utils.js for the as-of and changes-between queries).
+ *
+ * Live tables must have deleted_at and content_hash columns, and the staged rows must be fingerprinted
+ * (see fingerprint-utils.js). Readers should filter on `deleted_at IS NULL`. Each key may appear on only one
+ * staged row - the merge checks this first and changes nothing otherwise.
+ *
+ * @param {object} db - Drizzle database instance
+ * @param {Array<object>} merges - [{ staging, key, history }] with staging handles from createStagingTable
+ * @returns {Promise<object>} { inserted, updated, deleted } per live table name (plus { opened, closed } with history)
+ * @throws {ValidationError} When a staging table holds more than one row for a key
+ */
+export async function mergeStagingTables(db, merges) {
+  for (const { staging, key } of merges) {
+    if (!staging.liveName) {
+      throw new Error(`${staging.name} has no live table to merge into`);
+    }
+    if (!staging.table[key]) {
+      throw new Error(`Key column ${key} is not defined on ${staging.liveName}`);
+    }
+  }
+
+  for (const { staging, key } of merges) {
+    await assertUniqueKeys(db, staging, key);
+  }
+
+  log.info(`Merging ${merges.map(({ staging }) => staging.liveName).join(', ')} in one transaction...`);
+
+  const results = await db.transaction(async (tx) => {
+    const merged = {};
+
+    for (const { staging, key, history = false } of merges) {
+      const live = sql.identifier(staging.liveName);
+      const previous = sql.identifier(`${staging.liveName}${PREVIOUS_SUFFIX}`);
+
+      await tx.execute(sql`DROP TABLE IF EXISTS ${previous}`);
+      await tx.execute(sql`CREATE TABLE ${previous} AS TABLE ${live}`);
+
+      merged[staging.liveName] = {
+        inserted: await insertNewRows(tx, staging, key),
+        updated: await updateChangedRows(tx, staging, key),
+        deleted: await tombstoneMissingRows(tx, staging, key),
+      };
+
+      if (history) {
+        Object.assign(merged[staging.liveName], await syncHistory(tx, staging, key));
+      }
+    }
+
+    return merged;
+  });
+
+  for (const [liveName, { inserted, updated, deleted }] of Object.entries(results)) {
+    log.success(`${liveName}: ${inserted} inserted, ${updated} updated, ${deleted} deleted`);
+  }
+  log.info('');
+
+  return results;
+}
+
+/**
+ * Format merge counts for seed summaries (e.g., '+12 ~3 -1')
+ * @param {object} counts - { inserted, updated, deleted } from mergeStagingTables
+ * @returns {string}
+ */
+export function formatChanges({ inserted, updated, deleted }) {
+  return `+${inserted} ~${updated} -${deleted}`;
+}
+
+/**
+ * Fail when a staging table holds more than one row per key
+ * Unkeyed staging tables accept duplicates, which would abort the insert with a key violation,
+ * or update a live row from an arbitrary one of its staged rows
+ */
+async function assertUniqueKeys(db, staging, key) {
+  const { stagingTable, keyColumn, tableName } = describe(staging, key);
+
+  const duplicates = await db.execute(sql`
+    SELECT ${keyColumn} AS key, count(*)::int AS rows, count(*) OVER ()::int AS duplicated_keys
+    FROM ${stagingTable}
+    GROUP BY ${keyColumn}
+    HAVING count(*) > 1
+    ORDER BY count(*) DESC, ${keyColumn}
+    LIMIT ${MAX_DUPLICATE_EXAMPLES}
+  `);
+
+  if (duplicates.length > 0) {
+    const duplicatedKeys = duplicates[0].duplicated_keys;
+    throw new ValidationError(
+      `${tableName}: ${duplicatedKeys} ${key} value(s) appear on more than one staged row`,
+      {
+        table: tableName,
+        key,
+        duplicatedKeys,
+        duplicates: duplicates.map(row => ({ [key]: row.key, rows: row.rows })),
+        suggestion: 'Upstream has several records with the same key (or keyless records that derive the same id). '
+          + 'Nothing was merged; fix or filter them in the seed\'s processing.',
+      }
+    );
+  }
+}
+
+/**
+ * Insert staged rows whose key is not in the live table
+ */
+async function insertNewRows(tx, staging, key) {
+  const { live, stagingTable, keyColumn, recordId, columnList, tableName } = describe(staging, key);
+
+  const result = await tx.execute(sql`
+    WITH added AS (
+      SELECT s.* FROM ${stagingTable} s
+      WHERE NOT EXISTS (SELECT 1 FROM ${live} l WHERE l.${keyColumn} = s.${keyColumn})
+    ),
+    inserted AS (
+      INSERT INTO ${live} (${columnList}) SELECT ${columnList} FROM added
+    )
+    INSERT INTO audit_log (table_name, record_id, action, new_data)
+    SELECT ${tableName}, added.${recordId}, 'INSERT', to_jsonb(added) FROM added
+  `);
+
+  return result.count;
+}
+
+/**
+ * Update live rows whose content hash differs from the staged row (including tombstoned rows that reappeared)
+ * Rows whose hash changed without any audited column changing (e.g., rows hashed for the first time)
+ * are updated silently. Unchanged rows only get last_synced_at refreshed, without an audit entry.
+ */
+async function updateChangedRows(tx, staging, key) {
+  const { live, stagingTable, keyColumn, recordId, tableName, columns } = describe(staging, key);
+
+  const ignored = sql.join(IGNORED_COLUMNS.map(name => sql`${name}`), sql`, `);
+  const assignments = columns
+    .filter(name => !MANAGED_COLUMNS.includes(name))
+    .map(name => sql`${sql.identifier(name)} = s.${sql.identifier(name)}`);
+
+  // Staged rows have no deleted_at, so a tombstoned live row shows up as a deleted_at change
+  const result = await tx.execute(sql`
+    WITH diff AS (
+      SELECT
+        l.${keyColumn} AS key,
+        l.${recordId} AS record_id,
+        (SELECT jsonb_object_agg(o.key, o.value) FROM jsonb_each(to_jsonb(l)) o
+          JOIN jsonb_each(to_jsonb(s)) n ON n.key = o.key
+          WHERE o.value IS DISTINCT FROM n.value AND o.key NOT IN (${ignored})) AS old_data,
+        (SELECT jsonb_object_agg(n.key, n.value) FROM jsonb_each(to_jsonb(s)) n
+          JOIN jsonb_each(to_jsonb(l)) o ON o.key = n.key
+          WHERE o.value IS DISTINCT FROM n.value AND n.key NOT IN (${ignored})) AS new_data
+      FROM ${live} l
+      JOIN ${stagingTable} s ON s.${keyColumn} = l.${keyColumn}
+      WHERE l.content_hash IS DISTINCT FROM s.content_hash OR l.deleted_at IS NOT NULL
+    ),
+    updated AS (
+      UPDATE ${live} l
+      SET ${sql.join(assignments, sql`, `)},
+          deleted_at = NULL,
+          updated_at = NOW(),
+          last_synced_at = NOW()
+      FROM ${stagingTable} s, diff c
+      WHERE s.${keyColumn} = l.${keyColumn} AND c.key = l.${keyColumn}
+    )
+    INSERT INTO audit_log (table_name, record_id, action, old_data, new_data)
+    SELECT ${tableName}, record_id, 'UPDATE', old_data, new_data FROM diff WHERE new_data IS NOT NULL
+  `);
+
+  await tx.execute(sql`
+    UPDATE ${live} l SET last_synced_at = NOW()
+    FROM ${stagingTable} s
+    WHERE s.${keyColumn} = l.${keyColumn}
+  `);
+
+  return result.count;
+}
+
+/**
+ * Soft-delete live rows that are no longer present upstream
+ */
+async function tombstoneMissingRows(tx, staging, key) {
+  const { live, stagingTable, keyColumn, recordId, tableName } = describe(staging, key);
+
+  const result = await tx.execute(sql`
+    WITH gone AS (
+      SELECT l.${keyColumn} AS key, l.${recordId} AS record_id, to_jsonb(l) AS old_data
+      FROM ${live} l
+      WHERE l.deleted_at IS NULL
+        AND NOT EXISTS (SELECT 1 FROM ${stagingTable} s WHERE s.${keyColumn} = l.${keyColumn})
+    ),
+    deleted AS (
+      UPDATE ${live} l SET deleted_at = NOW(), updated_at = NOW()
+      FROM gone g
+      WHERE l.${keyColumn} = g.key
+    )
+    INSERT INTO audit_log (table_name, record_id, action, old_data)
+    SELECT ${tableName}, record_id, 'DELETE', old_data FROM gone
+  `);
+
+  return result.count;
+}
+
+/**
+ * Bring record_history in line with the merged live table
+ * The current version of a record is closed when the record was tombstoned or its content hash changed,
+ * and a new version is opened for every live record without a current version. Because this compares
+ * state rather than replaying the merge, the first run backfills history and a rollback is reconciled
+ * on the next load. NOW() is the transaction start, so a closed version ends exactly where the next begins.
+ */
+async function syncHistory(tx, staging, key) {
+  const { live, keyColumn, tableName } = describe(staging, key);
+  const unhashed = sql.join(UNHASHED_COLUMNS.map(name => sql`${name}`), sql`, `);
+
+  const closed = await tx.execute(sql`
+    UPDATE record_history h SET valid_to = NOW()
+    WHERE h.table_name = ${tableName}
+      AND h.valid_to IS NULL
+      AND NOT EXISTS (
+        SELECT 1 FROM ${live} l
+        WHERE l.${keyColumn}::text = h.record_key
+          AND l.deleted_at IS NULL
+          AND l.content_hash IS NOT DISTINCT FROM h.content_hash
+      )
+  `);
+
+  const opened = await tx.execute(sql`
+    INSERT INTO record_history (table_name, record_key, data, content_hash, valid_from)
+    SELECT ${tableName}, l.${keyColumn}::text, to_jsonb(l) - ARRAY[${unhashed}]::text[], l.content_hash, NOW()
+    FROM ${live} l
+    WHERE l.deleted_at IS NULL
+      AND NOT EXISTS (
+        SELECT 1 FROM record_history h
+        WHERE h.table_name = ${tableName} AND h.record_key = l.${keyColumn}::text AND h.valid_to IS NULL
+      )
+  `);
+
+  return { opened: opened.count, closed: closed.count };
+}
+
+/**
+ * SQL fragments shared by the merge steps
+ */
+function describe(staging, key) {
+  const columns = Object.values(getTableColumns(staging.table)).map(column => column.name);
+
+  return {
+    live: sql.identifier(staging.liveName),
+    stagingTable: sql.identifier(staging.name),
+    keyColumn: sql.identifier(staging.table[key].name),
+    recordId: sql.identifier(staging.table.id ? staging.table.id.name : staging.table[key].name),
+    columnList: sql.join(columns.map(name => sql.identifier(name)), sql`, `),
+    tableName: staging.liveName,
+    columns,
+  };
+}
@@ -0,0 +1,348 @@
+// ABOUTME: Profiles the datasets a seed fetches and produces - null/empty rates, distinct counts, quantiles, top values
+// ABOUTME: Stores one profile per dataset and stage per run in dataset_profiles and writes them as a Markdown report
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { datasetProfiles } from '../../server/lib/schema.ts';
+import { formatNumber } from './seed-utils.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('Profile');
+
+const PROFILE_ROOT = process.env.SEED_PROFILE_DIR || path.join('data', 'profiles');
+
+// Per-field limits, so profiling a large source keeps memory flat
+const MAX_DISTINCT = 5000; // Values counted per field; past this, distinct counts and top values are lower bounds
+const SAMPLE_SIZE = 5000; // Numeric values sampled per field (reservoir sampling) for the quantiles
+const TOP_VALUES = 5;
+const QUANTILES = { p5: 0.05, p25: 0.25, p50: 0.5, p75: 0.75, p95: 0.95 };
+
+// Socrata returns numbers and dates as strings
+const NUMERIC = /^-?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/;
+const DATE = /^\d{4}-\d{2}-\d{2}/;
+
+/**
+ * Start profiling a run's datasets
+ * Profiles are stored for runs recorded in the ledger; the report is written for every run (dry runs included).
+ * Like the ledger, profiling never fails the seed.
+ *
+ * @param {object} db - Drizzle database instance
+ * @param {string} seed - Seed being run ('housing', 'capital', 'financial')
+ * @param {object|null} run - Run handle from startSeedRun (null for unrecorded runs)
+ * @returns {object} { source(dataset, options), finish() }
+ */
+export function createProfileSession(db, seed, run) {
+  const profilers = new Map(); // 'dataset:stage' -> profiler
+  let finished = false;
+
+  return {
+    /**
+     * Profiler for one dataset at one stage (the same one is returned for repeated calls, e.g. per fiscal year)
+     * @param {string} dataset - Dataset name, e.g. 'dcp-housing-database'
+     * @param {object} options - Profile options
+     * @param {string} options.stage - 'fetched' (raw source records) or 'processed' (rows the seed produced)
+     * @param {object} options.coordinates - Latitude/longitude fields for the bounding box (e.g., { lat: 'Latitude', lon: 'Longitude' })
+     * @returns {object} { add(records) }
+     */
+    source(dataset, options = {}) {
+      const { stage = 'fetched' } = options;
+      const key = `${dataset}:${stage}`;
+      if (!profilers.has(key)) profilers.set(key, createProfiler(dataset, stage, options));
+      return profilers.get(key);
+    },
+
+    /**
+     * Log a line per profile, store the profiles and write the report
+     * @returns {Promise<object>} { profiles, reportPath }
+     */
+    async finish() {
+      if (finished) return { profiles: [], reportPath: null };
+      finished = true;
+
+      const profiles = [...profilers.values()].map(profiler => profiler.result()).filter(profile => profile.recordCount > 0);
+      if (profiles.length === 0) return { profiles, reportPath: null };
+
+      for (const profile of profiles) {
+        log.info(`${profile.dataset} (${profile.stage}): ${formatNumber(profile.recordCount)} records, ${Object.keys(profile.fields).length} fields`,
+          { dataset: profile.dataset, stage: profile.stage, records: profile.recordCount });
+      }
+
+      if (run?.id) {
+        try {
+          await db.insert(datasetProfiles).values(profiles.map(profile => ({ runId: run.id, seed, ...profile })));
+        } catch (error) {
+          log.warn(`Could not store dataset profiles: ${error.message}`);
+        }
+      }
+
+      let reportPath = null;
+      try {
+        const dir = path.join(PROFILE_ROOT, seed);
+        fs.mkdirSync(dir, { recursive: true });
+        reportPath = path.join(dir, run?.id ? `run-${run.id}.md` : `dry-run-${new Date().toISOString().replace(/[:.]/g, '-')}.md`);
+        fs.writeFileSync(reportPath, renderProfileReport({ seed, runId: run?.id ?? null, generatedAt: new Date() }, profiles));
+        log.info(`Profile report written to ${reportPath}\n`);
+      } catch (error) {
+        reportPath = null;
+        log.warn(`Could not write profile report: ${error.message}`);
+      }
+
+      return { profiles, reportPath };
+    },
+  };
+}
+
+/**
+ * Streaming profile of one dataset - records are added page by page and never kept
+ */
+function createProfiler(dataset, stage, options = {}) {
+  const { coordinates = null } = options;
+  const fields = new Map();
+  const bbox = coordinates ? { minLat: null, maxLat: null, minLon: null, maxLon: null, points: 0, invalid: 0 } : null;
+  let recordCount = 0;
+
+  const addCoordinates = (record) => {
+    const [rawLat, rawLon] = [record[coordinates.lat], record[coordinates.lon]];
+    if ((rawLat === null || rawLat === undefined) && (rawLon === null || rawLon === undefined)) return;
+
+    const [lat, lon] = [Number(rawLat), Number(rawLon)];
+    if (!Number.isFinite(lat) || !Number.isFinite(lon) || lat === 0 || lon === 0 || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+      bbox.invalid++;
+      return;
+    }
+
+    bbox.points++;
+    bbox.minLat = bbox.minLat === null ? lat : Math.min(bbox.minLat, lat);
+    bbox.maxLat = bbox.maxLat === null ? lat : Math.max(bbox.maxLat, lat);
+    bbox.minLon = bbox.minLon === null ? lon : Math.min(bbox.minLon, lon);
+    bbox.maxLon = bbox.maxLon === null ? lon : Math.max(bbox.maxLon, lon);
+  };
+
+  return {
+    add(records) {
+      for (const record of records) {
+        recordCount++;
+        for (const [name, value] of Object.entries(record)) {
+          if (!fields.has(name)) fields.set(name, createFieldStats());
+          addValue(fields.get(name), value);
+        }
+        if (bbox) addCoordinates(record);
+      }
+    },
+
+    result() {
+      return {
+        dataset,
+        stage,
+        recordCount,
+        fields: Object.fromEntries([...fields].map(([name, stats]) => [name, summarizeField(stats, recordCount)])),
+        bbox: bbox && (bbox.points > 0 || bbox.invalid > 0) ? bbox : null,
+      };
+    },
+  };
+}
+
+function createFieldStats() {
+  return {
+    present: 0,
+    empties: 0,
+    kinds: { numeric: 0, date: 0, boolean: 0, object: 0, text: 0 },
+    counts: new Map(),
+    capped: false,
+    numbers: 0,
+    min: null,
+    max: null,
+    sum: 0,
+    sample: [],
+    minDate: null,
+    maxDate: null,
+  };
+}
+
+/**
+ * Count one value of a field (missing and null values are derived from the record count)
+ */
+function addValue(stats, value) {
+  if (value === null || value === undefined) return;
+  if (value instanceof Date) value = value.toISOString();
+
+  if (typeof value === 'object') {
+    if (Array.isArray(value) ? value.length === 0 : Object.keys(value).length === 0) {
+      stats.empties++;
+    } else {
+      stats.present++;
+      stats.kinds.object++;
+    }
+    return;
+  }
+
+  if (typeof value === 'string' && value.trim() === '') {
+    stats.empties++;
+    return;
+  }
+
+  stats.present++;
+  const text = String(value);
+
+  if (stats.counts.has(text)) {
+    stats.counts.set(text, stats.counts.get(text) + 1);
+  } else if (stats.counts.size < MAX_DISTINCT) {
+    stats.counts.set(text, 1);
+  } else {
+    stats.capped = true;
+  }
+
+  if (typeof value === 'boolean') {
+    stats.kinds.boolean++;
+  } else if (typeof value === 'number' || NUMERIC.test(text)) {
+    stats.kinds.numeric++;
+    addNumber(stats, Number(value));
+  } else if (DATE.test(text)) {
+    stats.kinds.date++;
+    if (stats.minDate === null || text < stats.minDate) stats.minDate = text;
+    if (stats.maxDate === null || text > stats.maxDate) stats.maxDate = text;
+  } else {
+    stats.kinds.text++;
+  }
+}
+
+function addNumber(stats, number) {
+  if (!Number.isFinite(number)) return;
+
+  stats.numbers++;
+  stats.sum += number;
+  stats.min = stats.min === null ? number : Math.min(stats.min, number);
+  stats.max = stats.max === null ? number : Math.max(stats.max, number);
+
+  if (stats.sample.length < SAMPLE_SIZE) {
+    stats.sample.push(number);
+  } else {
+    const slot = Math.floor(Math.random() * stats.numbers);
+    if (slot < SAMPLE_SIZE) stats.sample[slot] = number;
+  }
+}
+
+/**
+ * Stats of one field: the kind its values share, null/empty rates, distinct count,
+ * min/max/mean/quantiles for numbers, date range for dates, and top values for everything else
+ */
+function summarizeField(stats, recordCount) {
+  const nulls = recordCount - stats.present - stats.empties;
+  const summary = {
+    kind: fieldKind(stats),
+    nullRate: round(nulls / recordCount),
+    emptyRate: round(stats.empties / recordCount),
+    distinct: stats.kinds.object > 0 ? null : stats.counts.size,
+  };
+  if (stats.capped) summary.distinctCapped = true;
+
+  if (summary.kind === 'numeric' && stats.numbers > 0) {
+    const sorted = [...stats.sample].sort((a, b) => a - b);
+    summary.min = stats.min;
+    summary.max = stats.max;
+    summary.mean = stats.sum / stats.numbers;
+    summary.quantiles = Object.fromEntries(Object.entries(QUANTILES).map(([name, q]) => [name, quantile(sorted, q)]));
+    if (stats.numbers > SAMPLE_SIZE) summary.sampled = true;
+  } else if (summary.kind === 'date') {
+    summary.min = stats.minDate;
+    summary.max = stats.maxDate;
+  } else if (summary.kind === 'text' || summary.kind === 'boolean' || summary.kind === 'mixed') {
+    summary.top = [...stats.counts]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, TOP_VALUES)
+      .map(([value, count]) => ({ value, count }));
+  }
+
+  return summary;
+}
+
+function fieldKind(stats) {
+  if (stats.present === 0) return 'empty';
+  const kinds = Object.entries(stats.kinds).filter(([, count]) => count > 0);
+  return kinds.length === 1 ? kinds[0][0] : 'mixed';
+}
+
+/**
+ * Linear-interpolated quantile of sorted values
+ */
+function quantile(sorted, q) {
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+function round(rate) {
+  return Math.round(rate * 10000) / 10000;
+}
+
+/**
+ * Render profiles as a self-contained Markdown report
+ * @param {object} meta - { seed, runId, generatedAt }
+ * @param {Array<object>} profiles - Profiles from a session's finish(), or dataset_profiles rows
+ * @returns {string} Markdown
+ */
+export function renderProfileReport(meta, profiles) {
+  const lines = [
+    `# Data profile: ${meta.seed}${meta.runId ? ` run #${meta.runId}` : ' (dry run)'}`,
+    '',
+    `Generated ${new Date(meta.generatedAt).toISOString()}. Null % counts missing fields; values marked ≥ or ~ are `
+      + `lower bounds or estimates (over ${formatNumber(MAX_DISTINCT)} distinct values, or quantiles of a `
+      + `${formatNumber(SAMPLE_SIZE)}-value sample).`,
+    '',
+  ];
+
+  for (const profile of profiles) {
+    lines.push(`## ${profile.dataset} (${profile.stage})`, '');
+    lines.push(`${formatNumber(profile.recordCount)} records, ${Object.keys(profile.fields).length} fields`, '');
+
+    if (profile.bbox) {
+      const { minLat, maxLat, minLon, maxLon, points, invalid } = profile.bbox;
+      lines.push(points > 0
+        ? `Coordinates: ${formatNumber(points)} points within lat ${minLat}..${maxLat}, lon ${minLon}..${maxLon}`
+          + (invalid > 0 ? ` (${formatNumber(invalid)} invalid)` : '')
+        : `Coordinates: none valid (${formatNumber(invalid)} invalid)`, '');
+    }
+
+    lines.push('| Field | Type | Null % | Empty % | Distinct | Min | P25 | Median | P75 | Max | Top values |');
+    lines.push('|---|---|---:|---:|---:|---:|---:|---:|---:|---:|---|');
+    for (const [name, field] of Object.entries(profile.fields)) {
+      const approx = field.sampled ? '~' : '';
+      lines.push(`| ${[
+        escapeCell(name),
+        field.kind,
+        percent(field.nullRate),
+        percent(field.emptyRate),
+        field.distinct === null ? '' : `${field.distinctCapped ? '≥' : ''}${formatNumber(field.distinct)}`,
+        formatStat(field.min),
+        field.quantiles ? approx + formatStat(field.quantiles.p25) : '',
+        field.quantiles ? approx + formatStat(field.quantiles.p50) : '',
+        field.quantiles ? approx + formatStat(field.quantiles.p75) : '',
+        formatStat(field.max),
+        (field.top || []).map(({ value, count }) => `${escapeCell(truncate(value))} (${formatNumber(count)})`).join(', '),
+      ].join(' | ')} |`);
+    }
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+function percent(rate) {
+  return rate > 0 ? `${(rate * 100).toFixed(1)}%` : '0%';
+}
+
+function formatStat(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'string') return escapeCell(value);
+  if (Math.abs(value) >= 10000) return formatNumber(Math.round(value));
+  return String(Number(value.toPrecision(6)));
+}
+
+function truncate(value, length = 40) {
+  return value.length > length ? `${value.slice(0, length - 1)}…` : value;
+}
+
+function escapeCell(value) {
+  return String(value).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
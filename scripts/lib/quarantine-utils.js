@@ -0,0 +1,118 @@
+// ABOUTME: Stores source records rejected by a seed's processing rules in quarantined_records, with their raw payload
+// ABOUTME: Tallies rejections per source and rule for the run summary, and prunes rows of older runs
+
+import { sql } from 'drizzle-orm';
+import { quarantinedRecords } from '../../server/lib/schema.ts';
+import { formatNumber } from './seed-utils.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('Quarantine');
+
+// Runs per seed whose rejected records are kept
+const KEEP_RUNS = parseInt(process.env.SEED_QUARANTINE_KEEP_RUNS || '5', 10);
+
+/**
+ * Start quarantining a run's rejected records
+ * Rejections are always counted; they are only stored for runs recorded in the ledger (not dry runs).
+ * Like the ledger, a quarantine write never fails the seed.
+ *
+ * @param {object} db - Drizzle database instance
+ * @param {object|null} run - Run handle from startSeedRun (null for unrecorded runs)
+ * @returns {object} { source(name, options), finish() }
+ */
+export function createQuarantine(db, run) {
+  const counts = {}; // source -> rule -> count
+  let writable = Boolean(run?.id);
+
+  return {
+    /**
+     * Sink for one source's rejections (pass as streamInsert's `quarantine` option)
+     * @param {string} sourceDataset - Source name, e.g. 'dcp-housing-database'
+     * @param {object} options - Source options
+     * @param {Function} options.key - Upstream key of a raw record (e.g., record => record.Job_Number)
+     * @returns {object} { add(record, rule, reason), flush() }
+     */
+    source(sourceDataset, options = {}) {
+      const { key = () => null } = options;
+      const sourceCounts = counts[sourceDataset] ??= {};
+      let pending = [];
+
+      return {
+        add(record, rule, reason = null) {
+          sourceCounts[rule] = (sourceCounts[rule] || 0) + 1;
+          if (!writable) return;
+
+          const sourceKey = key(record);
+          pending.push({
+            runId: run.id,
+            seed: run.seed,
+            sourceDataset,
+            sourceKey: sourceKey == null ? null : String(sourceKey),
+            rule,
+            reason,
+            payload: record,
+          });
+        },
+
+        async flush() {
+          if (pending.length === 0) return;
+          const rows = pending;
+          pending = [];
+
+          try {
+            await db.insert(quarantinedRecords).values(rows);
+          } catch (error) {
+            writable = false;
+            log.warn(`Could not store rejected records (counting only from now on): ${error.message}`);
+          }
+        },
+      };
+    },
+
+    /**
+     * Log rejections per source and rule, and prune rows of older runs
+     * @returns {Promise<object>} { total, bySource: { [source]: { [rule]: count } } }
+     */
+    async finish() {
+      let total = 0;
+      for (const [sourceDataset, rules] of Object.entries(counts)) {
+        for (const [rule, count] of Object.entries(rules).sort((a, b) => b[1] - a[1])) {
+          log.info(`${sourceDataset}: ${formatNumber(count)} rejected (${rule})`, { source: sourceDataset, rule, count });
+          total += count;
+        }
+      }
+
+      if (total > 0) {
+        log.info(writable
+          ? `${formatNumber(total)} rejected records stored for run #${run.id} - see npm run seed:quarantine\n`
+          : `${formatNumber(total)} rejected records (not stored)\n`);
+      }
+
+      if (run?.id) await pruneQuarantine(db, run.seed);
+      return { total, bySource: counts };
+    },
+  };
+}
+
+/**
+ * Delete quarantined records of a seed, except those of its latest runs
+ * @param {object} db - Drizzle database instance
+ * @param {string} seed - Seed whose rows to prune
+ * @param {number} keepRuns - Runs to keep (default: SEED_QUARANTINE_KEEP_RUNS or 5)
+ */
+export async function pruneQuarantine(db, seed, keepRuns = KEEP_RUNS) {
+  try {
+    await db.execute(sql`
+      DELETE FROM ${quarantinedRecords}
+      WHERE ${quarantinedRecords.seed} = ${seed}
+        AND ${quarantinedRecords.runId} NOT IN (
+          SELECT DISTINCT ${quarantinedRecords.runId} FROM ${quarantinedRecords}
+          WHERE ${quarantinedRecords.seed} = ${seed}
+          ORDER BY ${quarantinedRecords.runId} DESC
+          LIMIT ${keepRuns}
+        )
+    `);
+  } catch (error) {
+    log.warn(`Could not prune quarantined records: ${error.message}`);
+  }
+}
@@ -0,0 +1,162 @@
+// ABOUTME: Structural checks every generated sankey must pass - links between known nodes, positive values, no cycles
+// ABOUTME: Also checks that levels only increase along links and that value is conserved at intermediate nodes
+
+import { ValidationError } from './validation-utils.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('Sankey');
+
+// Offending links/cycles kept per problem for the report (leaking nodes are all listed)
+const MAX_EXAMPLES = 10;
+
+/**
+ * Validate the structure of a sankey dataset
+ *   - nodes have unique ids, and every link's source and target is one of them
+ *   - link values are positive, finite numbers
+ *   - no self-loops or cycles, and levels only increase along links
+ *   - flow conservation: every intermediate node (one with both inflow and outflow, or one on an inner
+ *     level) sends on what it receives, within a relative tolerance
+ *
+ * @param {object} dataset - Sankey dataset ({ id, nodes, links })
+ * @param {object} options - Validation options
+ * @param {number} options.tolerance - Allowed inflow/outflow difference, relative to the larger of the two
+ *   (default: 0.001, i.e. 0.1%)
+ * @returns {object} { nodes, links } counts
+ * @throws {ValidationError} Listing every problem found (e.g., each node that leaks value and by how much)
+ */
+export function validateSankey(dataset, options = {}) {
+  const { tolerance = 0.001 } = options;
+  const label = `Sankey dataset ${dataset.id}`;
+
+  if (!dataset.id || !Array.isArray(dataset.nodes) || !Array.isArray(dataset.links)) {
+    throw new ValidationError(`${label} missing required fields`, { dataset: dataset.id ?? null });
+  }
+  if (dataset.nodes.length === 0 || dataset.links.length === 0) {
+    throw new ValidationError(`${label} has empty nodes or links`, { dataset: dataset.id });
+  }
+
+  const problems = {
+    duplicateNodes: [],
+    missingNodes: [],
+    invalidValues: [],
+    selfLoops: [],
+    levelViolations: [],
+    cycles: [],
+    unbalanced: [],
+  };
+
+  const nodes = new Map();
+  for (const node of dataset.nodes) {
+    if (nodes.has(node.id)) problems.duplicateNodes.push(node.id);
+    else nodes.set(node.id, node);
+  }
+
+  const inflow = new Map();
+  const outflow = new Map();
+  const edges = new Map(); // source id -> target ids (links between known nodes, self-loops excluded)
+
+  for (const link of dataset.links) {
+    const missing = [link.source, link.target].filter(id => !nodes.has(id));
+    if (missing.length > 0) {
+      problems.missingNodes.push({ source: link.source, target: link.target, missing });
+      continue;
+    }
+
+    if (typeof link.value !== 'number' || !Number.isFinite(link.value) || link.value <= 0) {
+      problems.invalidValues.push({ source: link.source, target: link.target, value: link.value ?? null });
+    } else {
+      outflow.set(link.source, (outflow.get(link.source) || 0) + link.value);
+      inflow.set(link.target, (inflow.get(link.target) || 0) + link.value);
+    }
+
+    if (link.source === link.target) {
+      problems.selfLoops.push(link.source);
+      continue;
+    }
+
+    const [sourceLevel, targetLevel] = [nodes.get(link.source).level, nodes.get(link.target).level];
+    if (!(targetLevel > sourceLevel)) {
+      problems.levelViolations.push({ source: link.source, target: link.target, sourceLevel, targetLevel });
+    }
+
+    if (!edges.has(link.source)) edges.set(link.source, new Set());
+    edges.get(link.source).add(link.target);
+  }
+
+  problems.cycles = findCycles(nodes, edges);
+
+  // Nodes on inner levels must pass flow on, even if one side is missing entirely
+  const levels = [...nodes.values()].map(node => node.level).filter(Number.isFinite);
+  const [minLevel, maxLevel] = [Math.min(...levels), Math.max(...levels)];
+
+  for (const [id, node] of nodes) {
+    const [nodeIn, nodeOut] = [inflow.get(id) || 0, outflow.get(id) || 0];
+    const intermediate = (nodeIn > 0 && nodeOut > 0) || (node.level > minLevel && node.level < maxLevel);
+    if (!intermediate) continue;
+
+    const difference = nodeIn - nodeOut;
+    if (Math.abs(difference) > tolerance * Math.max(nodeIn, nodeOut)) {
+      problems.unbalanced.push({ node: id, inflow: nodeIn, outflow: nodeOut, difference });
+    }
+  }
+
+  const found = Object.entries(problems).filter(([, list]) => list.length > 0);
+  if (found.length > 0) {
+    const details = { dataset: dataset.id, tolerance };
+    for (const [name, list] of found) {
+      details[name] = name === 'unbalanced' ? list : list.slice(0, MAX_EXAMPLES);
+      if (list.length > MAX_EXAMPLES && name !== 'unbalanced') details[`${name}Count`] = list.length;
+    }
+
+    throw new ValidationError(
+      `${label} failed structural checks: ${found.map(([name, list]) => `${list.length} ${describe(name)}`).join(', ')}`,
+      details
+    );
+  }
+
+  log.success(`${dataset.id}: ${nodes.size} nodes, ${dataset.links.length} links - connected, acyclic and balanced`);
+  return { nodes: nodes.size, links: dataset.links.length };
+}
+
+/**
+ * Find cycles with a depth-first search (each reported as the node ids around it)
+ */
+function findCycles(nodes, edges) {
+  const cycles = [];
+  const state = new Map(); // id -> 'visiting' | 'done'
+  const path = [];
+
+  const visit = (id) => {
+    state.set(id, 'visiting');
+    path.push(id);
+
+    for (const target of edges.get(id) || []) {
+      if (state.get(target) === 'visiting') {
+        if (cycles.length < MAX_EXAMPLES) cycles.push([...path.slice(path.indexOf(target)), target]);
+      } else if (!state.has(target)) {
+        visit(target);
+      }
+    }
+
+    path.pop();
+    state.set(id, 'done');
+  };
+
+  for (const id of nodes.keys()) {
+    if (!state.has(id)) visit(id);
+  }
+
+  return cycles;
+}
+
+function describe(problem) {
+  return {
+    duplicateNodes: 'duplicate node id(s)',
+    missingNodes: 'link(s) to unknown nodes',
+    invalidValues: 'link(s) without a positive value',
+    selfLoops: 'self-loop(s)',
+    levelViolations: 'link(s) not going to a higher level',
+    cycles: 'cycle(s)',
+    unbalanced: 'node(s) leaking value',
+  }[problem];
+}
@@ -0,0 +1,71 @@
+// ABOUTME: Runs seed scripts in child processes and collects their JSON results
+// ABOUTME: Shared by the seed orchestrator (scripts/seed.js) and the refresh daemon (scripts/seed-daemon.js)
+
+import { spawn } from 'node:child_process';
+import path from 'node:path';
+import readline from 'node:readline';
+import { fileURLToPath } from 'node:url';
+import { failedResult } from './cli-utils.js';
+import { timer } from './seed-utils.js';
+import { getLogFormat } from './logger.js';
+
+const SCRIPTS_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// Seed scripts, and the seeds whose tables they read (those finish first)
+// None of the current seeds reads another seed's tables, so all of them can run at once
+export const SEEDERS = {
+  housing: { script: 'seed-housing.js', dependsOn: [] },
+  capital: { script: 'seed-capital-budget.js', dependsOn: [] },
+  financial: { script: 'seed-financial.js', dependsOn: [] },
+};
+
+// Outcomes that count as failures - skips (no change, locked by another run, failed dependency) don't
+export const FAILED_STATUSES = ['validation-failed', 'error'];
+
+// Outcomes that let dependent seeds run
+export const COMPLETED_STATUSES = ['success', 'skipped-no-change', 'dry-run'];
+
+/**
+ * Run one seed script in its own process
+ * Seeds keep per-run state in module globals (archive session, run ledger), so each one gets a process.
+ * The child prints its JSON result on stdout; its logs are forwarded line by line, prefixed with the seed name
+ * (JSON log lines are forwarded as they are - they carry the seed name already).
+ *
+ * @param {string} seed - Seed name
+ * @param {Array<string>} argv - Command line options to pass on
+ * @param {object} options - Run options
+ * @param {Function} options.onSpawn - Called with the child process (e.g., to stop it on shutdown)
+ * @param {boolean} options.detached - Run in its own process group, so a Ctrl-C meant for us doesn't reach it
+ * @returns {Promise<object>} The seed's result (never rejects)
+ */
+export function runSeed(seed, argv, options = {}) {
+  const { onSpawn = null, detached = false } = options;
+  const t = timer();
+
+  return new Promise((resolve) => {
+    const child = spawn(process.execPath, [path.join(SCRIPTS_DIR, SEEDERS[seed].script), ...argv, '--json'], {
+      stdio: ['ignore', 'pipe', 'pipe'],
+      detached,
+    });
+    if (onSpawn) onSpawn(child);
+
+    let stdout = '';
+    child.stdout.on('data', (chunk) => {
+      stdout += chunk;
+    });
+    readline.createInterface({ input: child.stderr }).on('line', (line) => {
+      process.stderr.write(getLogFormat() === 'json' ? `${line}\n` : `[${seed}] ${line}\n`);
+    });
+
+    child.on('error', error => resolve({ ...failedResult(seed, error), duration: t.stop() }));
+    child.on('close', (code, signal) => {
+      try {
+        const [result] = JSON.parse(stdout).results;
+        resolve(result);
+      } catch {
+        const exit = signal ? `was stopped by ${signal}` : `exited with code ${code}`;
+        resolve({ seed, status: 'error', error: `Seed process ${exit} without a result`, duration: t.stop() });
+      }
+    });
+  });
+}
@@ -1,10 +1,22 @@
 // ABOUTME: Shared utilities for database seeding scripts
 // ABOUTME: Provides database connection, progress logging, and error handling helpers
 
+import { createHash } from 'node:crypto';
 import { drizzle } from 'drizzle-orm/postgres-js';
-import { sql } from 'drizzle-orm';
+import { sql, eq } from 'drizzle-orm';
 import postgres from 'postgres';
 import * as schema from '../../server/lib/schema.ts';
+import { withArchive, archivePayload } from './archive-utils.js';
+import { openCheckpoint } from './checkpoint-utils.js';
+import { fetchJson } from './http-client.js';
+import { isStagingHandle, insertStaging } from './staging-utils.js';
+import { createLogger, setLogContext } from './logger.js';
+
+const seedLog = createLogger('Seed');
+const fetchLog = createLogger('Fetch');
+const insertLog = createLogger('Insert');
+const clearLog = createLogger('Clear');
+const runLog = createLogger('Run');
 
 /**
  * Initialize database connection for seeding
@@ -13,21 +25,20 @@ export function initDb() {
   const connectionString = process.env.DATABASE_URL;
 
   if (!connectionString) {
-    console.error('ERROR: DATABASE_URL environment variable is not set');
-    console.error('Please create a .env file with your Supabase connection string');
-    console.error('See .env.example for format');
-    process.exit(1);
+    seedLog.error('DATABASE_URL environment variable is not set');
+    seedLog.error('Please create a .env file with your Supabase connection string (see .env.example for format)');
+    throw new Error('DATABASE_URL environment variable is not set');
   }
 
-  console.log('[Seed] Connecting to database...');
+  seedLog.info('Connecting to database...');
 
   // Parse connection string to modify if needed
   let finalConnectionString = connectionString;
 
   // If using Supabase direct connection, recommend using pooler for CI
   if (connectionString.includes('supabase.co') && !connectionString.includes('pooler')) {
-    console.warn('[Seed] ⚠️  Using direct connection. For better reliability in CI, consider using connection pooler.');
-    console.warn('[Seed]     Change: db.xxx.supabase.co → aws-0-[region].pooler.supabase.com');
+    seedLog.warn('Using direct connection. For better reliability in CI, consider using connection pooler.');
+    seedLog.info('    Change: db.xxx.supabase.co → aws-0-[region].pooler.supabase.com');
   }
 
   const client = postgres(finalConnectionString, {
@@ -39,126 +50,122 @@ export function initDb() {
 
   const db = drizzle(client, { schema });
 
-  console.log('[Seed] Database connection established\n');
+  seedLog.info('Database connection established\n');
 
   return { db, client };
 }
 
 /**
  * Fetch data from NYC Open Data with pagination
+ * Collects every page from iterateNycOpenData - use the iterator directly for large datasets
+ * @param {string} url - API endpoint
+ * @param {object} options - Fetch options (see iterateNycOpenData)
+ * @returns {Promise<Array>} All records
+ */
+export async function fetchNycOpenData(url, options = {}) {
+  const allRecords = [];
+
+  for await (const page of iterateNycOpenData(url, options)) {
+    for (const record of page) {
+      allRecords.push(record);
+    }
+  }
+
+  return allRecords;
+}
+
+/**
+ * Iterate over NYC Open Data one page at a time
+ * Every page is archived (or replayed from the archive in reprocess mode) and checkpointed,
+ * so a run that fails part-way resumes from the last good page
+ * Requests go through the shared HTTP client, which handles rate limiting and retries
  * @param {string} url - API endpoint
  * @param {object} options - Fetch options
  * @param {number} options.limit - Records per page
  * @param {number} options.totalLimit - Maximum total records to fetch
- * @param {string} options.where - SoQL WHERE clause
- * @param {string} options.order - SoQL ORDER clause
+ * @param {string} options.where - SoQL WHERE clause (not with `query` - use its where())
+ * @param {string} options.order - SoQL ORDER clause (not with `query` - use its order())
  * @param {object} options.params - Additional query parameters (e.g., fiscal_year, publication_date)
- * @returns {Promise<Array>} All records
+ * @param {object} options.query - SoQL builder from soql.js ($select/$where/$group/... and total limit)
+ * @returns {AsyncGenerator<Array>} Pages of records
  */
-export async function fetchNycOpenData(url, options = {}) {
+export async function* iterateNycOpenData(url, options = {}) {
   const {
     limit = 10000, // Reduced from 50000 to avoid timeouts
-    totalLimit = Infinity,
     where = null,
     order = null,
     params: customParams = {},
+    query = null,
   } = options;
 
-  let allRecords = [];
-  let offset = 0;
+  if (query && (where || order)) {
+    throw new Error('iterateNycOpenData: pass where/order through the SoQL query builder, not alongside it');
+  }
+
+  // A SoQL builder supplies its own clauses; its $limit caps the total while we page underneath it
+  const { $limit: queryLimit, ...queryParams } = query ? query.toParams() : {};
+  const totalLimit = Math.min(options.totalLimit ?? Infinity, queryLimit ? parseInt(queryLimit, 10) : Infinity);
+
+  const checkpoint = openCheckpoint('socrata', { url, limit, totalLimit, where, order, params: customParams, query: queryParams });
+
+  recordRunSource({ type: 'socrata', url, params: { limit, totalLimit, where, order, ...customParams, ...queryParams } });
+
+  let total = 0;
+  let offset = checkpoint.offset;
   let hasMore = true;
 
-  while (hasMore && allRecords.length < totalLimit) {
+  // Restore pages fetched by a previous (failed) run, re-archiving them for this run
+  for (const page of checkpoint.pages) {
+    archivePayload(page.url, page.payload);
+    total += page.payload.length;
+    recordRunFetched(page.payload.length);
+    yield page.payload;
+  }
+
+  while (hasMore && total < totalLimit) {
     const params = new URLSearchParams({
       $limit: limit.toString(),
       $offset: offset.toString(),
       ...customParams, // Spread custom parameters
+      ...queryParams, // SoQL builder clauses
     });
 
     if (where) params.append('$where', where);
     if (order) params.append('$order', order);
 
     const fetchUrl = `${url}?${params.toString()}`;
-    console.log(`[Fetch] Offset ${offset}...`);
-
-    // Retry logic for this specific batch
-    const maxRetries = 3;
-    let retryCount = 0;
-    let batch = null;
-
-    while (retryCount < maxRetries) {
-      try {
-        // Use AbortController for timeout
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 60000); // 60 second timeout
-
-        const response = await fetch(fetchUrl, {
-          signal: controller.signal,
-          headers: {
-            'Accept': 'application/json',
-          },
-        });
-
-        clearTimeout(timeoutId);
-
-        if (!response.ok) {
-          throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-        }
-
-        batch = await response.json();
-        break; // Success, exit retry loop
-
-      } catch (error) {
-        retryCount++;
-
-        if (error.name === 'AbortError') {
-          console.error(`[Fetch] Request timed out (attempt ${retryCount}/${maxRetries})`);
-        } else if (error.code === 'ECONNRESET' || error.errno === 0) {
-          console.error(`[Fetch] Connection reset (attempt ${retryCount}/${maxRetries}): ${error.message}`);
-        } else {
-          console.error(`[Fetch] Error (attempt ${retryCount}/${maxRetries}):`, error.message);
-        }
-
-        if (retryCount >= maxRetries) {
-          console.error(`[Fetch] Failed after ${maxRetries} attempts at offset ${offset}`);
-          throw error;
-        }
-
-        // Exponential backoff: 2s, 4s, 8s
-        const backoffMs = Math.pow(2, retryCount) * 1000;
-        console.log(`[Fetch] Retrying in ${backoffMs / 1000}s...`);
-        await sleep(backoffMs);
-      }
-    }
+    fetchLog.info(`Offset ${offset}...`);
+
+    const batch = await withArchive(
+      fetchUrl,
+      () => fetchJson(fetchUrl, { tag: 'Fetch', offset }),
+      { params: Object.fromEntries(params) }
+    );
 
     if (batch === null || batch.length === 0) {
       hasMore = false;
       break;
     }
 
-    allRecords = allRecords.concat(batch);
-    console.log(`[Fetch] Retrieved ${batch.length} records (total: ${allRecords.length})`);
-
     offset += batch.length;
+    checkpoint.save(fetchUrl, batch, offset);
 
     // Stop if we got fewer records than the limit (last page)
     if (batch.length < limit) {
       hasMore = false;
     }
 
-    // Respect rate limits - increased delay
-    await sleep(500);
+    const page = batch.length > totalLimit - total ? batch.slice(0, totalLimit - total) : batch;
+    total += page.length;
+    recordRunFetched(page.length);
+    fetchLog.info(`Retrieved ${batch.length} records (total: ${total})`);
+
+    yield page;
   }
 
-  console.log(`[Fetch] Completed: ${allRecords.length} total records\n`);
-  return allRecords.slice(0, totalLimit);
-}
+  checkpoint.clear();
 
-/**
- * Sleep utility for rate limiting
- */
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+  fetchLog.info(`Completed: ${total} total records\n`);
 }
 
 /**
@@ -177,11 +184,11 @@ export async function batchInsert(db, table, records, options = {}) {
   } = options;
 
   if (records.length === 0) {
-    console.log(`[Insert] No ${label} to insert\n`);
+    insertLog.info(`No ${label} to insert\n`);
     return;
   }
 
-  console.log(`[Insert] Inserting ${records.length} ${label} in batches of ${batchSize}...`);
+  insertLog.info(`Inserting ${records.length} ${label} in batches of ${batchSize}...`);
 
   let inserted = 0;
 
@@ -193,14 +200,106 @@ export async function batchInsert(db, table, records, options = {}) {
       inserted += batch.length;
 
       const percentage = ((inserted / records.length) * 100).toFixed(1);
-      console.log(`[Insert] Progress: ${inserted}/${records.length} (${percentage}%)`);
+      insertLog.info(`Progress: ${inserted}/${records.length} (${percentage}%)`);
+    } catch (error) {
+      insertLog.error(`Error inserting batch ${i}-${i + batch.length}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  insertLog.info(`Successfully inserted ${inserted} ${label}\n`);
+}
+
+/**
+ * Stream pages of records into a table in fixed-size batches
+ * Pages are consumed one at a time, so memory stays flat no matter how large the source is
+ * @param {object} db - Drizzle database instance
+ * @param {object} target - Drizzle table, or a staging handle from staging-utils.js
+ * @param {AsyncIterable<Array>} pages - Pages of source records (e.g., from iterateNycOpenData)
+ * @param {object} options - Insert options
+ * @param {Function} options.transform - Map a source record to a row (return null to skip it). Called as
+ *   transform(record, reject); `return reject(rule, reason)` skips the record and counts it as rejected by the rule
+ * @param {Function} options.onPage - Called with each source page and its index before it is transformed
+ * @param {object} options.quarantine - Where rejected records are stored (a source of createQuarantine in quarantine-utils.js)
+ * @param {object} options.profile - Profilers fed the source records and the rows ({ fetched, processed }, see profile-utils.js)
+ * @param {object} options.merge - Upsert options for keyed staging tables (see insertStaging)
+ * @param {number} options.batchSize - Number of rows per insert
+ * @param {string} options.label - Label for progress logging
+ * @returns {Promise<object>} { read, inserted, skipped, rejected: { [rule]: count } }
+ */
+export async function streamInsert(db, target, pages, options = {}) {
+  const {
+    transform = (record) => record,
+    onPage = null,
+    quarantine = null,
+    profile = {},
+    merge = null,
+    batchSize = 500,
+    label = 'records',
+  } = options;
+
+  insertLog.info(`Streaming ${label} in batches of ${batchSize}...`);
+
+  const insert = isStagingHandle(target)
+    ? (rows) => insertStaging(db, target, rows, { merge })
+    : (rows) => db.insert(target).values(rows).execute();
+
+  let read = 0;
+  let inserted = 0;
+  let skipped = 0;
+  const rejected = {};
+  let pageIndex = 0;
+  let batch = [];
+
+  const flush = async () => {
+    if (batch.length === 0) return;
+
+    try {
+      await insert(batch);
     } catch (error) {
-      console.error(`[Insert] Error inserting batch ${i}-${i + batch.length}:`, error.message);
+      insertLog.error(`Error inserting batch ${inserted}-${inserted + batch.length}: ${error.message}`);
       throw error;
     }
+
+    inserted += batch.length;
+    batch = [];
+  };
+
+  for await (const page of pages) {
+    if (onPage) onPage(page, pageIndex);
+    if (profile.fetched) profile.fetched.add(page);
+    pageIndex++;
+    const pageRows = [];
+
+    for (const record of page) {
+      read++;
+      const row = transform(record, (rule, reason) => {
+        rejected[rule] = (rejected[rule] || 0) + 1;
+        if (quarantine) quarantine.add(record, rule, reason);
+        return null;
+      });
+
+      if (row === null || row === undefined) {
+        skipped++;
+        continue;
+      }
+
+      batch.push(row);
+      if (profile.processed) pageRows.push(row);
+      if (batch.length >= batchSize) {
+        await flush();
+      }
+    }
+
+    if (quarantine) await quarantine.flush();
+    if (profile.processed) profile.processed.add(pageRows);
+    insertLog.info(`Progress: ${inserted + batch.length} ${label} from ${read} records`);
   }
 
-  console.log(`[Insert] Successfully inserted ${inserted} ${label}\n`);
+  await flush();
+
+  insertLog.info(`Successfully streamed ${inserted} ${label} (${skipped} skipped)\n`);
+  return { read, inserted, skipped, rejected };
 }
 
 /**
@@ -210,16 +309,16 @@ export async function batchInsert(db, table, records, options = {}) {
  * @param {string} label - Table label for logging
  */
 export async function clearTable(db, tableName, label) {
-  console.log(`[Clear] Clearing ${label} table...`);
+  clearLog.info(`Clearing ${label} table...`);
 
   try {
     // Use TRUNCATE for faster, more reliable table clearing
     // RESTART IDENTITY resets auto-increment sequences
     // CASCADE removes dependent rows
     await db.execute(sql.raw(`TRUNCATE TABLE "${tableName}" RESTART IDENTITY CASCADE`));
-    console.log(`[Clear] Cleared ${label} table\n`);
+    clearLog.info(`Cleared ${label} table\n`);
   } catch (error) {
-    console.error(`[Clear] Error clearing ${label}:`, error.message);
+    clearLog.error(`Error clearing ${label}: ${error.message}`);
     throw error;
   }
 }
@@ -228,9 +327,138 @@ export async function clearTable(db, tableName, label) {
  * Gracefully close database connection
  */
 export async function closeDb(client) {
-  console.log('[Seed] Closing database connection...');
+  seedLog.info('Closing database connection...');
   await client.end();
-  console.log('[Seed] Done!\n');
+  seedLog.info('Done!\n');
+}
+
+/**
+ * ========================================================================
+ * RUN LEDGER
+ * Every seed run is recorded in seed_runs (see scripts/seed-runs.js to query it)
+ * ========================================================================
+ */
+
+// The run in progress, so fetch helpers can record sources and counts without threading it through
+let activeRun = null;
+
+/**
+ * Start recording a seed run (inserts a 'running' row)
+ * Ledger writes never fail the seed - if the table is unavailable the run is only logged
+ * @param {object} db - Drizzle database instance
+ * @param {string} seed - Dataset being seeded ('housing', 'capital', 'financial')
+ * @param {object} options - Command line options to record (e.g., { force, reprocess })
+ * @returns {Promise<object>} Run handle for recordRunCounts/finishSeedRun
+ */
+export async function startSeedRun(db, seed, options = {}) {
+  const run = {
+    id: null,
+    seed,
+    startedAt: new Date(),
+    sourceParams: [],
+    counts: { fetched: 0, processed: null, skipped: null },
+  };
+
+  try {
+    const [row] = await db.insert(schema.seedRuns)
+      .values({ seed, status: 'running', options, startedAt: run.startedAt })
+      .returning({ id: schema.seedRuns.id });
+    run.id = row.id;
+    // Every following log entry (and the run's summary event) carries the run id
+    setLogContext({ runId: run.id });
+    runLog.info(`Started ${seed} run #${run.id}\n`);
+  } catch (error) {
+    runLog.warn(`Could not record run start: ${error.message}\n`);
+  }
+
+  activeRun = run;
+  return run;
+}
+
+/**
+ * Record a source query against the active run (called by the fetch helpers)
+ * @param {object} source - { type, url, params }
+ */
+export function recordRunSource(source) {
+  if (activeRun) activeRun.sourceParams.push(source);
+}
+
+/**
+ * Add fetched records to the active run's count (called by the fetch helpers)
+ * @param {number} count - Records fetched
+ */
+export function recordRunFetched(count) {
+  if (activeRun) activeRun.counts.fetched += count;
+}
+
+/**
+ * Set processed/skipped counts for a run
+ * @param {object} run - Run handle from startSeedRun (null for unrecorded runs, e.g. dry runs)
+ * @param {object} counts - { processed, skipped }
+ */
+export function recordRunCounts(run, counts) {
+  if (run) Object.assign(run.counts, counts);
+}
+
+/**
+ * Finish a seed run, recording its outcome
+ * @param {object} db - Drizzle database instance
+ * @param {object} run - Run handle from startSeedRun (null if the run never started)
+ * @param {string} status - 'success' | 'skipped-no-change' | 'validation-failed' | 'error'
+ * @param {object} outcome - Outcome details
+ * @param {object} outcome.changeDetection - Change detection / merge results to record
+ * @param {object} outcome.metrics - Dataset metrics the next run's drift checks compare against (see drift-utils.js)
+ * @param {Error} outcome.error - Error that ended the run
+ */
+export async function finishSeedRun(db, run, status, outcome = {}) {
+  if (!run) return;
+
+  const { changeDetection = null, metrics = null, error = null } = outcome;
+  const finishedAt = new Date();
+  activeRun = null;
+
+  runLog.info(`${run.seed} run${run.id ? ` #${run.id}` : ''} finished: ${status}`);
+  if (!run.id) return;
+
+  try {
+    await db.update(schema.seedRuns)
+      .set({
+        status,
+        finishedAt,
+        durationMs: finishedAt - run.startedAt,
+        sourceParams: run.sourceParams,
+        fetchedCount: run.counts.fetched,
+        processedCount: run.counts.processed,
+        skippedCount: run.counts.skipped,
+        changeDetection,
+        metrics,
+        errorMessage: error ? error.message : null,
+        errorDetails: error ? (error.details ?? { stack: error.stack }) : null,
+      })
+      .where(eq(schema.seedRuns.id, run.id));
+  } catch (ledgerError) {
+    runLog.warn(`Could not record run result: ${ledgerError.message}`);
+  }
+}
+
+/**
+ * Summarize detectDataChanges results for the run ledger (drops the full key lists)
+ * @param {object} results - detectDataChanges results keyed by table name
+ * @param {object} options - Summary options
+ * @param {boolean} options.keys - Keep the added/removed/modified key lists (e.g., for dry-run output)
+ * @returns {object}
+ */
+export function summarizeChanges(results, options = {}) {
+  const { keys = false } = options;
+
+  return Object.fromEntries(
+    Object.entries(results).map(([table, result]) => [table, {
+      hasChanges: result.hasChanges,
+      reason: result.reason,
+      stats: result.stats,
+      ...(keys ? { changes: result.changes } : {}),
+    }])
+  );
 }
 
 /**
@@ -254,6 +482,22 @@ export function timer() {
   };
 }
 
+/**
+ * Build a deterministic id from a record's identifying values
+ * Used when a source record has no natural key, so identical data gets the same id on every run
+ * @param {string} prefix - Id prefix (e.g., 'project')
+ * @param {Array} values - Values that identify the record
+ * @returns {string} e.g., 'project-3f9a0c1d2b4e'
+ */
+export function stableId(prefix, values) {
+  const hash = createHash('sha256')
+    .update(JSON.stringify(values.map(value => value ?? null)))
+    .digest('hex')
+    .substring(0, 12);
+
+  return `${prefix}-${hash}`;
+}
+
 /**
  * Format numbers with commas
  */
@@ -0,0 +1,178 @@
+// ABOUTME: Composable SoQL query builder for Socrata (NYC Open Data) sources
+// ABOUTME: Builds $select/$where/$group/$having/$order/$limit with escaped parameters for fetchNycOpenData
+
+/**
+ * Create a SoQL query builder
+ * Builders are immutable - every method returns a new builder, so a base query can be shared
+ *
+ * @example
+ * const query = soql()
+ *   .select('agency_name', 'sum(city_funds_current_budget_amount) AS city_funds')
+ *   .where('fiscal_year = ? AND publication_date = ?', '2025', '20240630')
+ *   .group('agency_name')
+ *   .order('agency_name');
+ *
+ * await fetchNycOpenData(BUDGET_API, { query });
+ *
+ * @returns {object} Query builder
+ */
+export function soql() {
+  return createBuilder({
+    select: [],
+    where: [],
+    group: [],
+    having: [],
+    order: [],
+    limit: null,
+  });
+}
+
+function createBuilder(state) {
+  const next = (changes) => createBuilder({ ...state, ...changes });
+
+  return {
+    /**
+     * Add columns or expressions to $select
+     */
+    select(...columns) {
+      return next({ select: [...state.select, ...columns] });
+    },
+
+    /**
+     * Add a $where condition (multiple calls are combined with AND)
+     * `?` placeholders are replaced by escaped literals
+     */
+    where(condition, ...values) {
+      return next({ where: [...state.where, bindParams(condition, values)] });
+    },
+
+    /**
+     * Add columns to $group
+     */
+    group(...columns) {
+      return next({ group: [...state.group, ...columns] });
+    },
+
+    /**
+     * Add a $having condition on aggregates (multiple calls are combined with AND)
+     */
+    having(condition, ...values) {
+      return next({ having: [...state.having, bindParams(condition, values)] });
+    },
+
+    /**
+     * Add $order terms (e.g., 'agency_name', 'total DESC')
+     */
+    order(...terms) {
+      return next({ order: [...state.order, ...terms] });
+    },
+
+    /**
+     * Cap the total number of rows returned
+     * fetchNycOpenData treats this as the total limit and pages underneath it
+     */
+    limit(count) {
+      if (!Number.isInteger(count) || count <= 0) {
+        throw new Error(`SoQL limit must be a positive integer, got ${count}`);
+      }
+      return next({ limit: count });
+    },
+
+    /**
+     * Query parameters for this query (without paging)
+     * @returns {object} e.g. { $select: '...', $where: '...' }
+     */
+    toParams() {
+      const params = {};
+
+      if (state.select.length > 0) params.$select = state.select.join(', ');
+      if (state.where.length > 0) params.$where = combineConditions(state.where);
+      if (state.group.length > 0) params.$group = state.group.join(', ');
+      if (state.having.length > 0) params.$having = combineConditions(state.having);
+      if (state.order.length > 0) params.$order = state.order.join(', ');
+      if (state.limit !== null) params.$limit = String(state.limit);
+
+      return params;
+    },
+
+    /**
+     * URL-encoded query string (for one-off requests outside the pager)
+     */
+    toString() {
+      return new URLSearchParams(this.toParams()).toString();
+    },
+
+    get totalLimit() {
+      return state.limit ?? Infinity;
+    },
+  };
+}
+
+function combineConditions(conditions) {
+  if (conditions.length === 1) return conditions[0];
+  return conditions.map(condition => `(${condition})`).join(' AND ');
+}
+
+/**
+ * Replace `?` placeholders with escaped SoQL literals
+ * Placeholders inside quoted string literals are left alone
+ */
+function bindParams(condition, values) {
+  let index = 0;
+  let inString = false;
+  let result = '';
+
+  for (const char of condition) {
+    if (char === "'") {
+      inString = !inString;
+      result += char;
+    } else if (char === '?' && !inString) {
+      if (index >= values.length) {
+        throw new Error(`SoQL condition has more placeholders than values: ${condition}`);
+      }
+      result += formatLiteral(values[index++]);
+    } else {
+      result += char;
+    }
+  }
+
+  if (index !== values.length) {
+    throw new Error(`SoQL condition has ${index} placeholders but ${values.length} values: ${condition}`);
+  }
+
+  return result;
+}
+
+/**
+ * Format a JavaScript value as a SoQL literal
+ * @param {*} value - string, number, boolean, null, Date, or array (for IN lists)
+ * @returns {string} SoQL literal
+ */
+export function formatLiteral(value) {
+  if (value === null || value === undefined) return 'null';
+
+  if (Array.isArray(value)) {
+    if (value.length === 0) {
+      throw new Error('SoQL IN list must not be empty');
+    }
+    return `(${value.map(formatLiteral).join(', ')})`;
+  }
+
+  if (value instanceof Date) {
+    // Socrata floating timestamps have no timezone suffix
+    return `'${value.toISOString().replace('Z', '')}'`;
+  }
+
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) {
+      throw new Error(`SoQL numeric literal must be finite, got ${value}`);
+    }
+    return String(value);
+  }
+
+  if (typeof value === 'boolean') {
+    return value ? 'true' : 'false';
+  }
+
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
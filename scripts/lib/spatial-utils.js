@@ -0,0 +1,69 @@
+// ABOUTME: Fills PostGIS geometry columns of staged rows from columns already in the row
+// ABOUTME: GeoJSON jsonb columns become geometries, longitude/latitude pairs become points (SRID 4326)
+
+import { sql } from 'drizzle-orm';
+import { createLogger } from './logger.js';
+
+const log = createLogger('Spatial');
+
+/**
+ * Fill geometry columns of every staged row in one UPDATE
+ * Run after the rows are staged and post-processed. Invalid polygons (self-intersections, bad rings)
+ * are repaired with ST_MakeValid so index-backed predicates like ST_Intersects don't fail on them.
+ *
+ * @param {object} db - Drizzle database instance
+ * @param {object} staging - Staging handle from staging-utils.js
+ * @param {object} columns - Geometry column name → source:
+ *   { geojson: 'geometry' } (a GeoJSON jsonb column) or { point: ['longitude', 'latitude'] }
+ * @returns {Promise<object>} { filled, missing } - rows with / without a geometry in the first column
+ */
+export async function fillGeometryColumns(db, staging, columns) {
+  const assignments = Object.entries(columns).map(([column, source]) =>
+    sql`${sql.identifier(column)} = ${geometryFrom(source)}`
+  );
+
+  await db.execute(sql`
+    UPDATE ${sql.identifier(staging.name)} SET ${sql.join(assignments, sql`, `)}
+  `);
+
+  const [first] = Object.keys(columns);
+  const [row] = await db.execute(sql`
+    SELECT
+      COUNT(*) FILTER (WHERE ${sql.identifier(first)} IS NOT NULL) AS filled,
+      COUNT(*) FILTER (WHERE ${sql.identifier(first)} IS NULL) AS missing
+    FROM ${sql.identifier(staging.name)}
+  `);
+
+  const filled = parseInt(row.filled, 10);
+  const missing = parseInt(row.missing, 10);
+
+  log.info(`Filled ${Object.keys(columns).join(', ')} for ${filled} rows in ${staging.name}`);
+  if (missing > 0) {
+    log.warn(`${missing} rows have no ${first} (no source geometry)`);
+  }
+
+  return { filled, missing };
+}
+
+/**
+ * Geometry expression for one source description
+ */
+function geometryFrom(source) {
+  if (source.geojson) {
+    const column = sql.identifier(source.geojson);
+    return sql`CASE
+      WHEN ${column} IS NULL OR jsonb_typeof(${column}) <> 'object' THEN NULL
+      ELSE ST_MakeValid(ST_SetSRID(ST_GeomFromGeoJSON(${column}::text), 4326))
+    END`;
+  }
+
+  if (source.point) {
+    const [lon, lat] = source.point.map(name => sql.identifier(name));
+    return sql`CASE
+      WHEN ${lon} IS NULL OR ${lat} IS NULL THEN NULL
+      ELSE ST_SetSRID(ST_MakePoint(${lon}, ${lat}), 4326)
+    END`;
+  }
+
+  throw new Error(`Unknown geometry source: ${JSON.stringify(source)}`);
+}
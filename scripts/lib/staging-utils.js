@@ -0,0 +1,294 @@
+// ABOUTME: Staging tables for streaming seeds - rows land in <table>__staging before being copied live
+// ABOUTME: Staged rows replace live rows in one transaction; the replaced rows are kept in <table>__previous for rollback
+
+import { sql, getTableColumns, getTableName } from 'drizzle-orm';
+import { createLogger } from './logger.js';
+
+const log = createLogger('Staging');
+
+export const STAGING_SUFFIX = '__staging';
+export const PREVIOUS_SUFFIX = '__previous';
+
+/**
+ * Create (or recreate) an unkeyed staging copy of a live table
+ * Column types and defaults are copied from the live table but constraints are not,
+ * so staged rows may contain duplicates until they are resolved in SQL
+ *
+ * @param {object} db - Drizzle database instance
+ * @param {object} table - Drizzle table definition of the live table
+ * @returns {Promise<object>} Staging handle ({ name, liveName, table, key })
+ */
+export async function createStagingTable(db, table) {
+  const liveName = getTableName(table);
+  const name = `${liveName}${STAGING_SUFFIX}`;
+
+  await db.execute(sql`DROP TABLE IF EXISTS ${sql.identifier(name)}`);
+  await db.execute(sql`CREATE UNLOGGED TABLE ${sql.identifier(name)} (LIKE ${sql.identifier(liveName)} INCLUDING DEFAULTS)`);
+
+  log.info(`Created ${name}`);
+  return { name, liveName, table, key: null };
+}
+
+/**
+ * Create (or recreate) a keyed staging table from a table definition that has no live counterpart
+ * Rows with the same key are merged on insert (see insertStaging's merge option)
+ *
+ * @param {object} db - Drizzle database instance
+ * @param {object} table - Drizzle table definition describing the staged rows
+ * @param {string} key - Property name of the key column
+ * @returns {Promise<object>} Staging handle ({ name, liveName, table, key })
+ */
+export async function createKeyedStagingTable(db, table, key) {
+  const name = `${getTableName(table)}${STAGING_SUFFIX}`;
+  const columns = getTableColumns(table);
+
+  if (!columns[key]) {
+    throw new Error(`Key column ${key} is not defined on ${getTableName(table)}`);
+  }
+
+  const definitions = Object.values(columns).map(column =>
+    sql`${sql.identifier(column.name)} ${sql.raw(column.getSQLType())}${column.notNull ? sql.raw(' NOT NULL') : sql.raw('')}`
+  );
+
+  await db.execute(sql`DROP TABLE IF EXISTS ${sql.identifier(name)}`);
+  await db.execute(sql`CREATE UNLOGGED TABLE ${sql.identifier(name)} (${sql.join(definitions, sql`, `)}, PRIMARY KEY (${sql.identifier(columns[key].name)}))`);
+
+  log.info(`Created ${name} (keyed by ${columns[key].name})`);
+  return { name, liveName: null, table, key };
+}
+
+/**
+ * Whether a value is a staging handle (as opposed to a Drizzle table)
+ */
+export function isStagingHandle(target) {
+  return Boolean(target && typeof target.name === 'string' && target.table && 'key' in target);
+}
+
+/**
+ * Insert rows into a staging table
+ * Rows are encoded with the column definitions of the handle's table; missing properties use column defaults
+ *
+ * For keyed tables, `merge.prefer` names a numeric property: a row replaces an existing row with the
+ * same key only when its value is strictly greater (ties keep the row that arrived first)
+ *
+ * @param {object} db - Drizzle database instance
+ * @param {object} staging - Staging handle
+ * @param {Array<object>} rows - Rows keyed by property name
+ * @param {object} options - Insert options
+ * @param {object} options.merge - { prefer } for keyed staging tables
+ */
+export async function insertStaging(db, staging, rows, options = {}) {
+  const { merge = null } = options;
+  if (rows.length === 0) return;
+
+  const columns = Object.entries(getTableColumns(staging.table));
+  const target = sql.identifier(staging.name);
+
+  if (staging.key) {
+    // ON CONFLICT can't touch the same row twice in one statement, so merge duplicates within the batch first
+    rows = mergeByKey(rows, staging.key, merge?.prefer);
+  }
+
+  const values = rows.map(row => sql`(${sql.join(
+    columns.map(([property, column]) => row[property] === undefined ? sql.raw('DEFAULT') : sql.param(row[property], column)),
+    sql`, `
+  )})`);
+
+  let query = sql`INSERT INTO ${target} (${sql.join(columns.map(([, column]) => sql.identifier(column.name)), sql`, `)}) VALUES ${sql.join(values, sql`, `)}`;
+
+  if (staging.key) {
+    const keyColumn = staging.table[staging.key].name;
+    const updates = columns
+      .filter(([property]) => property !== staging.key)
+      .map(([, column]) => sql`${sql.identifier(column.name)} = EXCLUDED.${sql.identifier(column.name)}`);
+
+    query = merge?.prefer
+      ? sql`${query} ON CONFLICT (${sql.identifier(keyColumn)}) DO UPDATE SET ${sql.join(updates, sql`, `)}
+          WHERE EXCLUDED.${sql.identifier(staging.table[merge.prefer].name)} > ${target}.${sql.identifier(staging.table[merge.prefer].name)}`
+      : sql`${query} ON CONFLICT (${sql.identifier(keyColumn)}) DO NOTHING`;
+  }
+
+  await db.execute(query);
+}
+
+/**
+ * Count staged rows, optionally filtered
+ * @param {object} db - Drizzle database instance
+ * @param {object} staging - Staging handle
+ * @param {object} where - Optional SQL condition
+ * @returns {Promise<number>}
+ */
+export async function countStaging(db, staging, where = null) {
+  const result = await db.execute(
+    sql`SELECT COUNT(*) AS count FROM ${sql.identifier(staging.name)}${where ? sql` WHERE ${where}` : sql``}`
+  );
+  return parseInt(result[0]?.count || 0, 10);
+}
+
+/**
+ * Copy live rows into a staging table, so a later swap keeps rows this run did not regenerate
+ * (e.g., the budget sankey when only the pension sankey was rebuilt)
+ *
+ * @param {object} db - Drizzle database instance
+ * @param {object} staging - Staging handle from createStagingTable
+ * @param {object} where - SQL condition selecting the live rows to keep
+ * @returns {Promise<number>} Rows carried over
+ */
+export async function carryOverLiveRows(db, staging, where) {
+  const columns = sql.join(
+    Object.values(getTableColumns(staging.table)).map(column => sql.identifier(column.name)),
+    sql`, `
+  );
+
+  const result = await db.execute(sql`
+    INSERT INTO ${sql.identifier(staging.name)} (${columns})
+    SELECT ${columns} FROM ${sql.identifier(staging.liveName)} WHERE ${where}
+  `);
+
+  log.info(`Carried over ${result.count} unchanged rows from ${staging.liveName}`);
+  return result.count;
+}
+
+/**
+ * Replace the contents of live tables with their staged rows in a single transaction
+ * Each live table's current rows are first snapshotted into <table>__previous (see rollbackTable).
+ * If anything fails, the transaction rolls back and every live table is left untouched.
+ * Readers keep seeing the old rows until the transaction commits.
+ *
+ * @param {object} db - Drizzle database instance
+ * @param {Array<object>} handles - Staging handles created by createStagingTable
+ * @returns {Promise<object>} Rows now in each live table, keyed by live table name
+ */
+export async function swapStagingTables(db, handles) {
+  for (const staging of handles) {
+    if (!staging.liveName) {
+      throw new Error(`${staging.name} has no live table to swap into`);
+    }
+  }
+
+  log.info(`Swapping ${handles.map(staging => staging.liveName).join(', ')} in one transaction...`);
+
+  const counts = await db.transaction(async (tx) => {
+    const swapped = {};
+
+    for (const staging of handles) {
+      const live = sql.identifier(staging.liveName);
+      const previous = sql.identifier(`${staging.liveName}${PREVIOUS_SUFFIX}`);
+      const columnList = sql.join(
+        Object.values(getTableColumns(staging.table)).map(column => sql.identifier(column.name)),
+        sql`, `
+      );
+
+      await tx.execute(sql`DROP TABLE IF EXISTS ${previous}`);
+      await tx.execute(sql`CREATE TABLE ${previous} AS TABLE ${live}`);
+
+      // DELETE rather than TRUNCATE so concurrent readers aren't blocked by an exclusive lock
+      await tx.execute(sql`DELETE FROM ${live}`);
+      const result = await tx.execute(
+        sql`INSERT INTO ${live} (${columnList}) SELECT ${columnList} FROM ${sql.identifier(staging.name)}`
+      );
+
+      swapped[staging.liveName] = result.count;
+    }
+
+    return swapped;
+  });
+
+  for (const [liveName, count] of Object.entries(counts)) {
+    log.success(`${liveName}: ${count} rows live (previous rows kept in ${liveName}${PREVIOUS_SUFFIX})`);
+  }
+  log.info('');
+
+  return counts;
+}
+
+/**
+ * Restore a live table from its <table>__previous snapshot in a single transaction
+ * The rows being replaced become the new snapshot, so running the rollback again undoes it
+ *
+ * @param {object} db - Drizzle database instance
+ * @param {string} liveName - Live table name (e.g., 'housing_buildings')
+ * @returns {Promise<object>} { restored, replaced } row counts
+ */
+export async function rollbackTable(db, liveName) {
+  const previousName = `${liveName}${PREVIOUS_SUFFIX}`;
+  const live = sql.identifier(liveName);
+  const previous = sql.identifier(previousName);
+
+  // Only copy columns present in both tables, in case the schema changed since the snapshot
+  const columns = await db.execute(sql`
+    SELECT p.column_name
+    FROM information_schema.columns p
+    JOIN information_schema.columns l
+      ON l.table_schema = p.table_schema AND l.table_name = ${liveName} AND l.column_name = p.column_name
+    WHERE p.table_schema = current_schema() AND p.table_name = ${previousName}
+    ORDER BY p.ordinal_position
+  `);
+
+  if (columns.length === 0) {
+    throw new Error(`No snapshot found for ${liveName} (expected table ${previousName})`);
+  }
+
+  const columnList = sql.join(columns.map(row => sql.identifier(row.column_name)), sql`, `);
+
+  return db.transaction(async (tx) => {
+    await tx.execute(sql`CREATE TEMP TABLE seed_rollback_swap ON COMMIT DROP AS TABLE ${live}`);
+
+    const replaced = await tx.execute(sql`DELETE FROM ${live}`);
+    const restored = await tx.execute(sql`INSERT INTO ${live} (${columnList}) SELECT ${columnList} FROM ${previous}`);
+
+    await tx.execute(sql`DROP TABLE ${previous}`);
+    await tx.execute(sql`CREATE TABLE ${previous} AS TABLE seed_rollback_swap`);
+
+    return { restored: restored.count, replaced: replaced.count };
+  });
+}
+
+/**
+ * List tables that have a rollback snapshot
+ * @param {object} db - Drizzle database instance
+ * @returns {Promise<Array<object>>} [{ table, rows }]
+ */
+export async function listRollbackSnapshots(db) {
+  const snapshots = await db.execute(sql`
+    SELECT table_name
+    FROM information_schema.tables
+    WHERE table_schema = current_schema() AND table_name LIKE ${`%${PREVIOUS_SUFFIX.replace(/_/g, '\\_')}`}
+    ORDER BY table_name
+  `);
+
+  const result = [];
+  for (const { table_name: name } of snapshots) {
+    const [{ count }] = await db.execute(sql`SELECT COUNT(*) AS count FROM ${sql.identifier(name)}`);
+    result.push({ table: name.slice(0, -PREVIOUS_SUFFIX.length), rows: parseInt(count, 10) });
+  }
+
+  return result;
+}
+
+/**
+ * Drop staging tables (safe to call on tables that were never created)
+ * @param {object} db - Drizzle database instance
+ * @param {Array<object>} handles - Staging handles
+ */
+export async function dropStagingTables(db, handles) {
+  for (const staging of handles) {
+    await db.execute(sql`DROP TABLE IF EXISTS ${sql.identifier(staging.name)}`);
+  }
+}
+
+/**
+ * Collapse rows sharing a key, keeping the first row unless a later one has a strictly greater `prefer` value
+ */
+function mergeByKey(rows, key, prefer) {
+  const byKey = new Map();
+
+  for (const row of rows) {
+    const existing = byKey.get(row[key]);
+    if (!existing || (prefer && row[prefer] > existing[prefer])) {
+      byKey.set(row[key], row);
+    }
+  }
+
+  return Array.from(byKey.values());
+}
@@ -6,6 +6,12 @@
  */
 
 import { sql } from 'drizzle-orm';
+import { tableDigest } from './fingerprint-utils.js';
+import { createLogger, logBanner } from './logger.js';
+
+const validationLog = createLogger('Validation');
+const changeDetectionLog = createLogger('Change Detection');
+const updateCheckLog = createLogger('Update Check');
 
 /**
  * Validation error class
@@ -21,20 +27,23 @@ export class ValidationError extends Error {
 /**
  * Validate minimum record count
  * Prevents clearing database if API returns too few records
+ * Accepts the records themselves, or just their count for streamed datasets
  */
 export function validateMinimumRecordCount(records, minCount, datasetName) {
-  if (!Array.isArray(records)) {
+  if (!Array.isArray(records) && typeof records !== 'number') {
     throw new ValidationError(
       `${datasetName}: Expected array of records, got ${typeof records}`,
       { received: typeof records, expected: 'array' }
     );
   }
 
-  if (records.length < minCount) {
+  const count = typeof records === 'number' ? records : records.length;
+
+  if (count < minCount) {
     throw new ValidationError(
-      `${datasetName}: Insufficient records (${records.length} < ${minCount} minimum)`,
+      `${datasetName}: Insufficient records (${count} < ${minCount} minimum)`,
       {
-        received: records.length,
+        received: count,
         minimum: minCount,
         dataset: datasetName,
         suggestion: 'API may be returning incomplete data or rate limiting. Check API status.'
@@ -42,136 +51,7 @@ export function validateMinimumRecordCount(records, minCount, datasetName) {
     );
   }
 
-  console.log(`[Validation] ✓ ${datasetName}: ${records.length} records (minimum: ${minCount})`);
-  return true;
-}
-
-/**
- * Validate required fields exist in records
- * Detects schema changes in NYC Open Data APIs
- * @param {Array} records - Records to validate
- * @param {Array} requiredFields - Fields that should be present
- * @param {string} datasetName - Name of dataset for error messages
- * @param {number} sampleSize - Number of records to check (default: 10)
- * @param {number} maxFailureRate - Maximum acceptable failure rate as percentage (default: 10)
- */
-export function validateRequiredFields(records, requiredFields, datasetName, sampleSize = 10, maxFailureRate = 10) {
-  if (!Array.isArray(records) || records.length === 0) {
-    throw new ValidationError(
-      `${datasetName}: No records to validate`,
-      { recordCount: records?.length || 0 }
-    );
-  }
-
-  // Sample records for validation (check first N records)
-  const samplesToCheck = Math.min(sampleSize, records.length);
-  const missingFieldsByRecord = [];
-
-  for (let i = 0; i < samplesToCheck; i++) {
-    const record = records[i];
-    const missingFields = [];
-
-    for (const field of requiredFields) {
-      if (!(field in record)) {
-        missingFields.push(field);
-      }
-    }
-
-    if (missingFields.length > 0) {
-      missingFieldsByRecord.push({
-        recordIndex: i,
-        missingFields
-      });
-    }
-  }
-
-  if (missingFieldsByRecord.length > 0) {
-    // Calculate percentage of records with missing fields
-    const failureRate = (missingFieldsByRecord.length / samplesToCheck) * 100;
-
-    // Only throw error if failure rate exceeds threshold
-    if (failureRate > maxFailureRate) {
-      throw new ValidationError(
-        `${datasetName}: ${missingFieldsByRecord.length}/${samplesToCheck} sampled records have missing required fields (${failureRate.toFixed(1)}% > ${maxFailureRate}% threshold)`,
-        {
-          dataset: datasetName,
-          failureRate: `${failureRate.toFixed(1)}%`,
-          threshold: `${maxFailureRate}%`,
-          requiredFields,
-          sampleSize: samplesToCheck,
-          failures: missingFieldsByRecord.slice(0, 3), // Show first 3 examples
-          suggestion: 'API schema may have changed. Review field names in NYC Open Data documentation.'
-        }
-      );
-    }
-
-    // Warn but don't fail if within acceptable threshold
-    console.log(`[Validation] ⚠️  ${datasetName}: ${missingFieldsByRecord.length}/${samplesToCheck} records missing fields (${failureRate.toFixed(1)}% - within ${maxFailureRate}% threshold)`);
-    return true;
-  }
-
-  console.log(`[Validation] ✓ ${datasetName}: All required fields present (checked ${samplesToCheck} records)`);
-  return true;
-}
-
-/**
- * Validate data types for critical fields
- * Ensures numeric fields are parseable, dates are valid, etc.
- */
-export function validateDataTypes(records, fieldValidators, datasetName, sampleSize = 10) {
-  if (!Array.isArray(records) || records.length === 0) {
-    throw new ValidationError(
-      `${datasetName}: No records to validate`,
-      { recordCount: records?.length || 0 }
-    );
-  }
-
-  const samplesToCheck = Math.min(sampleSize, records.length);
-  const typeErrors = [];
-
-  for (let i = 0; i < samplesToCheck; i++) {
-    const record = records[i];
-
-    for (const [field, validator] of Object.entries(fieldValidators)) {
-      const value = record[field];
-
-      try {
-        const isValid = validator(value, record);
-        if (!isValid) {
-          typeErrors.push({
-            recordIndex: i,
-            field,
-            value,
-            error: 'Validator returned false'
-          });
-        }
-      } catch (error) {
-        typeErrors.push({
-          recordIndex: i,
-          field,
-          value,
-          error: error.message
-        });
-      }
-    }
-  }
-
-  if (typeErrors.length > 0) {
-    const failureRate = (typeErrors.length / (samplesToCheck * Object.keys(fieldValidators).length)) * 100;
-
-    throw new ValidationError(
-      `${datasetName}: ${typeErrors.length} type validation errors in ${samplesToCheck} sampled records`,
-      {
-        dataset: datasetName,
-        failureRate: `${failureRate.toFixed(1)}%`,
-        sampleSize: samplesToCheck,
-        failures: typeErrors.slice(0, 5), // Show first 5 examples
-        suggestion: 'Data format may have changed. Review NYC Open Data documentation.'
-      }
-    );
-  }
-
-  console.log(`[Validation] ✓ ${datasetName}: All data types valid (checked ${samplesToCheck} records)`);
+  validationLog.success(`${datasetName}: ${count} records (minimum: ${minCount})`);
   return true;
 }
 
@@ -187,7 +67,7 @@ export function validateProcessedRecords(records, validations, datasetName) {
     );
   }
 
-  console.log(`[Validation] Validating ${records.length} processed ${datasetName} records...`);
+  validationLog.info(`Validating ${records.length} processed ${datasetName} records...`);
 
   // Run all validation checks
   const errors = [];
@@ -219,65 +99,64 @@ export function validateProcessedRecords(records, validations, datasetName) {
     );
   }
 
-  console.log(`[Validation] ✓ ${datasetName}: All processed records validated successfully\n`);
+  validationLog.success(`${datasetName}: All processed records validated successfully\n`);
   return true;
 }
 
 /**
- * Common validators for reuse
+ * Validate processed records held in a staging table (streamed seeds)
+ * Mirrors validateProcessedRecords, but each check is an SQL condition matching invalid rows
+ * @param {object} db - Drizzle database instance
+ * @param {string} stagingTable - Staging table name
+ * @param {object} checks - Validation checks
+ * @param {number} checks.minCount - Minimum number of staged rows (default: 1)
+ * @param {object} checks.invalidWhen - Map of description -> SQL condition flagging invalid rows
+ * @param {string} datasetName - Name of dataset for error messages
+ * @returns {Promise<number>} Number of staged rows
  */
-export const validators = {
-  // Numeric validators
-  isNumber: (value) => {
-    const num = parseFloat(value);
-    return !isNaN(num) && isFinite(num);
-  },
-
-  isPositiveNumber: (value) => {
-    const num = parseFloat(value);
-    return !isNaN(num) && isFinite(num) && num > 0;
-  },
-
-  isInteger: (value) => {
-    const num = parseInt(value, 10);
-    return !isNaN(num) && isFinite(num) && num === parseFloat(value);
-  },
-
-  // Date validators
-  isValidDate: (value) => {
-    if (!value) return false;
-    const date = new Date(value);
-    return date instanceof Date && !isNaN(date.getTime());
-  },
-
-  isYearInRange: (min, max) => (value) => {
-    const year = parseInt(value, 10);
-    return !isNaN(year) && year >= min && year <= max;
-  },
-
-  // String validators
-  isNonEmptyString: (value) => {
-    return typeof value === 'string' && value.trim().length > 0;
-  },
-
-  // Coordinate validators
-  isValidLatitude: (value) => {
-    const lat = parseFloat(value);
-    return !isNaN(lat) && isFinite(lat) && lat >= -90 && lat <= 90 && lat !== 0;
-  },
-
-  isValidLongitude: (value) => {
-    const lon = parseFloat(value);
-    return !isNaN(lon) && isFinite(lon) && lon >= -180 && lon <= 180 && lon !== 0;
-  },
-
-  // BBL validator (10-digit NYC property identifier)
-  isValidBBL: (value) => {
-    if (!value) return true; // BBL can be optional
-    const bbl = String(value).replace(/[^0-9]/g, '');
-    return bbl.length === 10;
-  },
-};
+export async function validateStagedRecords(db, stagingTable, checks, datasetName) {
+  const { minCount = 1, invalidWhen = {} } = checks;
+
+  const result = await db.execute(sql.raw(`SELECT COUNT(*) as count FROM ${stagingTable}`));
+  const count = parseInt(result.rows?.[0]?.count || result[0]?.count || 0, 10);
+
+  validationLog.info(`Validating ${count} processed ${datasetName} records...`);
+
+  const errors = [];
+
+  if (count < minCount) {
+    errors.push(new ValidationError(
+      `Insufficient records (${count} < ${minCount} minimum)`,
+      { received: count, minimum: minCount }
+    ));
+  }
+
+  for (const [description, condition] of Object.entries(invalidWhen)) {
+    const invalidResult = await db.execute(sql.raw(`SELECT COUNT(*) as count FROM ${stagingTable} WHERE ${condition}`));
+    const invalid = parseInt(invalidResult.rows?.[0]?.count || invalidResult[0]?.count || 0, 10);
+
+    if (invalid > 0) {
+      errors.push(new ValidationError(`${invalid} records ${description}`, { invalid, condition }));
+    }
+  }
+
+  if (errors.length > 0) {
+    const errorMessages = errors.map(e => e.message).join('; ');
+    throw new ValidationError(
+      `${datasetName}: ${errors.length} validation error(s): ${errorMessages}`,
+      {
+        dataset: datasetName,
+        errors: errors.map(e => ({
+          message: e.message,
+          details: e.details
+        }))
+      }
+    );
+  }
+
+  validationLog.success(`${datasetName}: All processed records validated successfully\n`);
+  return count;
+}
 
 /**
  * Create a summary of validation results for logging
@@ -296,24 +175,18 @@ export function createValidationSummary(datasetName, recordCount, validationsPas
  * Log validation error with detailed information
  */
 export function logValidationError(error) {
-  console.error('\n╔════════════════════════════════════════════════════════════╗');
-  console.error('║                   VALIDATION FAILED                        ║');
-  console.error('╚════════════════════════════════════════════════════════════╝\n');
+  logBanner('VALIDATION FAILED', { style: 'box', level: 'error' });
 
   if (error instanceof ValidationError) {
-    console.error(`[ERROR] ${error.message}\n`);
-
-    if (error.details && Object.keys(error.details).length > 0) {
-      console.error('Details:');
-      console.error(JSON.stringify(error.details, null, 2));
-    }
+    const hasDetails = error.details && Object.keys(error.details).length > 0;
+    const details = hasDetails ? `Details:\n${JSON.stringify(error.details, null, 2)}\n` : '';
+    validationLog.error(`${error.message}\n${details}`, hasDetails ? { details: error.details } : undefined);
   } else {
-    console.error('[ERROR] Unexpected validation error:', error.message);
-    console.error(error.stack);
+    validationLog.error('Unexpected validation error:', error);
   }
 
-  console.error('\n⚠️  Database tables were NOT cleared. Existing data is safe.');
-  console.error('⚠️  Please investigate the validation error before retrying.\n');
+  validationLog.error('\nLive tables were NOT modified. Existing data is safe.');
+  validationLog.error('Please investigate the validation error before retrying.\n');
 }
 
 /**
@@ -324,132 +197,132 @@ export function logValidationError(error) {
  */
 
 /**
- * Calculate hash of dataset for change detection
- * Uses a simple but effective hashing approach
+ * Check if data has changed by comparing staged rows with the live table, row by row
+ * Both tables must carry content_hash (see fingerprint-utils.js); the table digests are compared first,
+ * and only when they differ are the rows joined on `key` to find exactly what changed
+ *
+ * @param {object} db - Drizzle database instance
+ * @param {string} tableName - Live table name
+ * @param {object} options - Detection options
+ * @param {string} options.stagingTable - Staging table holding the new rows (fingerprinted)
+ * @param {string} options.key - Column identifying a row across runs (default: 'id')
+ * @param {string} options.where - SQL filter on the live rows (e.g., 'deleted_at IS NULL')
+ * @param {number} options.sampleSize - Changed keys to log per kind
+ * @returns {Promise<object>} { hasChanges, reason, stats: { added, removed, modified, ... }, changes: { added, removed, modified } }
  */
-function calculateDataHash(records) {
-  if (!Array.isArray(records) || records.length === 0) {
-    return 'empty';
-  }
-
-  // Create a deterministic string representation
-  // Include: record count, first record, last record, and sample middle records
-  const summary = {
-    count: records.length,
-    first: JSON.stringify(records[0]),
-    last: JSON.stringify(records[records.length - 1]),
-    // Sample 5 records from the middle for hash
-    samples: records
-      .filter((_, idx) => idx % Math.floor(records.length / 5) === 0)
-      .slice(0, 5)
-      .map(r => JSON.stringify(r))
-  };
-
-  // Simple hash function (FNV-1a)
-  const str = JSON.stringify(summary);
-  let hash = 2166136261;
-
-  for (let i = 0; i < str.length; i++) {
-    hash ^= str.charCodeAt(i);
-    hash += (hash << 1) + (hash << 4) + (hash << 7) + (hash << 8) + (hash << 24);
-  }
-
-  return (hash >>> 0).toString(16);
-}
-
-/**
- * Check if data has changed by comparing with existing database records
- * Returns: { hasChanges: boolean, reason: string, stats: object }
- */
-export async function detectDataChanges(db, tableName, newRecords, options = {}) {
+export async function detectDataChanges(db, tableName, options = {}) {
   const {
-    compareFields = ['id'], // Fields to use for matching records
-    hashData = true,         // Whether to hash data for quick comparison
+    stagingTable,
+    key = 'id',
+    where = null,
     logDetails = true,       // Whether to log detailed comparison results
+    sampleSize = 5,
   } = options;
 
-  console.log(`[Change Detection] Checking if ${tableName} needs update...`);
+  changeDetectionLog.info(`Checking if ${tableName} needs update...`);
 
   try {
-    // Get current record count from database
-    const result = await db.execute(sql.raw(`SELECT COUNT(*) as count FROM ${tableName}`));
-    const currentCount = parseInt(result.rows[0]?.count || result[0]?.count || 0, 10);
-
-    const newCount = newRecords.length;
+    const current = await tableDigest(db, tableName, where);
+    const staged = await tableDigest(db, stagingTable);
 
     if (logDetails) {
-      console.log(`[Change Detection] Current records: ${currentCount}`);
-      console.log(`[Change Detection] New records: ${newCount}`);
+      changeDetectionLog.info(`Current records: ${current.count} (digest ${current.digest})`);
+      changeDetectionLog.info(`New records: ${staged.count} (digest ${staged.digest})`);
     }
 
-    // Quick check: If counts differ significantly, data has changed
-    if (Math.abs(currentCount - newCount) > 0) {
-      const reason = currentCount === 0
-        ? 'Table is empty - initial seed required'
-        : `Record count changed (${currentCount} → ${newCount})`;
+    if (staged.unhashed > 0) {
+      throw new Error(`${staged.unhashed} staged rows have no content_hash - fingerprint the staging table first`);
+    }
 
-      console.log(`[Change Detection] ✓ Changes detected: ${reason}\n`);
+    // Fast path: identical digests mean identical content (rows without a hash never count as identical)
+    if (current.digest === staged.digest && current.unhashed === 0) {
+      changeDetectionLog.success(`No changes detected - skipping database update\n`);
 
       return {
-        hasChanges: true,
-        reason,
+        hasChanges: false,
+        reason: 'Data is identical to existing records',
         stats: {
-          currentCount,
-          newCount,
-          difference: newCount - currentCount
-        }
+          currentCount: current.count,
+          newCount: staged.count,
+          added: 0,
+          removed: 0,
+          modified: 0,
+          digest: current.digest,
+        },
+        changes: { added: [], removed: [], modified: [] },
       };
     }
 
-    // If counts match and hashData is enabled, compare data hash
-    if (hashData) {
-      // Get a sample of existing records for hash comparison
-      const existingRecords = await db.execute(sql.raw(`SELECT * FROM ${tableName} ORDER BY id LIMIT 1000`));
-
-      const existingHash = calculateDataHash(existingRecords.rows || existingRecords || []);
-      const newHash = calculateDataHash(newRecords.slice(0, 1000)); // Compare same sample size
-
-      if (existingHash !== newHash) {
-        const reason = 'Data content has changed (hash mismatch)';
-        console.log(`[Change Detection] ✓ Changes detected: ${reason}`);
-        console.log(`[Change Detection]   Old hash: ${existingHash}`);
-        console.log(`[Change Detection]   New hash: ${newHash}\n`);
-
-        return {
-          hasChanges: true,
-          reason,
-          stats: {
-            currentCount,
-            newCount,
-            existingHash,
-            newHash
-          }
-        };
-      }
+    const keyColumn = sql.identifier(key);
+    const liveRows = where
+      ? sql`(SELECT * FROM ${sql.identifier(tableName)} WHERE ${sql.raw(where)})`
+      : sql.identifier(tableName);
+
+    const rows = await db.execute(sql`
+      SELECT
+        COALESCE(l.${keyColumn}, s.${keyColumn})::text AS key,
+        CASE
+          WHEN l.${keyColumn} IS NULL THEN 'added'
+          WHEN s.${keyColumn} IS NULL THEN 'removed'
+          ELSE 'modified'
+        END AS change
+      FROM ${liveRows} l
+      FULL OUTER JOIN ${sql.identifier(stagingTable)} s ON s.${keyColumn} = l.${keyColumn}
+      WHERE l.${keyColumn} IS NULL
+        OR s.${keyColumn} IS NULL
+        OR l.content_hash IS DISTINCT FROM s.content_hash
+      ORDER BY 1
+    `);
+
+    const changes = { added: [], removed: [], modified: [] };
+    for (const row of rows) {
+      changes[row.change].push(row.key);
     }
 
-    // No changes detected
-    console.log(`[Change Detection] ✓ No changes detected - skipping database update\n`);
+    const stats = {
+      currentCount: current.count,
+      newCount: staged.count,
+      added: changes.added.length,
+      removed: changes.removed.length,
+      modified: changes.modified.length,
+      existingDigest: current.digest,
+      newDigest: staged.digest,
+    };
+
+    const hasChanges = rows.length > 0;
+    const reason = current.count === 0
+      ? 'Table is empty - initial seed required'
+      : `${stats.added} added, ${stats.removed} removed, ${stats.modified} modified`;
 
-    return {
-      hasChanges: false,
-      reason: 'Data is identical to existing records',
-      stats: {
-        currentCount,
-        newCount
+    if (!hasChanges) {
+      // Digests can differ while every keyed row matches only when the key isn't unique
+      changeDetectionLog.success(`No changes detected - skipping database update\n`);
+      return { hasChanges: false, reason: 'Data is identical to existing records', stats, changes };
+    }
+
+    changeDetectionLog.success(`Changes detected: ${reason}`);
+    if (logDetails) {
+      for (const [kind, keys] of Object.entries(changes)) {
+        if (keys.length === 0) continue;
+        const more = keys.length > sampleSize ? ` (+${keys.length - sampleSize} more)` : '';
+        changeDetectionLog.info(`  ${kind}: ${keys.slice(0, sampleSize).join(', ')}${more}`);
       }
-    };
+    }
+    changeDetectionLog.info('');
+
+    return { hasChanges, reason, stats, changes };
 
   } catch (error) {
     // If change detection fails, assume data has changed (fail-safe)
-    console.warn(`[Change Detection] ⚠️  Error during change detection: ${error.message}`);
-    console.warn(`[Change Detection] Proceeding with update to be safe...\n`);
+    changeDetectionLog.warn(`Error during change detection: ${error.message}`);
+    changeDetectionLog.warn(`Proceeding with update to be safe...\n`);
 
     return {
       hasChanges: true,
       reason: 'Change detection failed - proceeding with update',
       error: error.message,
-      stats: {}
+      stats: {},
+      changes: null,
     };
   }
 }
@@ -457,19 +330,28 @@ export async function detectDataChanges(db, tableName, newRecords, options = {})
 /**
  * Check if we need to update by comparing timestamps
  * Useful for datasets with known update schedules
+ * @param {object} db - Drizzle database instance
+ * @param {string} tableName - Table holding the sync timestamps
+ * @param {number} maxAgeHours - Age after which data is considered stale (default: 1 week)
+ * @param {object} options - Check options
+ * @param {string} options.column - Timestamp column (default: 'last_synced_at')
+ * @param {string} options.where - Optional SQL filter on the rows to consider
  */
-export async function checkNeedsUpdate(db, tableName, maxAgeHours = 168) {
-  console.log(`[Update Check] Checking last update time for ${tableName}...`);
+export async function checkNeedsUpdate(db, tableName, maxAgeHours = 168, options = {}) {
+  const { column = 'last_synced_at', where = null } = options;
+
+  updateCheckLog.info(`Checking last update time for ${tableName}...`);
 
   try {
     const result = await db.execute(sql.raw(`
-      SELECT MAX(last_synced_at) as last_synced
+      SELECT MAX(${column}) as last_synced
       FROM ${tableName}
+      ${where ? `WHERE ${where}` : ''}
     `));
-    const lastSynced = result.rows[0]?.last_synced || result[0]?.last_synced;
+    const lastSynced = result.rows?.[0]?.last_synced || result[0]?.last_synced;
 
     if (!lastSynced) {
-      console.log(`[Update Check] ✓ No previous sync found - update required\n`);
+      updateCheckLog.success(`No previous sync found - update required\n`);
       return {
         needsUpdate: true,
         reason: 'Never synced before',
@@ -482,7 +364,7 @@ export async function checkNeedsUpdate(db, tableName, maxAgeHours = 168) {
     const hoursSinceSync = (now - lastSyncedDate) / (1000 * 60 * 60);
 
     if (hoursSinceSync >= maxAgeHours) {
-      console.log(`[Update Check] ✓ Data is stale (${hoursSinceSync.toFixed(1)}h old) - update required\n`);
+      updateCheckLog.success(`Data is stale (${hoursSinceSync.toFixed(1)}h old) - update required\n`);
       return {
         needsUpdate: true,
         reason: `Data is ${hoursSinceSync.toFixed(1)} hours old (max: ${maxAgeHours}h)`,
@@ -491,7 +373,7 @@ export async function checkNeedsUpdate(db, tableName, maxAgeHours = 168) {
       };
     }
 
-    console.log(`[Update Check] ✓ Data is fresh (${hoursSinceSync.toFixed(1)}h old) - skipping update\n`);
+    updateCheckLog.success(`Data is fresh (${hoursSinceSync.toFixed(1)}h old) - skipping update\n`);
 
     return {
       needsUpdate: false,
@@ -502,8 +384,8 @@ export async function checkNeedsUpdate(db, tableName, maxAgeHours = 168) {
 
   } catch (error) {
     // If check fails, assume update is needed (fail-safe)
-    console.warn(`[Update Check] ⚠️  Error checking update time: ${error.message}`);
-    console.warn(`[Update Check] Proceeding with update to be safe...\n`);
+    updateCheckLog.warn(`Error checking update time: ${error.message}`);
+    updateCheckLog.warn(`Proceeding with update to be safe...\n`);
 
     return {
       needsUpdate: true,
@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+
+// ABOUTME: Query record_history - the state of housing_buildings / capital_projects as of a date, or what changed between two
+// ABOUTME: Usage: bun scripts/record-history.js <table> --as-of <date> | --between <from> <to> [--columns a,b] | --key <key>
+
+import { initDb, closeDb, formatNumber } from './lib/seed-utils.js';
+import { HISTORY_TABLES, getStateAsOf, getChangesBetween, getRecordHistory } from './lib/history-utils.js';
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+  const args = { table: null, asOf: null, from: null, to: null, key: null, columns: null };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--as-of') args.asOf = parseDate(argv[++i]);
+    else if (arg === '--between') {
+      args.from = parseDate(argv[++i]);
+      args.to = parseDate(argv[++i]);
+    }
+    else if (arg === '--key') args.key = argv[++i];
+    else if (arg === '--columns') args.columns = argv[++i].split(',').map(column => column.trim());
+    else if (!arg.startsWith('--')) args.table = arg;
+  }
+
+  return args;
+}
+
+/**
+ * Parse a date argument (anything Date understands, e.g. 2025-06-01 or 2025-06-01T12:00:00Z)
+ */
+function parseDate(value) {
+  const date = new Date(value);
+  if (!value || Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+  return date;
+}
+
+/**
+ * Print the records current at a point in time
+ */
+async function showStateAsOf(db, { table, asOf, key }) {
+  const records = await getStateAsOf(db, table, asOf, { key });
+
+  console.log(`[History] ${table} as of ${asOf.toISOString()}: ${formatNumber(records.length)} records\n`);
+  for (const record of records) {
+    console.log(`${record.key}  (valid from ${record.validFrom.toISOString()})`);
+    if (key) console.log(JSON.stringify(record.data, null, 2));
+  }
+  console.log('');
+}
+
+/**
+ * Print what changed between two points in time
+ */
+async function showChangesBetween(db, { table, from, to, key, columns }) {
+  const changes = await getChangesBetween(db, table, from, to, { key, columns });
+
+  const counts = { added: 0, removed: 0, modified: 0 };
+  for (const change of changes) counts[change.change]++;
+
+  console.log(`[History] ${table} changes from ${from.toISOString()} to ${to.toISOString()}`);
+  console.log(`[History] +${counts.added} ~${counts.modified} -${counts.removed}\n`);
+
+  for (const change of changes) {
+    if (change.change === 'added') console.log(`+ ${change.key}`);
+    else if (change.change === 'removed') console.log(`- ${change.key}`);
+    else {
+      console.log(`~ ${change.key}`);
+      for (const column of Object.keys(change.after || {})) {
+        console.log(`    ${column}: ${JSON.stringify(change.before[column])} → ${JSON.stringify(change.after[column])}`);
+      }
+    }
+  }
+  console.log('');
+}
+
+/**
+ * Print every version of one record
+ */
+async function showRecordHistory(db, { table, key }) {
+  const versions = await getRecordHistory(db, table, key);
+
+  if (versions.length === 0) {
+    console.log(`[History] No history for ${table} ${key}\n`);
+    return;
+  }
+
+  console.log(`[History] ${table} ${key}: ${versions.length} version(s)\n`);
+  for (const version of versions) {
+    console.log(`${version.validFrom.toISOString()} → ${version.validTo ? version.validTo.toISOString() : 'current'}`);
+    console.log(JSON.stringify(version.data, null, 2));
+    console.log('');
+  }
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`[History] ${error.message}`);
+    process.exit(1);
+  }
+
+  if (!HISTORY_TABLES.includes(args.table) || (!args.asOf && !args.from && !args.key)) {
+    console.error(`Usage: bun scripts/record-history.js <${HISTORY_TABLES.join('|')}> --as-of <date> [--key <key>]`);
+    console.error('       bun scripts/record-history.js <table> --between <from> <to> [--key <key>] [--columns a,b]');
+    console.error('       bun scripts/record-history.js <table> --key <key>');
+    process.exit(1);
+  }
+
+  const { db, client } = initDb();
+
+  try {
+    if (args.asOf) {
+      await showStateAsOf(db, args);
+    } else if (args.from) {
+      await showChangesBetween(db, args);
+    } else {
+      await showRecordHistory(db, args);
+    }
+  } catch (error) {
+    console.error('\n[ERROR] Could not read record history:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await closeDb(client);
+  }
+}
+
+// Run the script
+main();
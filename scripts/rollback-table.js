@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+
+// ABOUTME: Restores seeded tables from the <table>__previous snapshot kept by the last staging swap
+// ABOUTME: Usage: bun scripts/rollback-table.js <table> [<table> ...] | --list
+
+import { initDb, closeDb, formatNumber } from './lib/seed-utils.js';
+import { rollbackTable, listRollbackSnapshots } from './lib/staging-utils.js';
+import { acquireTableLocks } from './lib/lock-utils.js';
+
+/**
+ * Print the tables that can be rolled back
+ */
+async function listSnapshots(db) {
+  const snapshots = await listRollbackSnapshots(db);
+
+  if (snapshots.length === 0) {
+    console.log('[Rollback] No snapshots found - nothing can be rolled back yet\n');
+    return;
+  }
+
+  console.log('[Rollback] Available snapshots:');
+  for (const { table, rows } of snapshots) {
+    console.log(`  - ${table} (${formatNumber(rows)} rows)`);
+  }
+  console.log('');
+}
+
+/**
+ * Main rollback function
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const tables = args.filter(arg => !arg.startsWith('--'));
+
+  if (!args.includes('--list') && tables.length === 0) {
+    console.error('Usage: bun scripts/rollback-table.js <table> [<table> ...]');
+    console.error('       bun scripts/rollback-table.js --list');
+    process.exit(1);
+  }
+
+  const { db, client } = initDb();
+  let tableLocks = null;
+
+  try {
+    if (args.includes('--list')) {
+      await listSnapshots(db);
+      return;
+    }
+
+    // Don't swap tables out from under a seed that is loading them
+    tableLocks = await acquireTableLocks(tables, { owner: 'rollback' });
+    if (!tableLocks.acquired) {
+      throw new Error(`${tableLocks.reason} - try again when it has finished`);
+    }
+
+    for (const table of tables) {
+      console.log(`[Rollback] Restoring ${table} from its previous snapshot...`);
+      const { restored, replaced } = await rollbackTable(db, table);
+      console.log(`[Rollback] ✓ ${table}: restored ${formatNumber(restored)} rows (replaced ${formatNumber(replaced)})`);
+      console.log(`[Rollback]   Run the rollback again to undo it\n`);
+    }
+
+  } catch (error) {
+    console.error('\n[ERROR] Rollback failed:', error.message);
+    console.error('⚠️  The failing table was left unchanged.\n');
+    process.exitCode = 1;
+  } finally {
+    if (tableLocks) await tableLocks.release();
+    await closeDb(client);
+  }
+}
+
+// Run the rollback script
+main();
@@ -7,136 +7,60 @@ import { capitalProjects } from '../server/lib/schema.ts';
 import {
   initDb,
   closeDb,
-  fetchNycOpenData,
-  batchInsert,
-  clearTable,
+  streamInsert,
+  stableId,
+  startSeedRun,
+  recordRunSource,
+  recordRunFetched,
+  recordRunCounts,
+  finishSeedRun,
+  summarizeChanges,
   timer,
   formatNumber,
 } from './lib/seed-utils.js';
 import {
+  ValidationError,
   validateMinimumRecordCount,
-  validateRequiredFields,
-  validateDataTypes,
   validateProcessedRecords,
-  validators,
+  validateStagedRecords,
   logValidationError,
   detectDataChanges,
 } from './lib/validation-utils.js';
+import { startArchiveSession, finishArchiveSession, abortArchiveSession, withArchive } from './lib/archive-utils.js';
+import { calculateCentroid, simplifyGeometry } from './lib/geojson-utils.js';
+import { soql } from './lib/soql.js';
+import { fetchJson, logHttpStats } from './lib/http-client.js';
+import { checkSourceFreshness, recordSourceSync } from './lib/freshness-utils.js';
+import { createStagingTable, dropStagingTables } from './lib/staging-utils.js';
+import { mergeStagingTables, formatChanges } from './lib/merge-utils.js';
+import { fingerprintStagedRows } from './lib/fingerprint-utils.js';
+import { acquireTableLocks } from './lib/lock-utils.js';
+import { fillGeometryColumns } from './lib/spatial-utils.js';
+import { runSeedScript } from './lib/cli-utils.js';
+import { createLogger, logStep, logBanner, logReport } from './lib/logger.js';
+import { validateContract } from './lib/contract-utils.js';
+import { contract as capitalProjectsContract } from './contracts/capital-projects.js';
+import { checkDrift } from './lib/drift-utils.js';
+import { createProfileSession } from './lib/profile-utils.js';
+
+const seedLog = createLogger('Seed');
+const fetchLog = createLogger('Fetch');
+const processLog = createLogger('Process');
+const stagingLog = createLogger('Staging');
 
 // NYC Open Data API endpoint
 const CPDB_API = 'https://data.cityofnewyork.us/resource/9jkp-n57r.geojson';
 
-/**
- * Calculate centroid of a GeoJSON geometry
- * Supports Point, Polygon, and MultiPolygon
- */
-function calculateCentroid(geometry) {
-  if (!geometry || !geometry.type) return [null, null];
-
-  if (geometry.type === 'Point') {
-    return geometry.coordinates;
-  }
-
-  let totalX = 0;
-  let totalY = 0;
-  let totalPoints = 0;
-
-  const processRing = (ring) => {
-    for (const [lon, lat] of ring) {
-      totalX += lon;
-      totalY += lat;
-      totalPoints++;
-    }
-  };
-
-  if (geometry.type === 'Polygon') {
-    processRing(geometry.coordinates[0]); // Outer ring only
-  } else if (geometry.type === 'MultiPolygon') {
-    for (const polygon of geometry.coordinates) {
-      processRing(polygon[0]); // Outer ring of each polygon
-    }
-  }
-
-  if (totalPoints === 0) return [null, null];
-  return [totalX / totalPoints, totalY / totalPoints];
-}
-
-/**
- * Douglas-Peucker line simplification algorithm
- * Reduces number of points while preserving shape
- */
-function simplifyLine(points, tolerance) {
-  if (points.length <= 2) return points;
-
-  // Find point with maximum distance from line between first and last
-  let maxDist = 0;
-  let maxIndex = 0;
-  const [x1, y1] = points[0];
-  const [x2, y2] = points[points.length - 1];
-
-  // Check if endpoints are identical (would cause divide by zero)
-  const lineLength = Math.sqrt((y2 - y1) ** 2 + (x2 - x1) ** 2);
-  if (lineLength === 0) {
-    // Endpoints are identical, return just the first point
-    return [points[0]];
-  }
-
-  for (let i = 1; i < points.length - 1; i++) {
-    const [x0, y0] = points[i];
-    // Perpendicular distance from point to line
-    const dist = Math.abs((y2 - y1) * x0 - (x2 - x1) * y0 + x2 * y1 - y2 * x1) / lineLength;
-    if (dist > maxDist) {
-      maxDist = dist;
-      maxIndex = i;
-    }
-  }
-
-  // If max distance > tolerance, recursively simplify
-  if (maxDist > tolerance) {
-    const left = simplifyLine(points.slice(0, maxIndex + 1), tolerance);
-    const right = simplifyLine(points.slice(maxIndex), tolerance);
-    return [...left.slice(0, -1), ...right];
-  }
-
-  // Otherwise, return just endpoints
-  return [points[0], points[points.length - 1]];
-}
-
-/**
- * Simplify a GeoJSON geometry using Douglas-Peucker algorithm
- * tolerance: in degrees (0.0001 ≈ 11 meters at NYC latitude)
- */
-function simplifyGeometry(geometry, tolerance = 0.0001) {
-  if (!geometry || !geometry.type) return geometry;
-
-  if (geometry.type === 'Point') {
-    return geometry; // Points can't be simplified
-  }
-
-  if (geometry.type === 'Polygon') {
-    return {
-      type: 'Polygon',
-      coordinates: geometry.coordinates.map(ring => simplifyLine(ring, tolerance)),
-    };
-  }
-
-  if (geometry.type === 'MultiPolygon') {
-    return {
-      type: 'MultiPolygon',
-      coordinates: geometry.coordinates.map(polygon =>
-        polygon.map(ring => simplifyLine(ring, tolerance))
-      ),
-    };
-  }
-
-  return geometry; // Return unchanged for other types
-}
+// Upstream sources checked before fetching (see freshness-utils.js)
+export const FRESHNESS_SOURCES = [
+  { id: 'capital:cpdb-projects', type: 'socrata', url: CPDB_API },
+];
 
 /**
  * Process CPDB GeoJSON records
  */
 function processCapitalProjects(features) {
-  console.log('[Process] Processing capital projects...');
+  processLog.info('Processing capital projects...');
 
   const projects = [];
 
@@ -162,9 +86,12 @@ function processCapitalProjects(features) {
     // Pre-compute centroid for faster frontend rendering
     const [centroidLon, centroidLat] = calculateCentroid(feature.geometry);
 
+    // Projects without a maprojid get an id derived from their contents, so reruns keep the same id
+    const id = props.maprojid || stableId('project', [props.description, props.magencyname, props.mindate, props.maxdate]);
+
     const project = {
-      id: props.maprojid || `project-${Math.random().toString(36).substring(2, 11)}`,
-      maprojid: props.maprojid || 'Unknown',
+      id,
+      maprojid: props.maprojid || id, // maprojid is unique, so it can't share a placeholder
       description: props.description || 'Unnamed Project',
 
       managingAgency: props.magencyname || 'Unknown Agency',
@@ -199,80 +126,135 @@ function processCapitalProjects(features) {
     projects.push(project);
   }
 
-  console.log(`[Process] Processed ${formatNumber(projects.length)} capital projects\n`);
+  processLog.info(`Processed ${formatNumber(projects.length)} capital projects\n`);
   return projects;
 }
 
 /**
- * Main seed function
+ * Totals and per-agency project counts, for the drift checks (see drift-utils.js)
+ */
+function collectCapitalMetrics(projects) {
+  const projectsByAgency = {};
+  for (const project of projects) {
+    projectsByAgency[project.managingAgency] = (projectsByAgency[project.managingAgency] || 0) + 1;
+  }
+
+  return {
+    projects: projects.length,
+    allocateTotal: projects.reduce((sum, project) => sum + project.allocateTotal, 0),
+    projectsByAgency,
+  };
+}
+
+/**
+ * Seed capital projects
+ *
+ * @param {object} options - Seed options (see parseSeedArgs in cli-utils.js)
+ * @param {boolean} options.dryRun - Stop after change detection, leaving live tables untouched
+ * @param {boolean} options.force - Skip the freshness check and merge even when nothing changed
+ * @param {boolean|Array<string>} options.allowDrift - Load even when metrics drift past their thresholds
+ * @param {string|null} options.fromArchive - Archived run to replay ('latest' or a run id)
+ * @param {boolean} options.verbose - Log more changed keys
+ * @returns {Promise<object>} Result ({ seed, status, changes, ... })
+ * @throws {Error} When fetching, validation, or loading fails (live tables are left untouched)
  */
-async function main() {
+export async function run(options = {}) {
+  const { dryRun = false, force = false, allowDrift = false, fromArchive = null, verbose = false } = options;
   const t = timer();
 
-  console.log('========================================');
-  console.log('   NYC CAPITAL BUDGET SEED SCRIPT      ');
-  console.log('========================================\n');
+  logBanner('NYC CAPITAL BUDGET SEED SCRIPT');
 
   // Initialize database
   const { db, client } = initDb();
+  const stagingTables = [];
+  let seedRun = null;
+  let tableLocks = null;
+  let profiles = null;
 
   try {
+    // Lock the tables this seed writes, so an overlapping run (e.g., cron plus manual) can't clobber them
+    tableLocks = await acquireTableLocks([capitalProjects], { owner: 'capital' });
+    if (!tableLocks.acquired) {
+      const totalTime = t.stop();
+      logReport([
+        'Status: SKIPPED (Another run holds the table locks)',
+        `Total Time: ${totalTime}`,
+      ]);
+      return { seed: 'capital', status: 'skipped-locked', reason: tableLocks.reason, duration: totalTime };
+    }
+
+    // Dry runs are not recorded in the run ledger
+    if (!dryRun) seedRun = await startSeedRun(db, 'capital', { fromArchive, force });
+
+    // Step 0: Ask upstream whether anything changed since the last sync (skipped when replaying or dry-running)
+    let freshness = null;
+    if (!fromArchive && !dryRun) {
+      logStep(0, 'Check Upstream Freshness');
+      freshness = await checkSourceFreshness(db, 'capital', FRESHNESS_SOURCES, { force });
+
+      if (!freshness.needsUpdate) {
+        logBanner('UPSTREAM UNCHANGED - SKIPPING FETCH', { style: 'box' });
+        seedLog.info('💡 No source changed since the last sync. Use --force to fetch anyway.\n');
+        await finishSeedRun(db, seedRun, 'skipped-no-change', { changeDetection: { reason: 'Upstream unchanged' } });
+
+        const totalTime = t.stop();
+        logReport([
+          'Status: SKIPPED (Upstream unchanged)',
+          `Total Time: ${totalTime}`,
+        ]);
+        return { seed: 'capital', status: 'skipped-no-change', reason: 'Upstream unchanged', duration: totalTime };
+      }
+    }
+
+    // Record raw payloads (or replay them with --from-archive [runId])
+    startArchiveSession('capital', { reprocess: fromArchive });
+
     // Step 1: Fetch CPDB data (GeoJSON format)
-    console.log('--- STEP 1: Fetch Capital Projects Data ---\n');
+    logStep(1, 'Fetch Capital Projects Data');
 
     // Fetch active/future projects with allocated budgets
-    const url = `${CPDB_API}?$where=maxdate>='2025-01-01' AND allocate_total>0&$limit=10000`;
+    const query = soql()
+      .where('maxdate >= ? AND allocate_total > ?', '2025-01-01', 0)
+      .limit(10000);
+    const url = `${CPDB_API}?${query}`;
 
-    console.log(`[Fetch] Fetching from: ${CPDB_API}`);
-    console.log(`[Fetch] Filter: maxdate>='2025-01-01' AND allocate_total>0\n`);
+    fetchLog.info(`Fetching from: ${CPDB_API}`);
+    fetchLog.info(`Filter: maxdate>='2025-01-01' AND allocate_total>0\n`);
 
-    const response = await fetch(url);
+    recordRunSource({ type: 'socrata', url: CPDB_API, params: query.toParams() });
+    const geojson = await withArchive(url, () => fetchJson(url, { tag: 'Fetch' }));
+    const features = geojson.features || [];
+    recordRunFetched(features.length);
 
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-    }
+    finishArchiveSession();
 
-    const geojson = await response.json();
-    const features = geojson.features || [];
+    fetchLog.info(`Retrieved ${formatNumber(features.length)} projects\n`);
 
-    console.log(`[Fetch] Retrieved ${formatNumber(features.length)} projects\n`);
+    // Profile the fetched properties here and the processed projects in step 3 (see profile-utils.js)
+    profiles = createProfileSession(db, 'capital', seedRun);
+    profiles.source('cpdb-projects').add(features.map(f => f.properties || {}));
 
     // Step 2: Validate raw data BEFORE processing
-    console.log('--- STEP 2: Validate Capital Projects Data ---\n');
+    logStep(2, 'Validate Capital Projects Data');
     try {
       // Minimum record count validation (expect at least 1000 active projects)
       validateMinimumRecordCount(features, 1000, 'Capital Projects');
 
-      // Validate GeoJSON structure and required fields
-      validateRequiredFields(
-        features.map(f => f.properties),
-        ['maprojid', 'description', 'magencyname', 'allocate_total'],
-        'Capital Projects',
-        30
-      );
-
-      // Data type validation
-      validateDataTypes(
-        features.map(f => f.properties),
-        {
-          allocate_total: (val) => validators.isNumber(val),
-          commit_total: (val) => validators.isNumber(val),
-          spent_total: (val) => validators.isNumber(val),
-        },
-        'Capital Projects',
-        30
-      );
+      // Check every project against the source's contract
+      validateContract(features.map(f => f.properties || {}), capitalProjectsContract);
     } catch (error) {
       logValidationError(error);
-      process.exit(1);
+      throw error;
     }
 
     // Step 3: Process projects
-    console.log('--- STEP 3: Process Capital Projects ---\n');
+    logStep(3, 'Process Capital Projects');
     const projects = processCapitalProjects(features);
+    profiles.source('cpdb-projects', { stage: 'processed', coordinates: { lat: 'centroidLat', lon: 'centroidLon' } }).add(projects);
+    recordRunCounts(seedRun, { processed: projects.length, skipped: features.length - projects.length });
 
     // Step 4: Validate processed data
-    console.log('--- STEP 4: Validate Processed Projects ---\n');
+    logStep(4, 'Validate Processed Projects');
     try {
       validateProcessedRecords(
         projects,
@@ -290,60 +272,148 @@ async function main() {
       );
     } catch (error) {
       logValidationError(error);
-      process.exit(1);
+      throw error;
     }
 
-    // Step 5: Check if data has changed
-    console.log('--- STEP 5: Check for Data Changes ---\n');
-    const changeResult = await detectDataChanges(db, 'capital_projects', projects);
+    // Step 5: Load into staging
+    logStep(5, 'Load into Staging Table');
+    const projectsStaging = await createStagingTable(db, capitalProjects);
+    stagingTables.push(projectsStaging);
 
-    // Only update if changes detected
-    if (!changeResult.hasChanges) {
-      console.log('╔════════════════════════════════════════════════════════════╗');
-      console.log('║          NO CHANGES DETECTED - SKIPPING UPDATE             ║');
-      console.log('╚════════════════════════════════════════════════════════════╝\n');
-      console.log('✓ Capital projects: No changes');
-      console.log('\n💡 Database is already up to date. Seed skipped to save resources.\n');
+    await streamInsert(db, projectsStaging, [projects], {
+      batchSize: 500,
+      label: 'capital projects',
+    });
+    await fillGeometryColumns(db, projectsStaging, {
+      geom: { geojson: 'geometry' },
+      geom_simplified: { geojson: 'geometry_simplified' },
+    });
+    await fingerprintStagedRows(db, projectsStaging);
 
+    // Step 6: Check the staged rows before they go live
+    logStep(6, 'Validate Staged Projects');
+    try {
+      await validateStagedRecords(
+        db,
+        projectsStaging.name,
+        {
+          minCount: projects.length,
+          invalidWhen: {
+            'missing required fields': 'id IS NULL OR maprojid IS NULL OR description IS NULL',
+          },
+        },
+        'Capital Projects'
+      );
+    } catch (error) {
+      logValidationError(error);
+      throw error;
+    }
+
+    // Step 6.1: Compare totals with the last accepted run - a sharp move blocks the load unless --allow-drift
+    logStep(6.1, 'Check Drift Against Last Accepted Run');
+    let drift;
+    try {
+      drift = await checkDrift(db, 'capital', [
+        { key: 'capital', dataset: 'capital', metrics: collectCapitalMetrics(projects) },
+      ], { allowDrift });
+    } catch (error) {
+      logValidationError(error);
+      throw error;
+    }
+
+    // Step 7: Check if data has changed
+    logStep(7, 'Check for Data Changes');
+    const changeResult = await detectDataChanges(db, 'capital_projects', {
+      stagingTable: projectsStaging.name,
+      key: 'maprojid',
+      where: 'deleted_at IS NULL',
+      sampleSize: verbose ? 25 : 5,
+    });
+
+    if (dryRun) {
       const totalTime = t.stop();
-      console.log('========================================');
-      console.log('           SEED SUMMARY                 ');
-      console.log('========================================');
-      console.log('Status: SKIPPED (No changes detected)');
-      console.log(`Total Time: ${totalTime}`);
-      console.log('========================================\n');
-      return;
+      logReport([
+        'Status: DRY RUN (live tables not changed)',
+        `Capital Projects: ${changeResult.reason}`,
+        `Total Time: ${totalTime}`,
+      ]);
+      return {
+        seed: 'capital',
+        status: 'dry-run',
+        changes: summarizeChanges({ capital_projects: changeResult }, { keys: true }),
+        duration: totalTime,
+      };
     }
 
-    // Step 6: Clear existing data (only if changes detected)
-    console.log('--- STEP 6: Clear Existing Data ---\n');
-    console.log('⚠️  Changes detected - clearing table and inserting new data...\n');
+    // Only update if changes detected (or forced)
+    if (!changeResult.hasChanges && !force) {
+      logBanner('NO CHANGES DETECTED - SKIPPING UPDATE', { style: 'box' });
+      seedLog.success('Capital projects: No changes');
+      seedLog.info('\n💡 Database is already up to date. Seed skipped to save resources.\n');
 
-    await clearTable(db, 'capital_projects', 'capital_projects');
+      if (freshness) await recordSourceSync(db, freshness);
+      const changes = summarizeChanges({ capital_projects: changeResult });
+      await finishSeedRun(db, seedRun, 'skipped-no-change', { changeDetection: changes, metrics: drift.metrics });
 
-    // Step 7: Insert into database
-    console.log('--- STEP 7: Insert into Database ---\n');
-    await batchInsert(db, capitalProjects, projects, {
-      batchSize: 500,
-      label: 'capital projects',
-    });
+      const totalTime = t.stop();
+      logReport([
+        'Status: SKIPPED (No changes detected)',
+        `Total Time: ${totalTime}`,
+      ]);
+      return { seed: 'capital', status: 'skipped-no-change', changes, duration: totalTime };
+    }
+
+    // Step 8: Merge staged rows into the live table (only if changes detected) - a failure leaves it untouched
+    logStep(8, 'Merge Staged Data into Live Table');
+    if (changeResult.hasChanges) {
+      seedLog.info('Changes detected - applying row-level changes...\n');
+    } else {
+      seedLog.warn('No changes detected, but --force was given - merging anyway...\n');
+    }
+    let merged;
+    try {
+      merged = await mergeStagingTables(db, [{ staging: projectsStaging, key: 'maprojid', history: true }]);
+    } catch (error) {
+      // Duplicate staged keys are reported before anything is merged
+      if (error instanceof ValidationError) logValidationError(error);
+      throw error;
+    }
+
+    const changes = { ...summarizeChanges({ capital_projects: changeResult }), merged };
+    if (freshness) await recordSourceSync(db, freshness);
+    await finishSeedRun(db, seedRun, 'success', { changeDetection: changes, metrics: drift.metrics });
 
     // Summary
-    console.log('========================================');
-    console.log('           SEED SUMMARY                 ');
-    console.log('========================================');
-    console.log(`Capital Projects: ${formatNumber(projects.length)}`);
-    console.log(`Total Budget Allocated: $${formatNumber(projects.reduce((sum, p) => sum + p.allocateTotal, 0).toFixed(0))}`);
-    console.log(`Total Time: ${t.stop()}`);
-    console.log('========================================\n');
+    const totalTime = t.stop();
+    logReport([
+      `Capital Projects: ${formatNumber(projects.length)}`,
+      `Total Budget Allocated: $${formatNumber(projects.reduce((sum, p) => sum + p.allocateTotal, 0).toFixed(0))}`,
+      `Changes: ${formatChanges(merged.capital_projects)}`,
+      `Total Time: ${totalTime}`,
+    ]);
+
+    return { seed: 'capital', status: 'success', changes, duration: totalTime };
 
   } catch (error) {
-    console.error('\n[ERROR] Seed failed:', error);
-    process.exit(1);
+    // Validation failures were already reported by logValidationError
+    const validationFailed = error instanceof ValidationError;
+    if (!validationFailed) seedLog.error('\nSeed failed:', error);
+    await finishSeedRun(db, seedRun, validationFailed ? 'validation-failed' : 'error', { error });
+    throw error;
   } finally {
+    abortArchiveSession();
+    logHttpStats();
+    // Written for failed runs too, where the profile helps explain the failure
+    if (profiles) await profiles.finish();
+    try {
+      await dropStagingTables(db, stagingTables);
+    } catch (error) {
+      stagingLog.warn(`Could not drop staging tables: ${error.message}`);
+    }
+    if (tableLocks) await tableLocks.release();
     await closeDb(client);
   }
 }
 
-// Run the seed script
-main();
+// Run the seed script when executed directly (scripts/seed.js runs it in a child process; run() can also be imported)
+runSeedScript('capital', run, import.meta.url);
@@ -0,0 +1,346 @@
+#!/usr/bin/env node
+
+// ABOUTME: Long-running refresh daemon - refreshes each dataset on its own cron schedule (scripts/seed-schedule.json)
+// ABOUTME: Usage: bun scripts/seed-daemon.js [--config path] [--port 8787] [--log-format json] [--quiet] [--verbose]
+
+import { readFileSync } from 'node:fs';
+import http from 'node:http';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { config } from 'dotenv';
+import { initDb, closeDb } from './lib/seed-utils.js';
+import { checkNeedsUpdate } from './lib/validation-utils.js';
+import { DATASETS, SEEDS } from './lib/cli-utils.js';
+import { FAILED_STATUSES, COMPLETED_STATUSES, runSeed } from './lib/seed-runner.js';
+import { parseCron, nextCronTime } from './lib/cron.js';
+import { FRESHNESS_SOURCES as HOUSING_SOURCES } from './seed-housing.js';
+import { FRESHNESS_SOURCES as CAPITAL_SOURCES } from './seed-capital-budget.js';
+import { FINANCIAL_DATASETS } from './seed-financial.js';
+import { configureLogger, createLogger, logBanner } from './lib/logger.js';
+
+const log = createLogger('Daemon');
+
+// Load environment variables
+config();
+
+const DEFAULT_CONFIG_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), 'seed-schedule.json');
+
+// Wake up at least this often, so clock changes (sleep, DST) can't delay a run for long
+const MAX_SLEEP_MS = 60 * 1000;
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+  const args = { config: DEFAULT_CONFIG_PATH, port: null, logFormat: process.env.SEED_LOG_FORMAT || 'pretty', quiet: false, verbose: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--config') args.config = path.resolve(argv[++i]);
+    else if (arg === '--port') args.port = parseInt(argv[++i], 10);
+    else if (arg === '--log-format') args.logFormat = argv[++i];
+    else if (arg === '--quiet') args.quiet = true;
+    else if (arg === '--verbose') args.verbose = true;
+    else throw new Error(`Unknown option: ${arg}`);
+  }
+
+  return args;
+}
+
+/**
+ * Upstream sources of a scheduled dataset or seed (their sync times tell how old the data is)
+ */
+function sourcesFor(name) {
+  if (name === 'housing') return HOUSING_SOURCES;
+  if (name === 'capital') return CAPITAL_SOURCES;
+  return FINANCIAL_DATASETS
+    .filter(dataset => name === 'financial' || dataset.name === name)
+    .flatMap(dataset => dataset.sources);
+}
+
+/**
+ * Load and check the schedule config
+ * @returns {object} { statusPort, jitterMinutes, retry, shutdownTimeoutMinutes, entries }
+ * @throws {Error} On a missing file, unknown datasets, or invalid cron expressions
+ */
+function loadSchedule(configPath) {
+  const schedule = JSON.parse(readFileSync(configPath, 'utf8'));
+
+  const entries = Object.entries(schedule.datasets || {}).map(([name, entry]) => {
+    const seed = DATASETS[name] || (SEEDS.includes(name) ? name : null);
+    if (!seed) {
+      throw new Error(`Unknown dataset "${name}" in ${configPath} (expected: ${[...new Set([...Object.keys(DATASETS), ...SEEDS])].join(', ')})`);
+    }
+    if (entry.maxAgeHours !== undefined && !(entry.maxAgeHours > 0)) {
+      throw new Error(`maxAgeHours of "${name}" must be a positive number`);
+    }
+
+    return {
+      name,
+      seed,
+      cron: entry.cron,
+      schedule: parseCron(entry.cron),
+      maxAgeHours: entry.maxAgeHours ?? null,
+      sourceIds: sourcesFor(name).map(source => source.id),
+      nextRunAt: null,
+      lastRun: null,
+      lastSuccessAt: null,
+      consecutiveFailures: 0,
+    };
+  });
+
+  if (entries.length === 0) {
+    throw new Error(`No datasets scheduled in ${configPath}`);
+  }
+
+  return {
+    statusPort: schedule.statusPort ?? 8787,
+    jitterMinutes: schedule.jitterMinutes ?? 0,
+    retry: { baseMinutes: 15, maxMinutes: 720, ...schedule.retry },
+    shutdownTimeoutMinutes: schedule.shutdownTimeoutMinutes ?? 30,
+    entries,
+  };
+}
+
+/**
+ * Next scheduled run of an entry, pushed back by a random jitter so runs don't hit upstream in lockstep
+ */
+function nextScheduledRun(entry, jitterMinutes, after = new Date()) {
+  const time = nextCronTime(entry.schedule, after);
+  return new Date(time.getTime() + Math.random() * jitterMinutes * 60 * 1000);
+}
+
+/**
+ * Status served by the local status endpoint
+ */
+function describeStatus(state) {
+  return {
+    startedAt: state.startedAt.toISOString(),
+    stopping: state.stopping,
+    running: state.running ? state.running.name : null,
+    datasets: Object.fromEntries(state.entries.map(entry => [entry.name, {
+      seed: entry.seed,
+      cron: entry.cron,
+      maxAgeHours: entry.maxAgeHours,
+      lastRun: entry.lastRun,
+      lastSuccessAt: entry.lastSuccessAt ? entry.lastSuccessAt.toISOString() : null,
+      nextRunAt: state.running === entry ? null : entry.nextRunAt.toISOString(),
+      consecutiveFailures: entry.consecutiveFailures,
+    }])),
+  };
+}
+
+/**
+ * Refresh one dataset and schedule its next run
+ * When the dataset's last sync is older than maxAgeHours the refresh is forced; otherwise the seed's own
+ * upstream freshness check decides whether anything needs fetching. Failures are retried with exponential
+ * backoff (never later than the next scheduled run).
+ */
+async function refresh(state, entry) {
+  const { db, schedule, args } = state;
+  const startedAt = new Date();
+
+  log.info(`\n▶️  Refreshing ${entry.name} (scheduled ${entry.nextRunAt.toISOString()})`);
+
+  let forced = false;
+  if (entry.maxAgeHours !== null && entry.sourceIds.length > 0) {
+    const ids = entry.sourceIds.map(id => `'${id.replace(/'/g, "''")}'`).join(', ');
+    const age = await checkNeedsUpdate(db, 'source_sync_state', entry.maxAgeHours, {
+      column: 'synced_at',
+      where: `id IN (${ids})`,
+    });
+    forced = age.needsUpdate;
+  }
+  if (state.stopping) return;
+
+  const argv = ['--only', entry.name, '--log-format', args.logFormat];
+  if (forced) argv.push('--force');
+  if (args.quiet) argv.push('--quiet');
+  if (args.verbose) argv.push('--verbose');
+
+  state.running = entry;
+  const result = await runSeed(entry.seed, argv, {
+    detached: true,
+    onSpawn: (child) => {
+      state.child = child;
+    },
+  });
+  state.running = null;
+  state.child = null;
+
+  const finishedAt = new Date();
+  entry.lastRun = {
+    startedAt: startedAt.toISOString(),
+    finishedAt: finishedAt.toISOString(),
+    status: result.status,
+    forced,
+    error: result.error || null,
+    reason: result.reason || null,
+  };
+
+  const nextScheduled = nextScheduledRun(entry, schedule.jitterMinutes, finishedAt);
+
+  if (COMPLETED_STATUSES.includes(result.status)) {
+    entry.consecutiveFailures = 0;
+    entry.lastSuccessAt = finishedAt;
+    entry.nextRunAt = nextScheduled;
+    log.success(`${entry.name}: ${result.status} - next run ${entry.nextRunAt.toISOString()}`);
+    return;
+  }
+
+  // Failed runs back off exponentially; runs skipped because another run held the locks retry after the base delay
+  const failed = FAILED_STATUSES.includes(result.status);
+  if (failed) entry.consecutiveFailures++;
+  const delayMinutes = failed
+    ? Math.min(schedule.retry.baseMinutes * 2 ** (entry.consecutiveFailures - 1), schedule.retry.maxMinutes)
+    : schedule.retry.baseMinutes;
+  const retryAt = new Date(finishedAt.getTime() + delayMinutes * 60 * 1000);
+  entry.nextRunAt = retryAt < nextScheduled ? retryAt : nextScheduled;
+
+  const detail = result.error || result.reason;
+  (failed ? log.error : log.warn)(`${entry.name}: ${result.status}${detail ? ` - ${detail}` : ''}`);
+  log.info(`  ${failed ? `Failure ${entry.consecutiveFailures} in a row - retrying` : 'Retrying'} at ${entry.nextRunAt.toISOString()}`);
+}
+
+/**
+ * Run due datasets one at a time until shutdown
+ * Runs are serialized, so datasets sharing a table (e.g., the sankey datasets) never contend for its lock.
+ */
+async function runLoop(state) {
+  while (!state.stopping) {
+    const now = Date.now();
+    const [due] = state.entries
+      .filter(entry => entry.nextRunAt.getTime() <= now)
+      .sort((a, b) => a.nextRunAt - b.nextRunAt);
+
+    if (due) {
+      try {
+        await refresh(state, due);
+      } catch (error) {
+        // refresh only throws if the daemon itself failed (e.g., bad SQL) - keep serving the other datasets
+        log.error(`Could not refresh ${due.name}:`, error);
+        due.nextRunAt = nextScheduledRun(due, state.schedule.jitterMinutes);
+      }
+      continue;
+    }
+
+    const earliest = Math.min(...state.entries.map(entry => entry.nextRunAt.getTime()));
+    await new Promise((resolve) => {
+      state.wake = resolve;
+      state.timer = setTimeout(resolve, Math.min(Math.max(earliest - now, 0), MAX_SLEEP_MS));
+    });
+    state.wake = null;
+  }
+}
+
+/**
+ * Start the local status endpoint (GET / or /status)
+ */
+function startStatusServer(state, port) {
+  const server = http.createServer((req, res) => {
+    if (req.method !== 'GET' || !['/', '/status'].includes(new URL(req.url, 'http://localhost').pathname)) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Not found' }));
+      return;
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(`${JSON.stringify(describeStatus(state), null, 2)}\n`);
+  });
+
+  server.on('error', error => log.error(`Status endpoint failed: ${error.message}`));
+  server.listen(port, '127.0.0.1', () => {
+    log.info(`Status endpoint: http://127.0.0.1:${port}/status`);
+  });
+
+  return server;
+}
+
+/**
+ * Stop scheduling and let the running refresh finish
+ * A second signal, or the shutdown timeout, stops the running seed (its live tables are left untouched).
+ */
+function shutdown(state, signal) {
+  if (state.stopping) {
+    if (state.child) {
+      log.info(`${signal} received again - stopping ${state.running.name} now`);
+      state.child.kill('SIGTERM');
+    }
+    return;
+  }
+
+  state.stopping = true;
+  clearTimeout(state.timer);
+  if (state.wake) state.wake();
+
+  if (!state.child) {
+    log.info(`\n${signal} received - shutting down...`);
+    return;
+  }
+
+  const timeoutMinutes = state.schedule.shutdownTimeoutMinutes;
+  log.info(`\n${signal} received - waiting up to ${timeoutMinutes}m for ${state.running.name} to finish (send ${signal} again to stop it now)...`);
+  setTimeout(() => {
+    if (state.child) {
+      log.warn(`${state.running.name} is still running after ${timeoutMinutes}m - stopping it`);
+      state.child.kill('SIGTERM');
+    }
+  }, timeoutMinutes * 60 * 1000).unref();
+}
+
+/**
+ * Main daemon function
+ */
+async function main() {
+  let args;
+  let schedule;
+  try {
+    args = parseArgs(process.argv.slice(2));
+    configureLogger({
+      format: args.logFormat,
+      ...(args.quiet ? { level: 'warn' } : args.verbose ? { level: 'debug' } : {}),
+    });
+    schedule = loadSchedule(args.config);
+  } catch (error) {
+    log.error(error.message);
+    process.exitCode = 1;
+    return;
+  }
+
+  logBanner('NYC DATA REFRESH DAEMON');
+
+  const { db, client } = initDb();
+  const state = {
+    db,
+    args,
+    schedule,
+    entries: schedule.entries,
+    startedAt: new Date(),
+    stopping: false,
+    running: null,
+    child: null,
+    timer: null,
+    wake: null,
+  };
+
+  for (const entry of state.entries) {
+    entry.nextRunAt = nextScheduledRun(entry, schedule.jitterMinutes);
+    log.info(`${entry.name.padEnd(18)} ${entry.cron.padEnd(18)} next run ${entry.nextRunAt.toISOString()}`);
+  }
+  log.info('');
+
+  const server = startStatusServer(state, args.port ?? parseInt(process.env.SEED_DAEMON_PORT || schedule.statusPort, 10));
+  process.on('SIGINT', () => shutdown(state, 'SIGINT'));
+  process.on('SIGTERM', () => shutdown(state, 'SIGTERM'));
+
+  try {
+    await runLoop(state);
+  } finally {
+    server.close();
+    await closeDb(client);
+    log.info('Stopped');
+  }
+}
+
+// Run the daemon
+main();
@@ -4,28 +4,70 @@
 // ABOUTME: Combines budget sankey, pension sankey, revenue sunburst, and expense sunburst
 
 import { config } from 'dotenv';
+import { and, eq, inArray, not, or, sql } from 'drizzle-orm';
 import { sankeyDatasets, sunburstDatasets } from '../server/lib/schema.ts';
 import {
   initDb,
   closeDb,
   fetchNycOpenData,
-  clearTable,
+  streamInsert,
+  startSeedRun,
+  recordRunCounts,
+  finishSeedRun,
+  summarizeChanges,
   timer,
   formatNumber,
 } from './lib/seed-utils.js';
 import {
+  ValidationError,
   validateMinimumRecordCount,
-  validateRequiredFields,
   validateProcessedRecords,
+  validateStagedRecords,
   logValidationError,
   detectDataChanges,
 } from './lib/validation-utils.js';
+import { startArchiveSession, finishArchiveSession, abortArchiveSession, discardArchiveSession, withArchive } from './lib/archive-utils.js';
+import { soql } from './lib/soql.js';
+import { fetchJson, logHttpStats } from './lib/http-client.js';
+import { checkSourceFreshness, recordSourceSync } from './lib/freshness-utils.js';
+import { createStagingTable, carryOverLiveRows, swapStagingTables, dropStagingTables } from './lib/staging-utils.js';
+import { fingerprintStagedRows } from './lib/fingerprint-utils.js';
+import { acquireTableLocks } from './lib/lock-utils.js';
+import { runSeedScript, selectDatasets, parseYears } from './lib/cli-utils.js';
+import { discoverBudgetVintages } from './lib/budget-vintages.js';
+import { validateContract } from './lib/contract-utils.js';
+import { contract as expenseBudgetContract } from './contracts/expense-budget.js';
+import { contract as revenueBudgetContract } from './contracts/revenue-budget.js';
+import { contract as nycBudgetContract } from './contracts/nyc-budget.js';
+import { contract as pensionHoldingsContract } from './contracts/pension-holdings.js';
+import { checkDrift } from './lib/drift-utils.js';
+import { validateSankey } from './lib/sankey-utils.js';
+import { createProfileSession } from './lib/profile-utils.js';
+import { createLogger, logStep, logBanner, logReport, setLogContext } from './lib/logger.js';
+
+const seedLog = createLogger('Seed');
+const budgetSankeyLog = createLogger('Budget Sankey');
+const pensionSankeyLog = createLogger('Pension Sankey');
+const revenueSunburstLog = createLogger('Revenue Sunburst');
+const expenseSunburstLog = createLogger('Expense Sunburst');
+const stagingLog = createLogger('Staging');
 
 // Load environment variables
 config();
 
-const FISCAL_YEAR = 2025;
-const PUBLICATION_DATE = '20240630';
+// Fiscal years generated when --years isn't given (e.g., SEED_FISCAL_YEARS=2023-2025)
+const DEFAULT_FISCAL_YEARS = parseYears(process.env.SEED_FISCAL_YEARS || '2025');
+
+// The pension sankey is a snapshot of current holdings, not a per-year budget
+const PENSION_FISCAL_YEAR = 2025;
+
+// Display names of the budget stages (see budget-vintages.js)
+const STAGE_NAMES = {
+  preliminary: 'Preliminary',
+  executive: 'Executive',
+  adopted: 'Adopted',
+  modified: 'Modified',
+};
 
 // NYC Open Data datasets
 const BUDGET_API = 'https://data.cityofnewyork.us/resource/39g5-gbp3.json'; // Expense Budget by Funding Source
@@ -41,6 +83,116 @@ const PENSION_FUNDS = [
   { id: 'FIRE', label: 'Fire Department Pension Fund', datasetId: '95aa-k2ka' },
 ];
 
+// Datasets built by this script, selectable with --only (see cli-utils.js)
+// `yearly` datasets are generated once per fiscal year and budget stage (ids like 'budget-fy2025-adopted');
+// `vintages` says where to discover the stages published for a year (see budget-vintages.js)
+// `sources` are the upstream sources checked before fetching (see freshness-utils.js)
+// `metrics` summarizes a generated record for the drift checks (see drift-utils.js)
+// `profileRows` flattens a generated record into the rows its processed profile covers (see profile-utils.js)
+export const FINANCIAL_DATASETS = [
+  {
+    name: 'budget-sankey',
+    title: 'Budget Sankey',
+    step: 1,
+    kind: 'sankey',
+    dataType: 'budget',
+    yearly: true,
+    vintages: { url: BUDGET_API, label: 'Expense Budget' },
+    generate: generateBudgetSankey,
+    metrics: (record) => ({ totalBudget: record.metadata.totalBudget, categories: sankeyNodeTotals(record, 1) }),
+    profileRows: (record) => record.links,
+    sources: [{ id: 'financial:expense-budget', type: 'socrata', url: BUDGET_API }],
+  },
+  {
+    name: 'pension-sankey',
+    title: 'Pension Sankey',
+    step: 2,
+    kind: 'sankey',
+    dataType: 'pension',
+    yearly: false,
+    generate: generatePensionSankey,
+    metrics: (record) => ({ totalAumBillion: record.metadata.total_aum_billion, funds: sankeyNodeTotals(record, 1) }),
+    profileRows: (record) => record.links,
+    sources: PENSION_FUNDS.map(fund => ({
+      id: `financial:pension-${fund.id.toLowerCase()}`,
+      type: 'socrata',
+      url: `https://data.cityofnewyork.us/resource/${fund.datasetId}.json`,
+    })),
+  },
+  {
+    name: 'revenue-sunburst',
+    title: 'Revenue Sunburst',
+    step: 3,
+    kind: 'sunburst',
+    dataType: 'revenue',
+    yearly: true,
+    vintages: { url: REVENUE_API, label: 'Revenue Budget', labelledByFiscalYear: true },
+    generate: generateRevenueSunburst,
+    metrics: (record) => ({ totalRevenue: record.totalValue, topLevels: sunburstNodeTotals(record, 1) }),
+    profileRows: (record) => sunburstLeaves(record),
+    sources: [{ id: 'financial:revenue-budget', type: 'socrata', url: REVENUE_API }],
+  },
+  {
+    name: 'expense-sunburst',
+    title: 'Expense Sunburst',
+    step: 4,
+    kind: 'sunburst',
+    dataType: 'expense',
+    yearly: true,
+    vintages: { url: EXPENSE_API, label: 'Budget' },
+    generate: generateExpenseSunburst,
+    metrics: (record) => ({ totalExpense: record.totalValue, agencies: sunburstNodeTotals(record, 2) }),
+    profileRows: (record) => sunburstLeaves(record),
+    sources: [{ id: 'financial:nyc-budget', type: 'socrata', url: EXPENSE_API }],
+  },
+];
+
+/**
+ * Inflow of each sankey node at a level, keyed by label (e.g., budget categories or pension funds)
+ */
+function sankeyNodeTotals(record, level) {
+  const labels = new Map(record.nodes.filter(node => node.level === level).map(node => [node.id, node.label]));
+  const totals = {};
+  for (const link of record.links) {
+    const label = labels.get(link.target);
+    if (label !== undefined) totals[label] = (totals[label] || 0) + link.value;
+  }
+  return totals;
+}
+
+/**
+ * Sum of the leaf values under each sunburst node at a depth, keyed by name (depth 1 is the top level)
+ */
+function sunburstNodeTotals(record, depth) {
+  const sum = (node) => node.children ? node.children.reduce((total, child) => total + sum(child), 0) : (node.value || 0);
+  const totals = {};
+  const visit = (node, level) => {
+    if (level === depth) {
+      totals[node.name] = (totals[node.name] || 0) + sum(node);
+      return;
+    }
+    for (const child of node.children || []) visit(child, level + 1);
+  };
+  visit(record.hierarchyData, 0);
+  return totals;
+}
+
+/**
+ * Leaves of a sunburst with their top-level ancestor, parent and depth
+ */
+function sunburstLeaves(record) {
+  const leaves = [];
+  const visit = (node, ancestors) => {
+    if (!node.children) {
+      leaves.push({ topLevel: ancestors[1] ?? null, parent: ancestors.at(-1) ?? null, name: node.name, depth: ancestors.length, value: node.value });
+      return;
+    }
+    for (const child of node.children) visit(child, [...ancestors, node.name]);
+  };
+  visit(record.hierarchyData, []);
+  return leaves;
+}
+
 // Agency categorization
 const AGENCY_CATEGORIES = {
   'DEPARTMENT OF EDUCATION': 'Education & Libraries',
@@ -137,35 +289,102 @@ function getTopLevelCategory(comptrollerCategory) {
   return 'Other Revenue';
 }
 
+/**
+ * Budget stage publications to generate for a dataset's fiscal year, discovered once per run
+ * @param {object} dataset - FINANCIAL_DATASETS entry
+ * @param {number} fiscalYear - Fiscal year
+ * @param {Map} discovered - Vintages discovered so far this run, keyed by resource URL and fiscal year
+ * @returns {Promise<Array<object|null>>} Vintages (see budget-vintages.js), or [null] for datasets without stages
+ */
+async function datasetVintages(dataset, fiscalYear, discovered) {
+  if (!dataset.vintages) return [null];
+
+  const key = `${dataset.vintages.url}:${fiscalYear}`;
+  if (!discovered.has(key)) {
+    discovered.set(key, await discoverBudgetVintages(dataset.vintages.url, fiscalYear, dataset.vintages));
+  }
+  return discovered.get(key);
+}
+
+/**
+ * Datasets a run would generate that the live tables don't hold yet (fiscal years or budget stages never generated)
+ * Source sync state is kept per source, not per year or stage, so these don't show up as upstream changes
+ * @param {object} db - Drizzle database instance
+ * @param {Array<object>} selected - Selected FINANCIAL_DATASETS entries
+ * @param {Array<number>} fiscalYears - Fiscal years the run generates
+ * @param {Map} discovered - Vintages discovered so far this run (see datasetVintages)
+ * @returns {Promise<Array<string>>} The missing datasets, e.g. 'budget-sankey FY2023 (executive)'
+ */
+async function findUngeneratedDatasets(db, selected, fiscalYears, discovered) {
+  const missing = [];
+
+  for (const dataset of selected) {
+    const table = dataset.kind === 'sankey' ? sankeyDatasets : sunburstDatasets;
+    const rows = await db.select({ fiscalYear: table.fiscalYear, stage: sql`${table.metadata}->>'stage'` })
+      .from(table)
+      .where(eq(table.dataType, dataset.dataType));
+
+    if (!dataset.yearly) {
+      if (rows.length === 0) missing.push(dataset.name);
+      continue;
+    }
+
+    const held = new Set(rows.map(row => `${row.fiscalYear}:${row.stage ?? ''}`));
+    for (const fiscalYear of fiscalYears) {
+      for (const vintage of await datasetVintages(dataset, fiscalYear, discovered)) {
+        if (!held.has(`${fiscalYear}:${vintage?.stage ?? ''}`)) {
+          missing.push(`${dataset.name} FY${fiscalYear}${vintage ? ` (${vintage.stage})` : ''}`);
+        }
+      }
+    }
+  }
+
+  return missing;
+}
+
 /**
  * Generate Budget Sankey (Funding Sources → Categories → Agencies)
+ * @param {object} db - Drizzle database instance
+ * @param {number} fiscalYear - Fiscal year to generate
+ * @param {object} vintage - Budget stage publication to generate (see budget-vintages.js)
+ * @param {object} profiles - Profile session the fetched records are added to (see profile-utils.js)
  */
-async function generateBudgetSankey(db) {
-  console.log('[Budget Sankey] Fetching budget data...\n');
+async function generateBudgetSankey(db, fiscalYear, vintage, profiles) {
+  const { stage, publicationDate, publishedOn } = vintage;
+  budgetSankeyLog.info(`Fetching FY${fiscalYear} ${stage} budget data (aggregated by agency)...\n`);
 
+  // Let Socrata sum each funding source by agency instead of pulling every budget line
   const records = await fetchNycOpenData(BUDGET_API, {
     limit: 50000,
     params: {
-      fiscal_year: FISCAL_YEAR,
-      publication_date: PUBLICATION_DATE,
+      fiscal_year: fiscalYear,
+      publication_date: publicationDate,
     },
+    query: soql()
+      .select(
+        'agency_name',
+        'sum(city_funds_current_budget_amount) AS city_funds_current_budget_amount',
+        'sum(federal_funds_current_budget_amount) AS federal_funds_current_budget_amount',
+        'sum(state_funds_current_budget_amount) AS state_funds_current_budget_amount'
+      )
+      .group('agency_name')
+      .order('agency_name'),
   });
+  profiles.source('expense-budget').add(records);
 
-  // Validate budget data
+  // Validate budget data (one row per agency)
   try {
-    validateMinimumRecordCount(records, 500, 'Budget Data');
-    validateRequiredFields(
-      records,
-      ['agency_name', 'city_funds_current_budget_amount'],
-      'Budget Data',
-      20
-    );
+    validateMinimumRecordCount(records, 20, 'Budget Data');
+    validateContract(records, expenseBudgetContract, {
+      label: 'Budget Data',
+      fields: ['agency_name', 'city_funds_current_budget_amount', 'federal_funds_current_budget_amount', 'state_funds_current_budget_amount'],
+    });
   } catch (error) {
     logValidationError(error);
     throw error;
   }
 
-  console.log('[Budget Sankey] Processing...');
+  budgetSankeyLog.info('Processing...');
 
   // Aggregate by agency and funding source
   const agencyFunding = new Map();
@@ -175,7 +394,7 @@ async function generateBudgetSankey(db) {
     'State Funds': 0,
   };
 
-  // Process each record
+  // Process each agency total
   for (const record of records) {
     const agency = record.agency_name || 'Unknown';
     const category = categorizeAgency(agency);
@@ -223,21 +442,16 @@ async function generateBudgetSankey(db) {
     }
   }
 
-  // Aggregate by category
+  // Aggregate by category from each agency's positive amounts, so a category passes on exactly what it receives
   const categoryFunding = new Map();
-  for (const [agency, data] of agencyFunding.entries()) {
-    const category = data.category;
-    if (!categoryFunding.has(category)) {
-      categoryFunding.set(category, {
-        cityFunds: 0,
-        federalFunds: 0,
-        stateFunds: 0,
-      });
+  for (const data of agencyFunding.values()) {
+    if (!categoryFunding.has(data.category)) {
+      categoryFunding.set(data.category, { cityFunds: 0, federalFunds: 0, stateFunds: 0 });
+    }
+    const catData = categoryFunding.get(data.category);
+    for (const source of fundingSources) {
+      catData[source.key] += Math.max(data[source.key], 0);
     }
-    const catData = categoryFunding.get(category);
-    catData.cityFunds += data.cityFunds;
-    catData.federalFunds += data.federalFunds;
-    catData.stateFunds += data.stateFunds;
   }
 
   // Category nodes (level 1)
@@ -251,7 +465,7 @@ async function generateBudgetSankey(db) {
       // Links from funding sources to categories
       for (const source of fundingSources) {
         const amount = funding[source.key];
-        if (amount > 1000000) { // Only if > $1M
+        if (amount > 0 && fundingTotals[source.id] > 0) {
           links.push({
             source: `funding-${source.id}`,
             target: `category-${category}`,
@@ -262,53 +476,57 @@ async function generateBudgetSankey(db) {
     }
   }
 
-  // Agency nodes (level 2) - filtered to top agencies per category
+  // Agency nodes (level 2) - the top 6 agencies of at least $25M per category keep the visualization manageable;
+  // the category's other agencies are combined into one 'Other' node, so no flow is dropped
   const agenciesByCategory = new Map();
   for (const [agency, data] of agencyFunding.entries()) {
     const category = data.category;
     if (!activeCategories.has(category)) continue;
 
-    const total = data.cityFunds + data.federalFunds + data.stateFunds;
-    if (total < 25000000) continue; // Skip agencies < $25M
-
     if (!agenciesByCategory.has(category)) {
       agenciesByCategory.set(category, []);
     }
     agenciesByCategory.get(category).push({
       agency,
-      total,
+      total: data.cityFunds + data.federalFunds + data.stateFunds,
       funding: data,
     });
   }
 
-  // Add top 6 agencies per category to keep visualization manageable
   for (const [category, agencies] of agenciesByCategory.entries()) {
-    // Sort by total and take top 6
     const topAgencies = agencies
+      .filter(({ total }) => total >= 25000000)
       .sort((a, b) => b.total - a.total)
       .slice(0, 6);
-
-    for (const { agency, funding } of topAgencies) {
-      const agencyId = `agency-${agency}`;
-      const normalizedAgencyName = toTitleCase(agency);
-
-      nodes.push({
-        id: agencyId,
-        label: normalizedAgencyName,
-        level: 2,
-        type: 'agency',
+    const otherAgencies = agencies.filter(entry => !topAgencies.includes(entry));
+
+    const groups = topAgencies.map(({ agency, funding }) => ({
+      node: { id: `agency-${agency}`, label: toTitleCase(agency), level: 2, type: 'agency' },
+      funding,
+    }));
+
+    if (otherAgencies.length > 0) {
+      const funding = { cityFunds: 0, federalFunds: 0, stateFunds: 0 };
+      for (const entry of otherAgencies) {
+        for (const source of fundingSources) {
+          funding[source.key] += Math.max(entry.funding[source.key], 0);
+        }
+      }
+      groups.push({
+        node: { id: `other-${category}`, label: `Other ${category} (${otherAgencies.length} agencies)`, level: 2, type: 'other' },
+        funding,
       });
+    }
 
-      // Links from category to agency
-      for (const source of fundingSources) {
-        const amount = funding[source.key];
-        if (amount > 500000) { // Only if > $500K
-          links.push({
-            source: `category-${category}`,
-            target: agencyId,
-            value: amount,
-          });
-        }
+    for (const { node, funding } of groups) {
+      // Links from category to agency, one per funding source
+      const agencyLinks = fundingSources
+        .filter(source => funding[source.key] > 0)
+        .map(source => ({ source: `category-${category}`, target: node.id, value: funding[source.key] }));
+
+      if (agencyLinks.length > 0) {
+        nodes.push(node);
+        links.push(...agencyLinks);
       }
     }
   }
@@ -316,23 +534,25 @@ async function generateBudgetSankey(db) {
   // Now has 3 levels: Funding Sources → Service Categories → Major Agencies
 
   const dataset = {
-    id: `budget-fy${FISCAL_YEAR}`,
-    label: `NYC Expense Budget by Funding Source FY${FISCAL_YEAR}`,
+    id: `budget-fy${fiscalYear}-${stage}`,
+    label: `NYC Expense Budget by Funding Source FY${fiscalYear} (${STAGE_NAMES[stage]})`,
     description: 'Shows how funding sources (City, Federal, State) flow to service categories and major agencies (3 levels)',
-    fiscalYear: FISCAL_YEAR,
+    fiscalYear,
     dataType: 'budget',
     units: 'USD',
     nodes,
     links,
     metadata: {
-      publicationDate: PUBLICATION_DATE,
+      stage,
+      publicationDate,
+      publishedOn,
       totalBudget: fundingTotals['City Funds'] + fundingTotals['Federal Funds'] + fundingTotals['State Funds'],
       levels: 3,
     },
     generatedAt: new Date(),
   };
 
-  console.log(`[Budget Sankey] Generated: ${nodes.length} nodes, ${links.length} links\n`);
+  budgetSankeyLog.info(`Generated: ${nodes.length} nodes, ${links.length} links\n`);
 
   return dataset;
 }
@@ -431,28 +651,33 @@ function categorizeAsset(assetClass, investmentType) {
   return { bucket, subAsset: toTitleCase(subAsset) };
 }
 
-async function fetchFundHoldings(datasetId, fundId) {
-  console.log(`  Fetching holdings for ${fundId}...`);
+async function fetchFundHoldings(datasetId, fundId, profile) {
+  pensionSankeyLog.info(`  Fetching holdings for ${fundId}...`);
 
   const API_BASE = `https://data.cityofnewyork.us/resource/${datasetId}.json`;
 
   // First, get the most recent period_end_date
-  // Use raw fetch for this simple query
-  const dateUrl = `${API_BASE}?$select=period_end_date&$group=period_end_date&$order=period_end_date DESC&$limit=1`;
-  const dateResponse = await fetch(dateUrl);
-  if (!dateResponse.ok) {
-    console.error(`    Failed to fetch date for ${fundId}`);
+  const dateQuery = soql()
+    .select('period_end_date')
+    .group('period_end_date')
+    .order('period_end_date DESC')
+    .limit(1);
+  const dateUrl = `${API_BASE}?${dateQuery}`;
+  let dateData;
+  try {
+    dateData = await withArchive(dateUrl, () => fetchJson(dateUrl, { tag: 'Fetch' }));
+  } catch (error) {
+    pensionSankeyLog.error(`    Failed to fetch date for ${fundId}: ${error.message}`);
     return [];
   }
-  const dateData = await dateResponse.json();
   const latestPeriodDate = dateData[0]?.period_end_date;
 
   if (!latestPeriodDate) {
-    console.error(`    Could not find period_end_date for ${fundId}`);
+    pensionSankeyLog.error(`    Could not find period_end_date for ${fundId}`);
     return [];
   }
 
-  console.log(`    Using period: ${latestPeriodDate}`);
+  pensionSankeyLog.info(`    Using period: ${latestPeriodDate}`);
 
   const records = await fetchNycOpenData(API_BASE, {
     limit: 50000,
@@ -461,7 +686,19 @@ async function fetchFundHoldings(datasetId, fundId) {
     },
   });
 
-  console.log(`    Fetched ${records.length} holdings`);
+  pensionSankeyLog.info(`    Fetched ${records.length} holdings`);
+  profile.add(records);
+
+  // Funds without holdings for the period are left out of the sankey rather than failing it
+  if (records.length > 0) {
+    try {
+      validateContract(records, pensionHoldingsContract, { label: `${fundId} Holdings` });
+    } catch (error) {
+      logValidationError(error);
+      throw error;
+    }
+  }
+
   return records;
 }
 
@@ -469,14 +706,18 @@ async function fetchFundHoldings(datasetId, fundId) {
  * Generate Pension Sankey (System → Funds → Asset Buckets → Sub-Assets)
  * Fetches real holdings data from NYC Open Data APIs
  * 4 levels: System → Fund → Bucket → Sub-Asset
+ * @param {object} db - Drizzle database instance
+ * @param {null} fiscalYear - Unused (the sankey is a snapshot of current holdings)
+ * @param {null} vintage - Unused
+ * @param {object} profiles - Profile session the fetched holdings are added to, per fund (see profile-utils.js)
  */
-async function generatePensionSankey(db) {
-  console.log('[Pension Sankey] Fetching real holdings from NYC Open Data...\n');
+async function generatePensionSankey(db, fiscalYear, vintage, profiles) {
+  pensionSankeyLog.info('Fetching real holdings from NYC Open Data...\n');
 
   // Fetch holdings from all 5 pension funds
   const fundData = new Map();
   for (const fund of PENSION_FUNDS) {
-    const holdings = await fetchFundHoldings(fund.datasetId, fund.id);
+    const holdings = await fetchFundHoldings(fund.datasetId, fund.id, profiles.source(`pension-holdings-${fund.id.toLowerCase()}`));
     fundData.set(fund.id, {
       label: fund.label,
       holdings
@@ -499,19 +740,12 @@ async function generatePensionSankey(db) {
   nodeIds.add(rootId);
 
   let systemTotal = 0;
+  const includedFunds = [];
 
   // Process each fund
-  for (const [fundId, fundInfo] of fundData.entries()) {
-    // Add fund node
-    if (!nodeIds.has(fundId)) {
-      nodes.push({
-        id: fundId,
-        label: fundInfo.label,
-        level: 1,
-        type: 'fund'
-      });
-      nodeIds.add(fundId);
-    }
+  // Node ids are prefixed by level, since a bucket and a sub-asset can share a name (e.g., 'Cash')
+  for (const [fund, fundInfo] of fundData.entries()) {
+    const fundId = `fund-${fund}`;
 
     // Aggregate by asset bucket and sub-asset (nested map)
     const bucketMap = new Map(); // bucket -> Map(subAsset -> value)
@@ -539,19 +773,29 @@ async function generatePensionSankey(db) {
       fundTotal += marketValue;
     }
 
-    // Add link from system to fund
-    if (fundTotal > 0) {
-      links.push({
-        source: rootId,
-        target: fundId,
-        value: fundTotal / 1000000, // Convert to millions
-      });
-      systemTotal += fundTotal;
-    }
+    // Funds without holdings are left out
+    if (fundTotal === 0) continue;
+
+    // Add fund node and link from system to fund
+    nodes.push({
+      id: fundId,
+      label: fundInfo.label,
+      level: 1,
+      type: 'fund'
+    });
+    nodeIds.add(fundId);
+    includedFunds.push(fund);
+
+    links.push({
+      source: rootId,
+      target: fundId,
+      value: fundTotal / 1000000, // Convert to millions
+    });
+    systemTotal += fundTotal;
 
     // Add bucket nodes and links (level 2)
     for (const [bucketName, subAssetMap] of bucketMap.entries()) {
-      const bucketId = bucketName;
+      const bucketId = `bucket-${bucketName}`;
 
       // Add bucket node if not exists
       if (!nodeIds.has(bucketId)) {
@@ -581,7 +825,7 @@ async function generatePensionSankey(db) {
 
       // Add sub-asset nodes and links (level 3)
       for (const [subAssetName, value] of subAssetMap.entries()) {
-        const subAssetId = subAssetName;
+        const subAssetId = `asset-${subAssetName}`;
 
         // Add sub-asset node if not exists
         if (!nodeIds.has(subAssetId)) {
@@ -612,7 +856,7 @@ async function generatePensionSankey(db) {
     id: 'pension-2025',
     label: 'NYC Pension System Asset Allocation',
     description: 'Real holdings showing System → Funds → Asset Buckets → Investment Types',
-    fiscalYear: FISCAL_YEAR,
+    fiscalYear: PENSION_FISCAL_YEAR,
     dataType: 'pension',
     units: 'USD (millions)',
     nodes,
@@ -620,52 +864,49 @@ async function generatePensionSankey(db) {
     metadata: {
       source: 'NYC Open Data - Comptroller Pension Holdings',
       total_aum_billion: totalAumBillion,
-      funds_included: Array.from(fundData.keys()),
+      funds_included: includedFunds,
       levels: 4,
     },
     generatedAt: new Date(),
   };
 
-  console.log(`[Pension Sankey] Generated: ${nodes.length} nodes, ${links.length} links`);
-  console.log(`[Pension Sankey] Total AUM: $${totalAumBillion.toFixed(1)}B\n`);
+  pensionSankeyLog.info(`Generated: ${nodes.length} nodes, ${links.length} links`);
+  pensionSankeyLog.info(`Total AUM: $${totalAumBillion.toFixed(1)}B\n`);
 
   return dataset;
 }
 
 /**
  * Generate Revenue Sunburst (Top Level → Category → Class → Source)
+ * @param {object} db - Drizzle database instance
+ * @param {number} fiscalYear - Fiscal year to generate
+ * @param {object} vintage - Budget stage publication to generate (see budget-vintages.js)
+ * @param {object} profiles - Profile session the fetched records are added to (see profile-utils.js)
  */
-async function generateRevenueSunburst(db) {
-  console.log('[Revenue Sunburst] Fetching revenue data...\n');
-
-  // Revenue API uses different date format and year convention:
-  // - Format: "YYYY MM DD" (with spaces) instead of "YYYYMMDD"
-  // - Year: Uses fiscal year (e.g., "2025 06 30" for FY2025, not "2024 06 30")
-  const revenuePubDate = `${FISCAL_YEAR} 06 30`;
+async function generateRevenueSunburst(db, fiscalYear, vintage, profiles) {
+  const { stage, publicationDate, publishedOn } = vintage;
+  revenueSunburstLog.info(`Fetching FY${fiscalYear} ${stage} revenue data...\n`);
 
+  // publicationDate is the revenue dataset's own "YYYY MM DD" value, as discovered
   const records = await fetchNycOpenData(REVENUE_API, {
     limit: 50000,
     params: {
-      fiscal_year: FISCAL_YEAR,
-      publication_date: revenuePubDate,
+      fiscal_year: fiscalYear,
+      publication_date: publicationDate,
     },
   });
+  profiles.source('revenue-budget').add(records);
 
   // Validate revenue data
   try {
     validateMinimumRecordCount(records, 500, 'Revenue Data');
-    validateRequiredFields(
-      records,
-      ['revenue_category_name', 'revenue_source_name', 'current_modified_budget_amount'],
-      'Revenue Data',
-      20
-    );
+    validateContract(records, revenueBudgetContract, { label: 'Revenue Data' });
   } catch (error) {
     logValidationError(error);
     throw error;
   }
 
-  console.log('[Revenue Sunburst] Processing...');
+  revenueSunburstLog.info('Processing...');
 
   // Build 4-level hierarchy: Top Level → Category → Class → Source
   const hierarchy = new Map();
@@ -804,65 +1045,84 @@ async function generateRevenueSunburst(db) {
   }
 
   const dataset = {
-    id: `revenue-fy${FISCAL_YEAR}`,
-    label: `NYC Revenue FY${FISCAL_YEAR}`,
+    id: `revenue-fy${fiscalYear}-${stage}`,
+    label: `NYC Revenue FY${fiscalYear} (${STAGE_NAMES[stage]})`,
     description: 'Revenue sources breakdown by category',
-    fiscalYear: FISCAL_YEAR,
+    fiscalYear,
     dataType: 'revenue',
     units: 'USD',
     totalValue: totalRevenue,
     hierarchyData: {
-      name: `NYC Revenue FY${FISCAL_YEAR}`,
+      name: `NYC Revenue FY${fiscalYear} (${STAGE_NAMES[stage]})`,
       children
     },
     metadata: {
       source: 'NYC Open Data - Revenue Budget & Financial Plan (Dataset: ugzk-a6x4)',
+      stage,
+      publicationDate,
+      publishedOn,
       totalRevenue,
     },
     generatedAt: new Date(),
   };
 
-  console.log(`[Revenue Sunburst] Generated: ${children.length} top-level categories\n`);
+  revenueSunburstLog.info(`Generated: ${children.length} top-level categories\n`);
 
   return dataset;
 }
 
 /**
  * Generate Expense Sunburst (Category → Agency → Object Class)
+ * @param {object} db - Drizzle database instance
+ * @param {number} fiscalYear - Fiscal year to generate
+ * @param {object} vintage - Budget stage publication to generate (see budget-vintages.js)
+ * @param {object} profiles - Profile session the fetched records are added to (see profile-utils.js)
  */
-async function generateExpenseSunburst(db) {
-  console.log('[Expense Sunburst] Fetching expense data...\n');
+async function generateExpenseSunburst(db, fiscalYear, vintage, profiles) {
+  const { stage, publicationDate, publishedOn } = vintage;
+  expenseSunburstLog.info(`Fetching FY${fiscalYear} ${stage} expense data (aggregated by agency and object class)...\n`);
 
+  // Let Socrata sum budget lines by agency and object class. budget_amount falls back to the adopted amount
+  // per line, so lines without a modified amount still count when others in their group have one
   const records = await fetchNycOpenData(EXPENSE_API, {
     limit: 50000,
     params: {
-      fiscal_year: FISCAL_YEAR,
-      publication_date: PUBLICATION_DATE,
+      fiscal_year: fiscalYear,
+      publication_date: publicationDate,
     },
+    query: soql()
+      .select(
+        'agency_name',
+        'object_class_name',
+        'sum(current_modified_budget_amount) AS current_modified_budget_amount',
+        'sum(adopted_budget_amount) AS adopted_budget_amount',
+        'sum(coalesce(current_modified_budget_amount, adopted_budget_amount)) AS budget_amount'
+      )
+      .group('agency_name', 'object_class_name')
+      .order('agency_name', 'object_class_name'),
   });
+  profiles.source('nyc-budget').add(records);
 
-  // Validate expense data
+  // Validate expense data (one row per agency and object class)
   try {
-    validateMinimumRecordCount(records, 500, 'Expense Data');
-    validateRequiredFields(
-      records,
-      ['agency_name', 'object_class_name', 'current_modified_budget_amount'],
-      'Expense Data',
-      20
-    );
+    validateMinimumRecordCount(records, 100, 'Expense Data');
+    validateContract(records, nycBudgetContract, {
+      label: 'Expense Data',
+      fields: ['agency_name', 'object_class_name', 'current_modified_budget_amount', 'adopted_budget_amount'],
+    });
   } catch (error) {
     logValidationError(error);
     throw error;
   }
 
-  console.log('[Expense Sunburst] Processing...');
+  expenseSunburstLog.info('Processing...');
 
   // Build 3-level hierarchy: High-Level Category → Agency → Object Class
   const hierarchy = new Map();
   let totalExpense = 0;
 
   for (const record of records) {
-    const amount = parseFloat(record.current_modified_budget_amount || record.adopted_budget_amount || 0);
+    const amount = parseFloat(record.budget_amount || 0);
     if (amount === 0) continue;
 
     // Extract fields
@@ -931,166 +1191,347 @@ async function generateExpenseSunburst(db) {
   }
 
   const dataset = {
-    id: `expense-fy${FISCAL_YEAR}`,
-    label: `NYC Expenses FY${FISCAL_YEAR}`,
+    id: `expense-fy${fiscalYear}-${stage}`,
+    label: `NYC Expenses FY${fiscalYear} (${STAGE_NAMES[stage]})`,
     description: 'Expense budget breakdown by category, agency, and object class',
-    fiscalYear: FISCAL_YEAR,
+    fiscalYear,
     dataType: 'expense',
     units: 'USD',
     totalValue: totalExpense,
     hierarchyData: {
-      name: `NYC Expenses FY${FISCAL_YEAR}`,
+      name: `NYC Expenses FY${fiscalYear} (${STAGE_NAMES[stage]})`,
       children
     },
     metadata: {
       source: 'NYC Open Data - Budget (Dataset: fyxr-9vkh)',
-      publicationDate: PUBLICATION_DATE,
+      stage,
+      publicationDate,
+      publishedOn,
       totalExpense,
     },
     generatedAt: new Date(),
   };
 
-  console.log(`[Expense Sunburst] Generated: ${children.length} top-level categories\n`);
+  expenseSunburstLog.info(`Generated: ${children.length} top-level categories\n`);
 
   return dataset;
 }
 
+
 /**
- * Main seed function
+ * Seed the financial visualization datasets
+ * Only the selected datasets (--only) for the selected fiscal years (--years) are regenerated. All other
+ * rows are carried over into staging, so the swap replaces only what was regenerated.
+ *
+ * @param {object} options - Seed options (see parseSeedArgs in cli-utils.js)
+ * @param {Array<string>|null} options.only - Datasets/seeds to run (default: all)
+ * @param {boolean} options.dryRun - Stop after change detection, leaving live tables untouched
+ * @param {boolean} options.force - Skip the freshness check and swap even when nothing changed
+ * @param {boolean|Array<string>} options.allowDrift - Load even when metrics drift past their thresholds
+ * @param {string|null} options.fromArchive - Archived run to replay ('latest' or a run id)
+ * @param {Array<number>|null} options.years - Fiscal years to generate (default: SEED_FISCAL_YEARS or 2025)
+ * @param {boolean} options.verbose - Log more changed keys
+ * @returns {Promise<object>} Result ({ seed, status, datasets, changes, ... })
+ * @throws {Error} When fetching, validation, or loading fails (live tables are left untouched)
  */
-async function main() {
+export async function run(options = {}) {
+  const { only = null, dryRun = false, force = false, allowDrift = false, fromArchive = null, years = null, verbose = false } = options;
   const t = timer();
 
-  console.log('========================================');
-  console.log('   NYC FINANCIAL DATA SEED SCRIPT      ');
-  console.log('========================================\n');
+  const selectedNames = selectDatasets('financial', only);
+  const selected = FINANCIAL_DATASETS.filter(dataset => selectedNames.includes(dataset.name));
+  const fiscalYears = years || DEFAULT_FISCAL_YEARS;
+  const lockedTables = [...new Set(selected.map(dataset => dataset.kind === 'sankey' ? sankeyDatasets : sunburstDatasets))];
+
+  logBanner('NYC FINANCIAL DATA SEED SCRIPT');
+  if (selected.length < FINANCIAL_DATASETS.length) {
+    seedLog.info(`Regenerating only: ${selectedNames.join(', ')}`);
+  }
+  seedLog.info(`Fiscal years: ${fiscalYears.map(year => `FY${year}`).join(', ')}\n`);
 
   const { db, client } = initDb();
+  const stagingTables = [];
+  let seedRun = null;
+  let tableLocks = null;
+  let profiles = null;
 
   try {
-    // Step 1: Generate all visualizations (with validation)
-    console.log('--- STEP 1: Generate Budget Sankey ---\n');
-    const budgetDataset = await generateBudgetSankey(db);
-
-    console.log('--- STEP 2: Generate Pension Sankey ---\n');
-    const pensionDataset = await generatePensionSankey(db);
+    // Lock the tables this seed writes, so an overlapping run (e.g., cron plus manual) can't clobber them
+    tableLocks = await acquireTableLocks(lockedTables, { owner: 'financial' });
+    if (!tableLocks.acquired) {
+      const totalTime = t.stop();
+      logReport([
+        'Status: SKIPPED (Another run holds the table locks)',
+        `Total Time: ${totalTime}`,
+      ]);
+      return { seed: 'financial', status: 'skipped-locked', reason: tableLocks.reason, duration: totalTime };
+    }
 
-    console.log('--- STEP 3: Generate Revenue Sunburst ---\n');
-    const revenueDataset = await generateRevenueSunburst(db);
+    // Dry runs are not recorded in the run ledger
+    if (!dryRun) seedRun = await startSeedRun(db, 'financial', { fromArchive, force, only: selectedNames, years: fiscalYears });
+
+    // Record raw payloads (or replay them with --from-archive [runId]) - started before Step 0 so the
+    // budget vintages it discovers are archived too
+    startArchiveSession('financial', { reprocess: fromArchive });
+    const discovered = new Map();
+
+    // Step 0: Ask upstream whether anything changed since the last sync (skipped when replaying or dry-running)
+    let freshness = null;
+    if (!fromArchive && !dryRun) {
+      logStep(0, 'Check Upstream Freshness');
+      const sources = selected.flatMap(dataset => dataset.sources);
+      freshness = await checkSourceFreshness(db, 'financial', sources, { force });
+
+      // Unchanged sources can still hold years or stages that were never generated (e.g., --years 2023-2025
+      // after syncing FY2025 only)
+      const ungenerated = freshness.needsUpdate ? [] : await findUngeneratedDatasets(db, selected, fiscalYears, discovered);
+      if (ungenerated.length > 0) {
+        seedLog.info(`Sources unchanged, but not generated yet: ${ungenerated.join(', ')}\n`);
+      }
 
-    console.log('--- STEP 4: Generate Expense Sunburst ---\n');
-    const expenseDataset = await generateExpenseSunburst(db);
+      if (!freshness.needsUpdate && ungenerated.length === 0) {
+        logBanner('UPSTREAM UNCHANGED - SKIPPING FETCH', { style: 'box' });
+        seedLog.info('💡 No source changed since the last sync. Use --force to fetch anyway.\n');
+        discardArchiveSession();
+        await finishSeedRun(db, seedRun, 'skipped-no-change', { changeDetection: { reason: 'Upstream unchanged' } });
+
+        const totalTime = t.stop();
+        logReport([
+          'Status: SKIPPED (Upstream unchanged)',
+          `Total Time: ${totalTime}`,
+        ]);
+        return { seed: 'financial', status: 'skipped-no-change', datasets: selectedNames, fiscalYears,
+          reason: 'Upstream unchanged', duration: totalTime };
+      }
+    }
 
-    // Step 2: Collect generated datasets for validation
-    const sankeyDatasetsToInsert = [budgetDataset, pensionDataset];
-    const sunburstDatasetsToInsert = [revenueDataset, expenseDataset];
+    // Sources are profiled as fetched, and each visualization's rows as generated (see profile-utils.js)
+    profiles = createProfileSession(db, 'financial', seedRun);
+
+    // Steps 1-4: Generate the selected visualizations (with validation),
+    // yearly ones once per fiscal year and published budget stage
+    const generated = new Map();
+    for (const dataset of selected) {
+      setLogContext({ dataset: dataset.name });
+      const records = [];
+      for (const fiscalYear of dataset.yearly ? fiscalYears : [null]) {
+        for (const vintage of await datasetVintages(dataset, fiscalYear, discovered)) {
+          const suffix = fiscalYear ? ` FY${fiscalYear}${vintage ? ` (${STAGE_NAMES[vintage.stage]})` : ''}` : '';
+          logStep(dataset.step, `Generate ${dataset.title}${suffix}`);
+          const record = await dataset.generate(db, fiscalYear, vintage, profiles);
+          profiles.source(dataset.name, { stage: 'processed' }).add(dataset.profileRows(record));
+          records.push(record);
+        }
+      }
+      generated.set(dataset.name, records);
+    }
+    setLogContext({ dataset: null });
+
+    finishArchiveSession();
+
+    // Collect generated datasets per target table
+    const targets = [
+      {
+        table: sankeyDatasets,
+        tableName: 'sankey_datasets',
+        label: 'Sankey Datasets',
+        datasets: selected.filter(dataset => dataset.kind === 'sankey'),
+        // Every sankey must link known nodes, stay acyclic, and conserve flow (see sankey-utils.js)
+        checkRecord: (record) => validateSankey(record),
+        invalidWhen: {
+          'empty nodes or links': 'jsonb_array_length(nodes) = 0 OR jsonb_array_length(links) = 0',
+        },
+      },
+      {
+        table: sunburstDatasets,
+        tableName: 'sunburst_datasets',
+        label: 'Sunburst Datasets',
+        datasets: selected.filter(dataset => dataset.kind === 'sunburst'),
+        checkRecord: (record) => {
+          if (!record.id || !record.hierarchyData || !record.hierarchyData.children) {
+            throw new Error(`Sunburst dataset ${record.id} missing required fields`);
+          }
+          if (record.hierarchyData.children.length === 0) {
+            throw new Error(`Sunburst dataset ${record.id} has empty hierarchy`);
+          }
+        },
+        invalidWhen: {
+          'empty hierarchy': "COALESCE(jsonb_array_length(hierarchy_data->'children'), 0) = 0",
+        },
+      },
+    ].filter(target => target.datasets.length > 0);
+
+    for (const target of targets) {
+      target.records = target.datasets.flatMap(dataset => generated.get(dataset.name));
+    }
+    recordRunCounts(seedRun, { processed: targets.reduce((sum, target) => sum + target.records.length, 0) });
 
-    // Step 3: Validate generated datasets
-    console.log('--- STEP 5: Validate Generated Datasets ---\n');
+    // Step 5: Validate generated datasets
+    logStep(5, 'Validate Generated Datasets');
     try {
-      validateProcessedRecords(
-        sankeyDatasetsToInsert,
-        [
-          (records) => {
-            if (records.length !== 2) {
-              throw new Error(`Expected 2 sankey datasets, got ${records.length}`);
-            }
-          },
-          (records) => {
-            for (const record of records) {
-              if (!record.id || !record.nodes || !record.links) {
-                throw new Error(`Sankey dataset ${record.id} missing required fields`);
-              }
-              if (record.nodes.length === 0 || record.links.length === 0) {
-                throw new Error(`Sankey dataset ${record.id} has empty nodes or links`);
-              }
-            }
-          },
-        ],
-        'Sankey Datasets'
-      );
-
-      validateProcessedRecords(
-        sunburstDatasetsToInsert,
-        [
-          (records) => {
-            if (records.length !== 2) {
-              throw new Error(`Expected 2 sunburst datasets, got ${records.length}`);
-            }
-          },
-          (records) => {
-            for (const record of records) {
-              if (!record.id || !record.hierarchyData || !record.hierarchyData.children) {
-                throw new Error(`Sunburst dataset ${record.id} missing required fields`);
+      for (const target of targets) {
+        validateProcessedRecords(
+          target.records,
+          [
+            (records) => {
+              const ids = records.map(record => record.id);
+              const duplicates = ids.filter((id, index) => ids.indexOf(id) !== index);
+              if (duplicates.length > 0) {
+                throw new Error(`Duplicate ${target.label.toLowerCase()}: ${[...new Set(duplicates)].join(', ')}`);
               }
-              if (record.hierarchyData.children.length === 0) {
-                throw new Error(`Sunburst dataset ${record.id} has empty hierarchy`);
-              }
-            }
-          },
-        ],
-        'Sunburst Datasets'
-      );
+            },
+            (records) => records.forEach(target.checkRecord),
+          ],
+          target.label
+        );
+      }
+    } catch (error) {
+      logValidationError(error);
+      throw error;
+    }
+
+    // Step 6: Load into staging - rows of other datasets and fiscal years are carried over unchanged
+    logStep(6, 'Load into Staging Tables');
+    for (const target of targets) {
+      target.staging = await createStagingTable(db, target.table);
+      stagingTables.push(target.staging);
+
+      // Yearly datasets replace only the years generated (a year without publications keeps its rows)
+      const regenerated = or(...target.datasets.map(dataset => {
+        if (!dataset.yearly) return eq(target.table.dataType, dataset.dataType);
+        const years = [...new Set(generated.get(dataset.name).map(record => record.fiscalYear))];
+        return years.length > 0
+          ? and(eq(target.table.dataType, dataset.dataType), inArray(target.table.fiscalYear, years))
+          : undefined;
+      }));
+      await carryOverLiveRows(db, target.staging, not(regenerated));
+      await streamInsert(db, target.staging, [target.records], { label: target.label.toLowerCase() });
+      await fingerprintStagedRows(db, target.staging);
+    }
+
+    // Step 7: Check the staged rows before they go live
+    logStep(7, 'Validate Staged Datasets');
+    try {
+      for (const target of targets) {
+        await validateStagedRecords(
+          db,
+          target.staging.name,
+          { minCount: target.records.length, invalidWhen: target.invalidWhen },
+          target.label
+        );
+      }
     } catch (error) {
       logValidationError(error);
-      process.exit(1);
+      throw error;
     }
 
-    // Step 4: Check if data has changed
-    console.log('--- STEP 6: Check for Data Changes ---\n');
-    const sankeyChangeResult = await detectDataChanges(db, 'sankey_datasets', sankeyDatasetsToInsert);
-    const sunburstChangeResult = await detectDataChanges(db, 'sunburst_datasets', sunburstDatasetsToInsert);
+    // Step 7.1: Compare each regenerated dataset with the last accepted run that generated it
+    // (per fiscal year and budget stage) - a sharp move blocks the swap unless --allow-drift
+    logStep(7.1, 'Check Drift Against Last Accepted Run');
+    let drift;
+    try {
+      drift = await checkDrift(db, 'financial', selected.flatMap(dataset => generated.get(dataset.name).map(record => ({
+        key: record.id,
+        dataset: dataset.name,
+        metrics: dataset.metrics(record),
+      }))), { allowDrift });
+    } catch (error) {
+      logValidationError(error);
+      throw error;
+    }
 
-    // Only update if changes detected
-    if (!sankeyChangeResult.hasChanges && !sunburstChangeResult.hasChanges) {
-      console.log('╔════════════════════════════════════════════════════════════╗');
-      console.log('║          NO CHANGES DETECTED - SKIPPING UPDATE             ║');
-      console.log('╚════════════════════════════════════════════════════════════╝\n');
-      console.log('✓ Sankey datasets: No changes');
-      console.log('✓ Sunburst datasets: No changes');
-      console.log('\n💡 Database is already up to date. Seed skipped to save resources.\n');
+    // Step 8: Check if data has changed
+    logStep(8, 'Check for Data Changes');
+    const changeResults = {};
+    for (const target of targets) {
+      changeResults[target.tableName] = await detectDataChanges(db, target.tableName, {
+        stagingTable: target.staging.name,
+        sampleSize: verbose ? 25 : 5,
+      });
+    }
+    const hasChanges = Object.values(changeResults).some(result => result.hasChanges);
 
+    if (dryRun) {
       const totalTime = t.stop();
-      console.log('========================================');
-      console.log('           SEED SUMMARY                 ');
-      console.log('========================================');
-      console.log('Status: SKIPPED (No changes detected)');
-      console.log(`Total Time: ${totalTime}`);
-      console.log('========================================\n');
-      return;
+      logReport([
+        'Status: DRY RUN (live tables not changed)',
+        ...targets.map(target => `${target.label}: ${changeResults[target.tableName].reason}`),
+        `Total Time: ${totalTime}`,
+      ]);
+      return {
+        seed: 'financial',
+        status: 'dry-run',
+        datasets: selectedNames,
+        fiscalYears,
+        changes: summarizeChanges(changeResults, { keys: true }),
+        duration: totalTime,
+      };
     }
 
-    // Step 5: Clear existing data (only if changes detected)
-    console.log('--- STEP 7: Clear Existing Data ---\n');
-    console.log('⚠️  Changes detected - clearing tables and inserting new data...\n');
+    // Only update if changes detected (or forced)
+    if (!hasChanges && !force) {
+      logBanner('NO CHANGES DETECTED - SKIPPING UPDATE', { style: 'box' });
+      for (const target of targets) {
+        seedLog.success(`${target.label}: No changes`);
+      }
+      seedLog.info('\n💡 Database is already up to date. Seed skipped to save resources.\n');
+
+      const changes = summarizeChanges(changeResults);
+      if (freshness) await recordSourceSync(db, freshness);
+      await finishSeedRun(db, seedRun, 'skipped-no-change', { changeDetection: changes, metrics: drift.metrics });
 
-    await clearTable(db, 'sankey_datasets', 'sankey_datasets');
-    await clearTable(db, 'sunburst_datasets', 'sunburst_datasets');
+      const totalTime = t.stop();
+      logReport([
+        'Status: SKIPPED (No changes detected)',
+        `Total Time: ${totalTime}`,
+      ]);
+      return { seed: 'financial', status: 'skipped-no-change', datasets: selectedNames, fiscalYears,
+        changes, duration: totalTime };
+    }
 
-    // Step 6: Insert new data
-    console.log('--- STEP 8: Insert New Data ---\n');
-    await db.insert(sankeyDatasets).values(sankeyDatasetsToInsert);
-    await db.insert(sunburstDatasets).values(sunburstDatasetsToInsert);
+    // Step 9: Replace the live tables in one transaction (only if changes detected) - a failure leaves them untouched
+    logStep(9, 'Swap Staged Data into Live Tables');
+    if (hasChanges) {
+      seedLog.info('Changes detected - replacing live tables with staged data...\n');
+    } else {
+      seedLog.warn('No changes detected, but --force was given - replacing live tables anyway...\n');
+    }
+    await swapStagingTables(db, targets.map(target => target.staging));
 
-    console.log('✓ Inserted 2 sankey datasets');
-    console.log('✓ Inserted 2 sunburst datasets\n');
+    const changes = summarizeChanges(changeResults);
+    if (freshness) await recordSourceSync(db, freshness);
+    await finishSeedRun(db, seedRun, 'success', { changeDetection: changes, metrics: drift.metrics });
 
     // Summary
-    console.log('========================================');
-    console.log('           SEED SUMMARY                 ');
-    console.log('========================================');
-    console.log('Sankey Datasets: 2 (Budget, Pension)');
-    console.log('Sunburst Datasets: 2 (Revenue, Expense)');
-    console.log(`Total Time: ${t.stop()}`);
-    console.log('========================================\n');
+    const totalTime = t.stop();
+    logReport([
+      ...targets.map(target => `${target.label}: ${target.records.length} (${target.records.map(record => record.id).join(', ')})`),
+      `Total Time: ${totalTime}`,
+    ]);
+
+    return { seed: 'financial', status: 'success', datasets: selectedNames, fiscalYears,
+      changes, duration: totalTime };
 
   } catch (error) {
-    console.error('\n[ERROR] Seed failed:', error);
-    process.exit(1);
+    // Validation failures were already reported by logValidationError
+    const validationFailed = error instanceof ValidationError;
+    if (!validationFailed) seedLog.error('\nSeed failed:', error);
+    await finishSeedRun(db, seedRun, validationFailed ? 'validation-failed' : 'error', { error });
+    throw error;
   } finally {
+    abortArchiveSession();
+    logHttpStats();
+    // Written for failed runs too, where the profile helps explain the failure
+    if (profiles) await profiles.finish();
+    try {
+      await dropStagingTables(db, stagingTables);
+    } catch (error) {
+      stagingLog.warn(`Could not drop staging tables: ${error.message}`);
+    }
+    if (tableLocks) await tableLocks.release();
     await closeDb(client);
   }
 }
 
-// Run the seed script
-main();
+// Run the seed script when executed directly (scripts/seed.js runs it in a child process; run() can also be imported)
+runSeedScript('financial', run, import.meta.url);
@@ -3,31 +3,70 @@
 // ABOUTME: Seed script for housing data using DCP Housing Database (ArcGIS) as primary source
 // ABOUTME: Overlays Housing NY data for affordable unit details
 
+import { sql, getTableColumns } from 'drizzle-orm';
+import { pgTable, text, integer, real, boolean } from 'drizzle-orm/pg-core';
 import { housingBuildings, housingDemolitions } from '../server/lib/schema.ts';
 import {
   initDb,
   closeDb,
-  fetchNycOpenData,
-  batchInsert,
-  clearTable,
+  iterateNycOpenData,
+  streamInsert,
+  stableId,
+  startSeedRun,
+  recordRunCounts,
+  finishSeedRun,
+  summarizeChanges,
   timer,
   formatNumber,
 } from './lib/seed-utils.js';
-import { fetchArcGISFeatures } from './lib/arcgis-utils.js';
+import { iterateArcGISFeatures } from './lib/arcgis-utils.js';
+import { startArchiveSession, finishArchiveSession, abortArchiveSession } from './lib/archive-utils.js';
+import { logHttpStats } from './lib/http-client.js';
+import { checkSourceFreshness, recordSourceSync } from './lib/freshness-utils.js';
 import {
+  createStagingTable,
+  createKeyedStagingTable,
+  countStaging,
+  dropStagingTables,
+} from './lib/staging-utils.js';
+import { mergeStagingTables, formatChanges } from './lib/merge-utils.js';
+import { fingerprintStagedRows } from './lib/fingerprint-utils.js';
+import { acquireTableLocks } from './lib/lock-utils.js';
+import { fillGeometryColumns } from './lib/spatial-utils.js';
+import { runSeedScript } from './lib/cli-utils.js';
+import {
+  ValidationError,
   validateMinimumRecordCount,
-  validateRequiredFields,
-  validateDataTypes,
-  validateProcessedRecords,
-  validators,
+  validateStagedRecords,
   logValidationError,
   detectDataChanges,
 } from './lib/validation-utils.js';
+import { createLogger, logStep, logBanner, logReport } from './lib/logger.js';
+import { createContractValidator } from './lib/contract-utils.js';
+import { checkDrift } from './lib/drift-utils.js';
+import { createQuarantine } from './lib/quarantine-utils.js';
+import { createProfileSession } from './lib/profile-utils.js';
+import { contract as dcpHousingContract } from './contracts/dcp-housing-database.js';
+import { contract as housingNyContract } from './contracts/housing-ny.js';
+
+const seedLog = createLogger('Seed');
+const fetchLog = createLogger('Fetch');
+const processLog = createLogger('Process');
+const overlayLog = createLogger('Overlay');
+const deduplicateLog = createLogger('Deduplicate');
+const matchLog = createLogger('Match');
+const stagingLog = createLogger('Staging');
 
 // Data sources
 const DCP_HOUSING_DATABASE_URL = 'https://services5.arcgis.com/GfwWNkhOj9bNBqoJ/ArcGIS/rest/services/Housing_Database/FeatureServer/0';
 const HOUSING_NY_API = 'https://data.cityofnewyork.us/resource/hg8x-zxpr.json';
 
+// Upstream sources checked before fetching (see freshness-utils.js)
+export const FRESHNESS_SOURCES = [
+  { id: 'housing:dcp-housing-database', type: 'arcgis', url: DCP_HOUSING_DATABASE_URL, where: "CompltYear >= '2014' AND CompltYear <= '2025'" },
+  { id: 'housing:housing-ny', type: 'socrata', url: HOUSING_NY_API },
+];
+
 // Borough code mapping (DCP uses numeric codes)
 const BOROUGH_NAMES = {
   '1': 'Manhattan',
@@ -94,667 +133,828 @@ function classifyBuildingType(totalUnits, affordableUnits, jobType, hasAffordabl
 }
 
 /**
- * Process DCP Housing Database records (new construction and alterations)
+ * Process a DCP Housing Database record (new construction or alteration)
+ * Rejects records with invalid coordinates, years, or units (see streamInsert's reject)
  */
-function processDCPHousing(records) {
-  console.log('[Process] Processing DCP Housing Database records...');
-
-  const buildings = [];
-  let skipped = 0;
-
-  for (const record of records) {
-    // Parse coordinates
-    const lat = parseFloat(record.Latitude);
-    const lon = parseFloat(record.Longitude);
-
-    // Skip if invalid coordinates
-    if (isNaN(lat) || isNaN(lon) || lat === 0 || lon === 0) {
-      skipped++;
-      continue;
-    }
-
-    // Parse completion year
-    const completionYear = parseInt(record.CompltYear, 10);
-    if (isNaN(completionYear) || completionYear < 2014 || completionYear > 2025) {
-      skipped++;
-      continue;
-    }
-
-    // Parse unit counts (ClassANet = net change in units, the correct value for totalUnits)
-    const classANet = parseFloat(record.ClassANet) || 0;
-    const unitsCO = parseFloat(record.Units_CO) || 0; // Store for reference, but don't use for totalUnits
-    const totalUnits = Math.round(classANet);
+function processDCPHousingRecord(record, reject) {
+  // Parse coordinates
+  const lat = parseFloat(record.Latitude);
+  const lon = parseFloat(record.Longitude);
+
+  // Skip if invalid coordinates
+  if (isNaN(lat) || isNaN(lon) || lat === 0 || lon === 0) {
+    return reject('invalid-coordinates', `Latitude ${record.Latitude ?? 'missing'}, Longitude ${record.Longitude ?? 'missing'}`);
+  }
 
-    // Skip if no units (or negative for demolitions)
-    if (totalUnits <= 0) {
-      skipped++;
-      continue;
-    }
+  // Parse completion year
+  const completionYear = parseInt(record.CompltYear, 10);
+  if (isNaN(completionYear) || completionYear < 2014 || completionYear > 2025) {
+    return reject('year-out-of-range', `CompltYear ${record.CompltYear ?? 'missing'} outside 2014-2025`);
+  }
 
-    const jobNumber = record.Job_Number || `DCP-${record.OBJECTID}`;
-    const bbl = normalizeBBL(record.BBL);
-    const borough = BOROUGH_NAMES[record.Boro] || 'Unknown';
-    const address = `${record.AddressNum || ''} ${record.AddressSt || ''}`.trim() || 'Address Not Available';
-
-    const building = {
-      id: jobNumber,
-      name: `${address}, ${borough}`,
-
-      // DCP core fields
-      jobNumber,
-      jobType: record.Job_Type || 'Unknown',
-      jobStatus: record.Job_Status || null,
-      jobDescription: record.Job_Desc || null,
-
-      // Location (from DCP - always present)
-      longitude: lon,
-      latitude: lat,
-      address,
-      borough,
-      bbl,
-      bin: record.BIN || null,
-
-      // Geography
-      communityDistrict: record.CommntyDst || null,
-      councilDistrict: record.CouncilDst || null,
-      censusTract2020: record.BCT2020 || null,
-      nta2020: record.NTA2020 || null,
-      ntaName2020: record.NTAName20 || null,
-
-      // Completion dates
-      completionYear,
-      completionDate: record.DateComplt ? new Date(record.DateComplt).toISOString() : null,
-      permitYear: parseInt(record.PermitYear, 10) || null,
-      permitDate: record.DatePermit ? new Date(record.DatePermit).toISOString() : null,
-
-      // Unit counts (from DCP)
-      classAInit: Math.round(parseFloat(record.ClassAInit) || 0),
-      classAProp: Math.round(parseFloat(record.ClassAProp) || 0),
-      classANet: Math.round(classANet),
-      unitsCO: Math.round(unitsCO),
-      totalUnits,
-
-      // Affordable housing (will be overlaid from Housing NY)
-      affordableUnits: 0,
-      affordablePercentage: 0,
-
-      // Affordable unit breakdown (will be overlaid)
-      extremeLowIncomeUnits: 0,
-      veryLowIncomeUnits: 0,
-      lowIncomeUnits: 0,
-      moderateIncomeUnits: 0,
-      middleIncomeUnits: 0,
-      otherIncomeUnits: 0,
-
-      // Bedroom breakdown (will be overlaid)
-      studioUnits: 0,
-      oneBrUnits: 0,
-      twoBrUnits: 0,
-      threeBrUnits: 0,
-      fourBrUnits: 0,
-      fiveBrUnits: 0,
-      sixBrUnits: 0,
-      unknownBrUnits: totalUnits, // All units have unknown bedroom count by default
-
-      // Classification (will be updated after overlay)
-      buildingType: classifyBuildingType(totalUnits, 0, record.Job_Type, false, record.Bldg_Class),
-      physicalBuildingType: getPhysicalBuildingType(totalUnits, record.Bldg_Class),
-      buildingClass: record.Bldg_Class || null,
-      zoningDistrict1: record.ZoningDst1 || null,
-      zoningDistrict2: record.ZoningDst2 || null,
-      zoningDistrict3: record.ZoningDst3 || null,
-
-      // Building details
-      floorsInit: parseFloat(record.FloorsInit) || null,
-      floorsProp: parseFloat(record.FloorsProp) || null,
-      ownership: record.Ownership || null,
-
-      // Source tracking
-      dataSource: 'dcp',
-      hasAffordableOverlay: false,
-
-      // Housing NY fields (null by default)
-      housingNyProjectId: null,
-      housingNyProjectName: null,
-      housingNyConstructionType: null,
-      housingNyExtendedAffordabilityOnly: false,
-
-      lastSyncedAt: new Date(),
-    };
+  // Parse unit counts (ClassANet = net change in units, the correct value for totalUnits)
+  const classANet = parseFloat(record.ClassANet) || 0;
+  const unitsCO = parseFloat(record.Units_CO) || 0; // Store for reference, but don't use for totalUnits
+  const totalUnits = Math.round(classANet);
 
-    buildings.push(building);
+  // Skip if no units (or negative for demolitions)
+  if (totalUnits <= 0) {
+    return reject('no-units', `ClassANet ${record.ClassANet ?? 'missing'}`);
   }
 
-  console.log(`[Process] Processed ${formatNumber(buildings.length)} DCP buildings`);
-  console.log(`[Process] Skipped ${formatNumber(skipped)} records (invalid coords, years, or units)\n`);
-  return buildings;
+  // OBJECTIDs are reassigned when DCP republishes the layer, so fall back to a content-derived id
+  const jobNumber = record.Job_Number || stableId('DCP', [record.BBL, record.Job_Type, record.CompltYear, record.AddressNum, record.AddressSt]);
+  const bbl = normalizeBBL(record.BBL);
+  const borough = BOROUGH_NAMES[record.Boro] || 'Unknown';
+  const address = `${record.AddressNum || ''} ${record.AddressSt || ''}`.trim() || 'Address Not Available';
+
+  const building = {
+    id: jobNumber,
+    name: `${address}, ${borough}`,
+
+    // DCP core fields
+    jobNumber,
+    jobType: record.Job_Type || 'Unknown',
+    jobStatus: record.Job_Status || null,
+    jobDescription: record.Job_Desc || null,
+
+    // Location (from DCP - always present)
+    longitude: lon,
+    latitude: lat,
+    address,
+    borough,
+    bbl,
+    bin: record.BIN || null,
+
+    // Geography
+    communityDistrict: record.CommntyDst || null,
+    councilDistrict: record.CouncilDst || null,
+    censusTract2020: record.BCT2020 || null,
+    nta2020: record.NTA2020 || null,
+    ntaName2020: record.NTAName20 || null,
+
+    // Completion dates
+    completionYear,
+    completionDate: record.DateComplt ? new Date(record.DateComplt).toISOString() : null,
+    permitYear: parseInt(record.PermitYear, 10) || null,
+    permitDate: record.DatePermit ? new Date(record.DatePermit).toISOString() : null,
+
+    // Unit counts (from DCP)
+    classAInit: Math.round(parseFloat(record.ClassAInit) || 0),
+    classAProp: Math.round(parseFloat(record.ClassAProp) || 0),
+    classANet: Math.round(classANet),
+    unitsCO: Math.round(unitsCO),
+    totalUnits,
+
+    // Affordable housing (will be overlaid from Housing NY)
+    affordableUnits: 0,
+    affordablePercentage: 0,
+
+    // Affordable unit breakdown (will be overlaid)
+    extremeLowIncomeUnits: 0,
+    veryLowIncomeUnits: 0,
+    lowIncomeUnits: 0,
+    moderateIncomeUnits: 0,
+    middleIncomeUnits: 0,
+    otherIncomeUnits: 0,
+
+    // Bedroom breakdown (will be overlaid)
+    studioUnits: 0,
+    oneBrUnits: 0,
+    twoBrUnits: 0,
+    threeBrUnits: 0,
+    fourBrUnits: 0,
+    fiveBrUnits: 0,
+    sixBrUnits: 0,
+    unknownBrUnits: totalUnits, // All units have unknown bedroom count by default
+
+    // Classification (will be updated after overlay)
+    buildingType: classifyBuildingType(totalUnits, 0, record.Job_Type, false, record.Bldg_Class),
+    physicalBuildingType: getPhysicalBuildingType(totalUnits, record.Bldg_Class),
+    buildingClass: record.Bldg_Class || null,
+    zoningDistrict1: record.ZoningDst1 || null,
+    zoningDistrict2: record.ZoningDst2 || null,
+    zoningDistrict3: record.ZoningDst3 || null,
+
+    // Building details
+    floorsInit: parseFloat(record.FloorsInit) || null,
+    floorsProp: parseFloat(record.FloorsProp) || null,
+    ownership: record.Ownership || null,
+
+    // Source tracking
+    dataSource: 'dcp',
+    hasAffordableOverlay: false,
+
+    // Housing NY fields (null by default)
+    housingNyProjectId: null,
+    housingNyProjectName: null,
+    housingNyConstructionType: null,
+    housingNyExtendedAffordabilityOnly: false,
+
+    lastSyncedAt: new Date(),
+  };
+
+  return building;
 }
 
 /**
- * Process Housing NY records (for affordable overlay)
+ * Housing NY affordable data, keyed by BBL (staging only - see createKeyedStagingTable)
+ * Column names match housing_buildings so the overlay is a straight column-for-column UPDATE
  */
-function processHousingNY(records) {
-  console.log('[Process] Processing Housing NY records for affordable overlay...');
-
-  const affordableMap = new Map(); // BBL -> affordable data
-
-  for (const record of records) {
-    const bbl = normalizeBBL(record.bbl);
-    if (!bbl) continue;
-
-    // Parse completion date
-    const completionDate = record.building_completion_date;
-    if (!completionDate) continue;
-
-    const date = new Date(completionDate);
-    const completionYear = date.getFullYear();
-
-    // Filter to 2014-2025 range
-    if (completionYear < 2014 || completionYear > 2025) continue;
-
-    const totalUnits = parseInt(record.all_counted_units || record.total_units || 0, 10);
-    if (totalUnits === 0) continue;
-
-    // Calculate affordable units
-    const affordableUnits = [
-      'extremely_low_income_units',
-      'very_low_income_units',
-      'low_income_units',
-      'moderate_income_units',
-      'middle_income_units',
-    ].reduce((sum, field) => sum + parseInt(record[field] || 0, 10), 0);
-
-    const affordableData = {
-      affordableUnits,
-      affordablePercentage: totalUnits > 0 ? (affordableUnits / totalUnits) * 100 : 0,
-
-      // Income-restricted units
-      extremeLowIncomeUnits: parseInt(record.extremely_low_income_units || 0, 10),
-      veryLowIncomeUnits: parseInt(record.very_low_income_units || 0, 10),
-      lowIncomeUnits: parseInt(record.low_income_units || 0, 10),
-      moderateIncomeUnits: parseInt(record.moderate_income_units || 0, 10),
-      middleIncomeUnits: parseInt(record.middle_income_units || 0, 10),
-      otherIncomeUnits: parseInt(record.other_income_units || 0, 10),
-
-      // Bedroom breakdown
-      studioUnits: parseInt(record.studio_units || 0, 10),
-      oneBrUnits: parseInt(record['1_br_units'] || 0, 10),
-      twoBrUnits: parseInt(record['2_br_units'] || 0, 10),
-      threeBrUnits: parseInt(record['3_br_units'] || 0, 10),
-      fourBrUnits: parseInt(record['4_br_units'] || 0, 10),
-      fiveBrUnits: parseInt(record['5_br_units'] || 0, 10),
-      sixBrUnits: parseInt(record['6_br_units'] || 0, 10),
-      unknownBrUnits: parseInt(record.unknown_br_units || 0, 10),
-
-      // Housing NY specific
-      projectId: record.project_id,
-      projectName: record.project_name,
-      constructionType: record.reporting_construction_type,
-      extendedAffordabilityOnly: record.extended_affordability_only === 'Yes',
-    };
+const housingNyOverlay = pgTable('housing_ny_overlay', {
+  bbl: text('bbl').notNull(),
+
+  affordableUnits: integer('affordable_units').notNull(),
+  affordablePercentage: real('affordable_percentage').notNull(),
+
+  // Income-restricted units
+  extremeLowIncomeUnits: integer('extreme_low_income_units'),
+  veryLowIncomeUnits: integer('very_low_income_units'),
+  lowIncomeUnits: integer('low_income_units'),
+  moderateIncomeUnits: integer('moderate_income_units'),
+  middleIncomeUnits: integer('middle_income_units'),
+  otherIncomeUnits: integer('other_income_units'),
+
+  // Bedroom breakdown
+  studioUnits: integer('studio_units'),
+  oneBrUnits: integer('one_br_units'),
+  twoBrUnits: integer('two_br_units'),
+  threeBrUnits: integer('three_br_units'),
+  fourBrUnits: integer('four_br_units'),
+  fiveBrUnits: integer('five_br_units'),
+  sixBrUnits: integer('six_br_units'),
+  unknownBrUnits: integer('unknown_br_units'),
+
+  // Housing NY specific
+  housingNyProjectId: text('housing_ny_project_id'),
+  housingNyProjectName: text('housing_ny_project_name'),
+  housingNyConstructionType: text('housing_ny_construction_type'),
+  housingNyExtendedAffordabilityOnly: boolean('housing_ny_extended_affordability_only'),
+});
 
-    // If multiple Housing NY records for same BBL, keep the one with more affordable units
-    if (!affordableMap.has(bbl) || affordableData.affordableUnits > affordableMap.get(bbl).affordableUnits) {
-      affordableMap.set(bbl, affordableData);
-    }
+/**
+ * Process a Housing NY record into an overlay row (for affordable overlay)
+ * Rejects records without a BBL, completion date in range, or units (see streamInsert's reject)
+ */
+function processHousingNYRecord(record, reject) {
+  const bbl = normalizeBBL(record.bbl);
+  if (!bbl) return reject('missing-bbl', `bbl ${record.bbl ?? 'missing'}`);
+
+  // Parse completion date
+  const completionDate = record.building_completion_date;
+  if (!completionDate) return reject('missing-completion-date', 'building_completion_date missing (project may still be in progress)');
+
+  const date = new Date(completionDate);
+  const completionYear = date.getFullYear();
+
+  // Filter to 2014-2025 range
+  if (completionYear < 2014 || completionYear > 2025) {
+    return reject('year-out-of-range', `building_completion_date ${completionDate} outside 2014-2025`);
   }
 
-  console.log(`[Process] Processed ${formatNumber(affordableMap.size)} Housing NY buildings for overlay\n`);
-  return affordableMap;
+  const totalUnits = parseInt(record.all_counted_units || record.total_units || 0, 10);
+  if (totalUnits === 0) return reject('no-units', `all_counted_units ${record.all_counted_units ?? 'missing'}, total_units ${record.total_units ?? 'missing'}`);
+
+  // Calculate affordable units
+  const affordableUnits = [
+    'extremely_low_income_units',
+    'very_low_income_units',
+    'low_income_units',
+    'moderate_income_units',
+    'middle_income_units',
+  ].reduce((sum, field) => sum + parseInt(record[field] || 0, 10), 0);
+
+  return {
+    bbl,
+    affordableUnits,
+    affordablePercentage: totalUnits > 0 ? (affordableUnits / totalUnits) * 100 : 0,
+
+    // Income-restricted units
+    extremeLowIncomeUnits: parseInt(record.extremely_low_income_units || 0, 10),
+    veryLowIncomeUnits: parseInt(record.very_low_income_units || 0, 10),
+    lowIncomeUnits: parseInt(record.low_income_units || 0, 10),
+    moderateIncomeUnits: parseInt(record.moderate_income_units || 0, 10),
+    middleIncomeUnits: parseInt(record.middle_income_units || 0, 10),
+    otherIncomeUnits: parseInt(record.other_income_units || 0, 10),
+
+    // Bedroom breakdown
+    studioUnits: parseInt(record.studio_units || 0, 10),
+    oneBrUnits: parseInt(record['1_br_units'] || 0, 10),
+    twoBrUnits: parseInt(record['2_br_units'] || 0, 10),
+    threeBrUnits: parseInt(record['3_br_units'] || 0, 10),
+    fourBrUnits: parseInt(record['4_br_units'] || 0, 10),
+    fiveBrUnits: parseInt(record['5_br_units'] || 0, 10),
+    sixBrUnits: parseInt(record['6_br_units'] || 0, 10),
+    unknownBrUnits: parseInt(record.unknown_br_units || 0, 10),
+
+    // Housing NY specific
+    housingNyProjectId: record.project_id,
+    housingNyProjectName: record.project_name,
+    housingNyConstructionType: record.reporting_construction_type,
+    housingNyExtendedAffordabilityOnly: record.extended_affordability_only === 'Yes',
+  };
 }
 
 /**
- * Overlay Housing NY affordable data onto DCP buildings
+ * Overlay staged Housing NY affordable data onto staged DCP buildings (matched by BBL)
  */
-function overlayAffordableData(dcpBuildings, housingNyMap) {
-  console.log('[Overlay] Overlaying Housing NY affordable data onto DCP buildings...');
-
-  let overlaidCount = 0;
-
-  for (const building of dcpBuildings) {
-    if (!building.bbl) continue;
-
-    const affordableData = housingNyMap.get(building.bbl);
-    if (affordableData) {
-      // Overlay all affordable data
-      Object.assign(building, {
-        affordableUnits: affordableData.affordableUnits,
-        affordablePercentage: affordableData.affordablePercentage,
-        extremeLowIncomeUnits: affordableData.extremeLowIncomeUnits,
-        veryLowIncomeUnits: affordableData.veryLowIncomeUnits,
-        lowIncomeUnits: affordableData.lowIncomeUnits,
-        moderateIncomeUnits: affordableData.moderateIncomeUnits,
-        middleIncomeUnits: affordableData.middleIncomeUnits,
-        otherIncomeUnits: affordableData.otherIncomeUnits,
-        studioUnits: affordableData.studioUnits,
-        oneBrUnits: affordableData.oneBrUnits,
-        twoBrUnits: affordableData.twoBrUnits,
-        threeBrUnits: affordableData.threeBrUnits,
-        fourBrUnits: affordableData.fourBrUnits,
-        fiveBrUnits: affordableData.fiveBrUnits,
-        sixBrUnits: affordableData.sixBrUnits,
-        unknownBrUnits: affordableData.unknownBrUnits,
-        housingNyProjectId: affordableData.projectId,
-        housingNyProjectName: affordableData.projectName,
-        housingNyConstructionType: affordableData.constructionType,
-        housingNyExtendedAffordabilityOnly: affordableData.extendedAffordabilityOnly,
-        dataSource: 'dcp-affordable',
-        hasAffordableOverlay: true,
-      });
-
-      // Update building type to reflect affordable status
-      building.buildingType = classifyBuildingType(
-        building.totalUnits,
-        building.affordableUnits,
-        building.jobType,
-        true,
-        building.buildingClass
-      );
-
-      overlaidCount++;
-    }
-  }
-
-  const totalAffordableUnits = dcpBuildings.reduce((sum, b) => sum + b.affordableUnits, 0);
-  const totalUnits = dcpBuildings.reduce((sum, b) => sum + b.totalUnits, 0);
+async function overlayAffordableData(db, buildingsStaging, overlayStaging) {
+  overlayLog.info('Overlaying Housing NY affordable data onto DCP buildings...');
+
+  const buildingsTable = sql.identifier(buildingsStaging.name);
+  const overlayColumns = Object.values(getTableColumns(housingNyOverlay))
+    .filter(column => column.name !== 'bbl')
+    .map(column => sql`${sql.identifier(column.name)} = o.${sql.identifier(column.name)}`);
+
+  // Before the overlay, building_type is already 'renovation' or the physical type
+  // (see classifyBuildingType), so only affordable buildings need reclassifying
+  const result = await db.execute(sql`
+    UPDATE ${buildingsTable} AS b
+    SET ${sql.join(overlayColumns, sql`, `)},
+        data_source = 'dcp-affordable',
+        has_affordable_overlay = true,
+        building_type = CASE WHEN o.affordable_units > 0 THEN 'affordable' ELSE b.building_type END
+    FROM ${sql.identifier(overlayStaging.name)} AS o
+    WHERE b.bbl = o.bbl
+  `);
+
+  const [totals] = await db.execute(sql`
+    SELECT COALESCE(SUM(total_units), 0) AS total_units, COALESCE(SUM(affordable_units), 0) AS affordable_units
+    FROM ${buildingsTable}
+  `);
+
+  const totalUnits = Number(totals.total_units);
+  const totalAffordableUnits = Number(totals.affordable_units);
   const affordablePercentage = totalUnits > 0 ? (totalAffordableUnits / totalUnits) * 100 : 0;
 
-  console.log(`[Overlay] Overlaid affordable data on ${formatNumber(overlaidCount)} buildings`);
-  console.log(`[Overlay] Total units: ${formatNumber(totalUnits)}`);
-  console.log(`[Overlay] Affordable units: ${formatNumber(totalAffordableUnits)} (${affordablePercentage.toFixed(1)}%)\n`);
-
-  return dcpBuildings;
+  overlayLog.info(`Overlaid affordable data on ${formatNumber(result.count)} buildings`);
+  overlayLog.info(`Total units: ${formatNumber(totalUnits)}`);
+  overlayLog.info(`Affordable units: ${formatNumber(totalAffordableUnits)} (${affordablePercentage.toFixed(1)}%)\n`);
 }
 
 /**
- * Deduplicate buildings (same BBL + year = same building)
+ * Deduplicate staged buildings (same BBL + year = same building)
  * When multiple jobs exist for same BBL+year, keep the one with highest unit count
  */
-function deduplicateBuildings(buildings) {
-  console.log('[Deduplicate] Removing duplicate buildings (same BBL + year)...');
-
-  const uniqueBuildings = [];
-  const duplicateGroups = new Map(); // key: "BBL-year" -> buildings[]
-
-  // Group buildings by BBL + completion year (NOT unit count!)
-  for (const building of buildings) {
-    // Skip buildings without BBL (can't deduplicate without it)
-    if (!building.bbl) {
-      uniqueBuildings.push(building);
-      continue;
-    }
+async function deduplicateBuildings(db, buildingsStaging) {
+  deduplicateLog.info('Removing duplicate buildings (same BBL + year)...');
 
-    const key = `${building.bbl}-${building.completionYear}`;
+  const table = sql.identifier(buildingsStaging.name);
 
-    if (!duplicateGroups.has(key)) {
-      duplicateGroups.set(key, []);
-    }
-    duplicateGroups.get(key).push(building);
-  }
+  // Prefer: 1) highest unit count, 2) has affordable overlay, 3) most recent job number
+  const preference = sql`total_units DESC, COALESCE(has_affordable_overlay, false) DESC, job_number COLLATE "C" DESC`;
 
-  // Process each group
-  let deduplicatedCount = 0;
-  const deduplicatedExamples = [];
+  const originalCount = await countStaging(db, buildingsStaging);
 
-  for (const [key, group] of duplicateGroups.entries()) {
-    if (group.length === 1) {
-      // No duplicates - keep the only building
-      uniqueBuildings.push(group[0]);
-    } else {
-      // Multiple buildings with same BBL + year -> duplicates
-      // Prefer: 1) highest unit count, 2) has affordable overlay, 3) most recent job number
-      const bestBuilding = group.reduce((best, current) => {
-        // Prefer higher unit count (more complete data)
-        if (current.totalUnits > best.totalUnits) return current;
-        if (current.totalUnits < best.totalUnits) return best;
-
-        // Same units - prefer affordable overlay
-        if (current.hasAffordableOverlay && !best.hasAffordableOverlay) return current;
-        if (!current.hasAffordableOverlay && best.hasAffordableOverlay) return best;
-
-        // Same units and overlay status - prefer higher job number (more recent)
-        if (current.jobNumber > best.jobNumber) return current;
-        return best;
-      });
-
-      uniqueBuildings.push(bestBuilding);
-      deduplicatedCount += (group.length - 1);
-
-      // Log first few examples
-      if (deduplicatedExamples.length < 10) {
-        deduplicatedExamples.push({
-          bbl: bestBuilding.bbl,
-          year: bestBuilding.completionYear,
-          duplicateCount: group.length,
-          kept: bestBuilding.jobNumber,
-          keptUnits: bestBuilding.totalUnits,
-          keptAddress: bestBuilding.address,
-          allJobs: group.map(b => `${b.jobNumber} (${b.totalUnits} units, ${b.address})`).join(' | ')
-        });
+  // Log first few examples before removing anything
+  const examples = await db.execute(sql`
+    SELECT
+      bbl,
+      completion_year,
+      COUNT(*) AS duplicate_count,
+      (ARRAY_AGG(job_number ORDER BY ${preference}))[1] AS kept,
+      (ARRAY_AGG(total_units ORDER BY ${preference}))[1] AS kept_units,
+      (ARRAY_AGG(address ORDER BY ${preference}))[1] AS kept_address,
+      STRING_AGG(job_number || ' (' || total_units || ' units, ' || address || ')', ' | ') AS all_jobs
+    FROM ${table}
+    WHERE bbl IS NOT NULL
+    GROUP BY bbl, completion_year
+    HAVING COUNT(*) > 1
+    ORDER BY bbl, completion_year
+    LIMIT 10
+  `);
+
+  // Buildings without BBL can't be deduplicated, so they are always kept
+  const result = await db.execute(sql`
+    DELETE FROM ${table}
+    WHERE ctid IN (
+      SELECT ctid FROM (
+        SELECT ctid, ROW_NUMBER() OVER (PARTITION BY bbl, completion_year ORDER BY ${preference}) AS rank
+        FROM ${table}
+        WHERE bbl IS NOT NULL
+      ) ranked
+      WHERE rank > 1
+    )
+  `);
+
+  deduplicateLog.info(`Original buildings: ${formatNumber(originalCount)}`);
+  deduplicateLog.info(`After deduplication: ${formatNumber(originalCount - result.count)}`);
+  deduplicateLog.info(`Removed: ${formatNumber(result.count)} duplicate entries`);
+
+  if (examples.length > 0) {
+    deduplicateLog.info(`Sample deduplications:`);
+    for (const example of examples) {
+      const duplicateCount = Number(example.duplicate_count);
+      deduplicateLog.info(`  - BBL ${example.bbl}, ${example.completion_year}: ${duplicateCount} jobs -> kept ${example.kept} (${example.kept_units} units, ${example.kept_address})`);
+      if (duplicateCount <= 3) {
+        deduplicateLog.info(`    All jobs: ${example.all_jobs}`);
       }
     }
   }
+  deduplicateLog.info('');
+}
 
-  console.log(`[Deduplicate] Original buildings: ${formatNumber(buildings.length)}`);
-  console.log(`[Deduplicate] After deduplication: ${formatNumber(uniqueBuildings.length)}`);
-  console.log(`[Deduplicate] Removed: ${formatNumber(deduplicatedCount)} duplicate entries`);
-
-  if (deduplicatedExamples.length > 0) {
-    console.log(`[Deduplicate] Sample deduplications:`);
-    for (const example of deduplicatedExamples) {
-      console.log(`  - BBL ${example.bbl}, ${example.year}: ${example.duplicateCount} jobs -> kept ${example.kept} (${example.keptUnits} units, ${example.keptAddress})`);
-      if (example.duplicateCount <= 3) {
-        console.log(`    All jobs: ${example.allJobs}`);
-      }
-    }
+/**
+ * Process a DCP demolition record
+ * Rejects non-demolition jobs and invalid years (see streamInsert's reject)
+ */
+function processDCPDemolitionRecord(record, reject) {
+  // Only process demolition job types
+  if (record.Job_Type !== 'Demolition') return reject('not-demolition', `Job_Type ${record.Job_Type ?? 'missing'}`);
+
+  // Parse completion year
+  const completionYear = parseInt(record.CompltYear, 10);
+  if (isNaN(completionYear) || completionYear < 2014 || completionYear > 2025) {
+    return reject('year-out-of-range', `CompltYear ${record.CompltYear ?? 'missing'} outside 2014-2025`);
   }
-  console.log('');
 
-  return uniqueBuildings;
+  const jobNumber = record.Job_Number || stableId('DCP-DM', [record.BBL, record.CompltYear, record.AddressNum, record.AddressSt]);
+  const bbl = normalizeBBL(record.BBL);
+  const borough = BOROUGH_NAMES[record.Boro] || 'Unknown';
+  const address = `${record.AddressNum || ''} ${record.AddressSt || ''}`.trim() || 'Address Not Available';
+
+  // Estimate units from ClassAInit (units before demolition) or abs(ClassANet)
+  const classAInit = Math.round(Math.abs(parseFloat(record.ClassAInit) || 0));
+  const classANet = Math.round(parseFloat(record.ClassANet) || 0);
+  const estimatedUnits = classAInit || Math.abs(classANet);
+
+  return {
+    id: jobNumber,
+    jobNumber,
+    jobType: 'Demolition',
+    jobStatus: record.Job_Status || null,
+    jobDescription: record.Job_Desc || null,
+
+    bbl,
+    borough,
+    address,
+    latitude: parseFloat(record.Latitude) || null,
+    longitude: parseFloat(record.Longitude) || null,
+
+    demolitionYear: completionYear,
+    demolitionDate: record.DateComplt ? new Date(record.DateComplt).toISOString() : null,
+
+    classAInit,
+    classANet,
+    estimatedUnits,
+    buildingClass: record.Bldg_Class || null,
+
+    hasNewConstruction: false, // Will be updated in matching step
+
+    lastSyncedAt: new Date(),
+  };
 }
 
 /**
- * Process DCP demolition records
+ * Flag staged demolitions whose BBL has new construction
  */
-function processDCPDemolitions(records) {
-  console.log('[Process] Processing DCP demolition records...');
-
-  const demolitions = [];
-  let skipped = 0;
-
-  for (const record of records) {
-    // Only process demolition job types
-    if (record.Job_Type !== 'Demolition') continue;
-
-    // Parse completion year
-    const completionYear = parseInt(record.CompltYear, 10);
-    if (isNaN(completionYear) || completionYear < 2014 || completionYear > 2025) {
-      skipped++;
-      continue;
-    }
+async function matchDemolitions(db, demolitionsStaging, buildingsStaging) {
+  await db.execute(sql`
+    UPDATE ${sql.identifier(demolitionsStaging.name)} AS d
+    SET has_new_construction = true
+    WHERE d.bbl IS NOT NULL
+      AND EXISTS (SELECT 1 FROM ${sql.identifier(buildingsStaging.name)} AS b WHERE b.bbl = d.bbl)
+  `);
 
-    const jobNumber = record.Job_Number || `DCP-DM-${record.OBJECTID}`;
-    const bbl = normalizeBBL(record.BBL);
-    const borough = BOROUGH_NAMES[record.Boro] || 'Unknown';
-    const address = `${record.AddressNum || ''} ${record.AddressSt || ''}`.trim() || 'Address Not Available';
+  const total = await countStaging(db, demolitionsStaging);
+  const standalone = await countStaging(db, demolitionsStaging, sql`NOT has_new_construction`);
 
-    // Estimate units from ClassAInit (units before demolition) or abs(ClassANet)
-    const classAInit = Math.round(Math.abs(parseFloat(record.ClassAInit) || 0));
-    const classANet = Math.round(parseFloat(record.ClassANet) || 0);
-    const estimatedUnits = classAInit || Math.abs(classANet);
+  matchLog.info(`${formatNumber(total)} total demolitions`);
+  matchLog.info(`${formatNumber(standalone)} standalone (no new construction)\n`);
 
-    const demolition = {
-      id: jobNumber,
-      jobNumber,
-      jobType: 'Demolition',
-      jobStatus: record.Job_Status || null,
-      jobDescription: record.Job_Desc || null,
-
-      bbl,
-      borough,
-      address,
-      latitude: parseFloat(record.Latitude) || null,
-      longitude: parseFloat(record.Longitude) || null,
-
-      demolitionYear: completionYear,
-      demolitionDate: record.DateComplt ? new Date(record.DateComplt).toISOString() : null,
-
-      classAInit,
-      classANet,
-      estimatedUnits,
-      buildingClass: record.Bldg_Class || null,
-
-      hasNewConstruction: false, // Will be updated in matching step
+  return { total, standalone };
+}
 
-      lastSyncedAt: new Date(),
-    };
+/**
+ * Totals and per-borough building counts of the staged data, for the drift checks (see drift-utils.js)
+ */
+async function collectHousingMetrics(db, buildingsStaging, demolitionsStaging) {
+  const [totals] = await db.execute(sql`
+    SELECT
+      COUNT(*) AS buildings,
+      COALESCE(SUM(total_units), 0) AS total_units,
+      COALESCE(SUM(affordable_units), 0) AS affordable_units
+    FROM ${sql.identifier(buildingsStaging.name)}
+  `);
+  const boroughs = await db.execute(sql`
+    SELECT borough, COUNT(*) AS buildings
+    FROM ${sql.identifier(buildingsStaging.name)}
+    GROUP BY borough
+  `);
+
+  return {
+    buildings: Number(totals.buildings),
+    totalUnits: Number(totals.total_units),
+    affordableUnits: Number(totals.affordable_units),
+    demolitions: await countStaging(db, demolitionsStaging),
+    buildingsByBorough: Object.fromEntries(boroughs.map(row => [row.borough, Number(row.buildings)])),
+  };
+}
 
-    demolitions.push(demolition);
+/**
+ * Stream one source into a staging table, reporting validation failures before they stop the seed
+ */
+async function streamValidated(db, staging, pages, options) {
+  try {
+    return await streamInsert(db, staging, pages, options);
+  } catch (error) {
+    if (error instanceof ValidationError) logValidationError(error);
+    throw error;
   }
-
-  console.log(`[Process] Processed ${formatNumber(demolitions.length)} DCP demolitions`);
-  console.log(`[Process] Skipped ${formatNumber(skipped)} records (invalid years)\n`);
-  return demolitions;
 }
 
 /**
- * Main seed function
+ * Seed housing buildings and demolitions
+ *
+ * @param {object} options - Seed options (see parseSeedArgs in cli-utils.js)
+ * @param {boolean} options.dryRun - Stop after change detection, leaving live tables untouched
+ * @param {boolean} options.force - Skip the freshness check and merge even when nothing changed
+ * @param {boolean|Array<string>} options.allowDrift - Load even when metrics drift past their thresholds
+ * @param {string|null} options.fromArchive - Archived run to replay ('latest' or a run id)
+ * @param {boolean} options.verbose - Log more changed keys
+ * @returns {Promise<object>} Result ({ seed, status, changes, ... })
+ * @throws {Error} When fetching, validation, or loading fails (live tables are left untouched)
  */
-async function main() {
+export async function run(options = {}) {
+  const { dryRun = false, force = false, allowDrift = false, fromArchive = null, verbose = false } = options;
   const t = timer();
 
-  console.log('===================================');
-  console.log('   NYC HOUSING DATA SEED SCRIPT   ');
-  console.log('   Using DCP Housing Database     ');
-  console.log('===================================\n');
+  logBanner(['NYC HOUSING DATA SEED SCRIPT', 'Using DCP Housing Database']);
 
   // Initialize database
   const { db, client } = initDb();
+  const stagingTables = [];
+  let seedRun = null;
+  let tableLocks = null;
+  let profiles = null;
 
   try {
-    // Step 1: Fetch DCP Housing Database (new buildings and alterations)
-    console.log('--- STEP 1: Fetch DCP Housing Database ---\n');
+    // Lock the tables this seed writes, so an overlapping run (e.g., cron plus manual) can't clobber them
+    tableLocks = await acquireTableLocks([housingBuildings, housingDemolitions, housingNyOverlay], { owner: 'housing' });
+    if (!tableLocks.acquired) {
+      const totalTime = t.stop();
+      logReport([
+        'Status: SKIPPED (Another run holds the table locks)',
+        `Total Time: ${totalTime}`,
+      ]);
+      return { seed: 'housing', status: 'skipped-locked', reason: tableLocks.reason, duration: totalTime };
+    }
+
+    // Dry runs are not recorded in the run ledger
+    if (!dryRun) seedRun = await startSeedRun(db, 'housing', { fromArchive, force });
+
+    // Step 0: Ask upstream whether anything changed since the last sync (skipped when replaying or dry-running)
+    let freshness = null;
+    if (!fromArchive && !dryRun) {
+      logStep(0, 'Check Upstream Freshness');
+      freshness = await checkSourceFreshness(db, 'housing', FRESHNESS_SOURCES, { force });
+
+      if (!freshness.needsUpdate) {
+        logBanner('UPSTREAM UNCHANGED - SKIPPING FETCH', { style: 'box' });
+        seedLog.info('💡 No source changed since the last sync. Use --force to fetch anyway.\n');
+        await finishSeedRun(db, seedRun, 'skipped-no-change', { changeDetection: { reason: 'Upstream unchanged' } });
+
+        const totalTime = t.stop();
+        logReport([
+          'Status: SKIPPED (Upstream unchanged)',
+          `Total Time: ${totalTime}`,
+        ]);
+        return { seed: 'housing', status: 'skipped-no-change', reason: 'Upstream unchanged', duration: totalTime };
+      }
+    }
+
+    // Step 1: Prepare staging tables - pages stream into these instead of being held in memory
+    logStep(1, 'Prepare Staging Tables');
+    const buildingsStaging = await createStagingTable(db, housingBuildings);
+    const demolitionsStaging = await createStagingTable(db, housingDemolitions);
+    const overlayStaging = await createKeyedStagingTable(db, housingNyOverlay, 'bbl');
+    stagingTables.push(buildingsStaging, demolitionsStaging, overlayStaging);
+    seedLog.info('');
+
+    // Records the processors reject are stored with the rule that rejected them (see quarantine-utils.js)
+    const quarantine = createQuarantine(db, seedRun);
+    const dcpKey = record => record.Job_Number ?? record.OBJECTID;
+
+    // Every source is profiled as fetched and as processed (see profile-utils.js)
+    profiles = createProfileSession(db, 'housing', seedRun);
+    const dcpProfile = {
+      fetched: profiles.source('dcp-housing-database', { coordinates: { lat: 'Latitude', lon: 'Longitude' } }),
+      processed: profiles.source('dcp-housing-database', { stage: 'processed', coordinates: { lat: 'latitude', lon: 'longitude' } }),
+    };
+
+    // Record raw payloads (or replay them with --from-archive [runId])
+    startArchiveSession('housing', { reprocess: fromArchive });
+
+    // Step 2: Stream DCP Housing Database (new buildings and alterations) into staging
+    logStep(2, 'Fetch DCP Housing Database');
+
+    // Check every fetched record against the source's contract (violations are tallied, then judged in step 3)
+    const dcpCheck = createContractValidator(dcpHousingContract);
 
     // Fetch New Buildings with completed status
-    const newBuildingRecords = await fetchArcGISFeatures(DCP_HOUSING_DATABASE_URL, {
+    const newBuildingStats = await streamValidated(db, buildingsStaging, iterateArcGISFeatures(DCP_HOUSING_DATABASE_URL, {
       where: "Job_Type = 'New Building' AND CompltYear >= '2014' AND CompltYear <= '2025'",
       orderByFields: 'CompltYear DESC',
       batchSize: 2000,
+    }), {
+      transform: processDCPHousingRecord,
+      onPage: page => dcpCheck.check(page),
+      quarantine: quarantine.source('dcp-housing-database', { key: dcpKey }),
+      profile: dcpProfile,
+      label: 'new buildings',
     });
 
     // Fetch Alterations with positive net units
-    const alterationRecords = await fetchArcGISFeatures(DCP_HOUSING_DATABASE_URL, {
+    const alterationStats = await streamValidated(db, buildingsStaging, iterateArcGISFeatures(DCP_HOUSING_DATABASE_URL, {
       where: "Job_Type = 'Alteration' AND ClassANet > 0 AND CompltYear >= '2014' AND CompltYear <= '2025'",
       orderByFields: 'CompltYear DESC',
       batchSize: 2000,
+    }), {
+      transform: processDCPHousingRecord,
+      onPage: page => dcpCheck.check(page),
+      quarantine: quarantine.source('dcp-housing-database', { key: dcpKey }),
+      profile: dcpProfile,
+      label: 'alterations',
     });
 
-    const dcpRecords = [...newBuildingRecords, ...alterationRecords];
-    console.log(`[Fetch] Total DCP records: ${formatNumber(dcpRecords.length)}\n`);
+    const dcpRecordCount = newBuildingStats.read + alterationStats.read;
+    fetchLog.info(`Total DCP records: ${formatNumber(dcpRecordCount)}`);
+    processLog.info(`Processed ${formatNumber(newBuildingStats.inserted + alterationStats.inserted)} DCP buildings`);
+    processLog.info(`Skipped ${formatNumber(newBuildingStats.skipped + alterationStats.skipped)} records (invalid coords, years, or units)\n`);
 
-    // Step 2: Validate DCP data BEFORE processing
-    console.log('--- STEP 2: Validate DCP Housing Data ---\n');
+    // Step 3: Validate DCP data volume BEFORE going further
+    logStep(3, 'Validate DCP Housing Data');
     try {
       // Minimum record count validation (expect at least 10,000 housing records since 2014)
-      validateMinimumRecordCount(dcpRecords, 10000, 'DCP Housing Database');
-
-      // Required fields validation
-      validateRequiredFields(
-        dcpRecords,
-        ['Job_Number', 'CompltYear', 'BBL', 'Latitude', 'Longitude', 'ClassANet'],
-        'DCP Housing Database',
-        50 // Check first 50 records
-      );
-
-      // Data type validation
-      validateDataTypes(
-        dcpRecords,
-        {
-          Latitude: (val) => validators.isValidLatitude(val),
-          Longitude: (val) => validators.isValidLongitude(val),
-          CompltYear: (val) => validators.isYearInRange(2014, 2025)(val),
-          ClassANet: (val) => validators.isNumber(val),
-        },
-        'DCP Housing Database',
-        50
-      );
+      validateMinimumRecordCount(dcpRecordCount, 10000, 'DCP Housing Database');
+      dcpCheck.finish();
     } catch (error) {
       logValidationError(error);
-      process.exit(1);
+      throw error;
     }
 
-    // Step 3: Fetch Housing NY data for affordable overlay
-    console.log('--- STEP 3: Fetch Housing NY Data (Affordable Overlay) ---\n');
-    const housingNyRecords = await fetchNycOpenData(HOUSING_NY_API, {
+    // Step 4: Stream Housing NY data into the keyed overlay table
+    // Multiple Housing NY records for the same BBL keep the one with more affordable units
+    logStep(4, 'Fetch Housing NY Data (Affordable Overlay)');
+    const housingNyCheck = createContractValidator(housingNyContract);
+    const housingNyStats = await streamValidated(db, overlayStaging, iterateNycOpenData(HOUSING_NY_API, {
       limit: 20000,
       // Note: ordering removed as building_completion_date field is inconsistent in API
+    }), {
+      transform: processHousingNYRecord,
+      merge: { prefer: 'affordableUnits' },
+      // Note: building_completion_date is not consistently present in Housing NY API
+      // Records without it are skipped by processHousingNYRecord
+      onPage: page => housingNyCheck.check(page),
+      quarantine: quarantine.source('housing-ny', { key: record => record.building_id ?? record.project_id }),
+      profile: {
+        fetched: profiles.source('housing-ny', { coordinates: { lat: 'latitude', lon: 'longitude' } }),
+        processed: profiles.source('housing-ny', { stage: 'processed' }),
+      },
+      label: 'Housing NY records',
     });
 
-    // Step 3.1: Validate Housing NY data
-    console.log('\n--- STEP 3.1: Validate Housing NY Data ---\n');
+    // Step 4.1: Validate Housing NY data
+    logStep(4.1, 'Validate Housing NY Data');
     try {
-      validateMinimumRecordCount(housingNyRecords, 100, 'Housing NY');
-
-      // Note: building_completion_date is not consistently present in Housing NY API
-      // Records without it will be filtered out during processing (see line 247)
-      // Allow 20% failure rate since this is an overlay dataset and missing BBLs are safely skipped
-      validateRequiredFields(
-        housingNyRecords,
-        ['bbl'],
-        'Housing NY',
-        20,    // sample size
-        20     // max 20% failure rate acceptable
-      );
+      validateMinimumRecordCount(housingNyStats.read, 100, 'Housing NY');
+      housingNyCheck.finish();
     } catch (error) {
       logValidationError(error);
-      process.exit(1);
+      throw error;
     }
+    processLog.info(`Processed ${formatNumber(await countStaging(db, overlayStaging))} Housing NY buildings for overlay\n`);
 
-    // Step 4: Fetch DCP demolitions
-    console.log('--- STEP 4: Fetch DCP Demolitions ---\n');
-    const demolitionRecords = await fetchArcGISFeatures(DCP_HOUSING_DATABASE_URL, {
+    // Step 5: Stream DCP demolitions into staging
+    logStep(5, 'Fetch DCP Demolitions');
+    const demolitionsCheck = createContractValidator(dcpHousingContract, { label: 'DCP Demolitions' });
+    const demolitionStats = await streamValidated(db, demolitionsStaging, iterateArcGISFeatures(DCP_HOUSING_DATABASE_URL, {
       where: "Job_Type = 'Demolition' AND CompltYear >= '2014' AND CompltYear <= '2025'",
       orderByFields: 'CompltYear DESC',
       batchSize: 2000,
+    }), {
+      transform: processDCPDemolitionRecord,
+      onPage: page => demolitionsCheck.check(page),
+      quarantine: quarantine.source('dcp-demolitions', { key: dcpKey }),
+      profile: {
+        fetched: profiles.source('dcp-demolitions', { coordinates: { lat: 'Latitude', lon: 'Longitude' } }),
+        processed: profiles.source('dcp-demolitions', { stage: 'processed', coordinates: { lat: 'latitude', lon: 'longitude' } }),
+      },
+      label: 'demolitions',
     });
 
-    // Step 5: Process DCP Housing records
-    console.log('--- STEP 4: Process DCP Housing Records ---\n');
-    const dcpBuildings = processDCPHousing(dcpRecords);
+    try {
+      demolitionsCheck.finish();
+    } catch (error) {
+      logValidationError(error);
+      throw error;
+    }
 
-    // Step 6: Process Housing NY for affordable overlay
-    console.log('--- STEP 5: Process Housing NY for Affordable Overlay ---\n');
-    const housingNyMap = processHousingNY(housingNyRecords);
+    processLog.info(`Processed ${formatNumber(demolitionStats.inserted)} DCP demolitions`);
+    processLog.info(`Skipped ${formatNumber(demolitionStats.skipped)} records (invalid years)\n`);
 
-    // Step 7: Overlay affordable data
-    console.log('--- STEP 6: Overlay Affordable Data ---\n');
-    const buildingsWithOverlay = overlayAffordableData(dcpBuildings, housingNyMap);
+    const streamStats = [newBuildingStats, alterationStats, housingNyStats, demolitionStats];
+    recordRunCounts(seedRun, {
+      processed: streamStats.reduce((sum, stats) => sum + stats.inserted, 0),
+      skipped: streamStats.reduce((sum, stats) => sum + stats.skipped, 0),
+    });
+    const rejections = await quarantine.finish();
 
-    // Step 7.5: Deduplicate buildings (same BBL + year + units)
-    console.log('--- STEP 6.5: Deduplicate Buildings ---\n');
-    const buildings = deduplicateBuildings(buildingsWithOverlay);
+    finishArchiveSession();
 
-    // Step 8: Process demolitions
-    console.log('--- STEP 7: Process Demolitions ---\n');
-    const demolitions = processDCPDemolitions(demolitionRecords);
+    // Step 6: Overlay affordable data
+    logStep(6, 'Overlay Affordable Data');
+    await overlayAffordableData(db, buildingsStaging, overlayStaging);
 
-    // Step 9: Match demolitions with new construction
-    console.log('--- STEP 8: Match Demolitions with New Construction ---\n');
-    const buildingBBLs = new Set(buildings.map(b => b.bbl).filter(Boolean));
+    // Step 7: Deduplicate buildings (same BBL + year)
+    logStep(7, 'Deduplicate Buildings');
+    await deduplicateBuildings(db, buildingsStaging);
 
-    for (const demolition of demolitions) {
-      if (demolition.bbl && buildingBBLs.has(demolition.bbl)) {
-        demolition.hasNewConstruction = true;
-      }
-    }
+    // Step 8: Match demolitions with new construction
+    logStep(8, 'Match Demolitions with New Construction');
+    const demolitionCounts = await matchDemolitions(db, demolitionsStaging, buildingsStaging);
 
-    const standaloneDemolitions = demolitions.filter(d => !d.hasNewConstruction);
-    console.log(`[Match] ${formatNumber(demolitions.length)} total demolitions`);
-    console.log(`[Match] ${formatNumber(standaloneDemolitions.length)} standalone (no new construction)\n`);
+    // Step 8.1: Build PostGIS points from the DCP coordinates
+    logStep(8.1, 'Build Spatial Columns');
+    await fillGeometryColumns(db, buildingsStaging, { location: { point: ['longitude', 'latitude'] } });
+    await fillGeometryColumns(db, demolitionsStaging, { location: { point: ['longitude', 'latitude'] } });
+    seedLog.info('');
 
     // Step 9: Validate processed data before clearing database
-    console.log('--- STEP 9: Validate Processed Data ---\n');
+    logStep(9, 'Validate Processed Data');
     try {
-      validateProcessedRecords(
-        buildings,
-        [
-          (records) => validateMinimumRecordCount(records, 10000, 'Processed Buildings'),
-          (records) => {
+      await validateStagedRecords(
+        db,
+        buildingsStaging.name,
+        {
+          minCount: 10000,
+          invalidWhen: {
             // Ensure all buildings have required fields
-            const invalid = records.filter(r => !r.id || !r.totalUnits || !r.completionYear);
-            if (invalid.length > 0) {
-              throw new Error(`${invalid.length} buildings missing required fields`);
-            }
+            'missing required fields': 'id IS NULL OR total_units IS NULL OR total_units = 0 OR completion_year IS NULL',
           },
-        ],
+        },
         'Housing Buildings'
       );
 
-      validateProcessedRecords(
-        demolitions,
-        [
-          (records) => {
-            // Demolitions can be empty, but if present, should be valid
-            if (records.length > 0 && records.some(r => !r.id || !r.demolitionYear)) {
-              throw new Error('Some demolitions missing required fields');
-            }
+      await validateStagedRecords(
+        db,
+        demolitionsStaging.name,
+        {
+          // Demolitions can be empty, but if present, should be valid
+          minCount: 0,
+          invalidWhen: {
+            'missing required fields': 'id IS NULL OR demolition_year IS NULL',
           },
-        ],
+        },
         'Demolitions'
       );
     } catch (error) {
       logValidationError(error);
-      process.exit(1);
+      throw error;
+    }
+
+    // Step 9.1: Compare totals with the last accepted run - a sharp move blocks the load unless --allow-drift
+    logStep(9.1, 'Check Drift Against Last Accepted Run');
+    let drift;
+    try {
+      drift = await checkDrift(db, 'housing', [
+        { key: 'housing', dataset: 'housing', metrics: await collectHousingMetrics(db, buildingsStaging, demolitionsStaging) },
+      ], { allowDrift });
+    } catch (error) {
+      logValidationError(error);
+      throw error;
     }
 
     // Step 10: Check if data has changed
-    console.log('--- STEP 10: Check for Data Changes ---\n');
-    const buildingsChangeResult = await detectDataChanges(db, 'housing_buildings', buildings);
-    const demolitionsChangeResult = await detectDataChanges(db, 'housing_demolitions', demolitions);
-
-    // Only update if changes detected
-    if (!buildingsChangeResult.hasChanges && !demolitionsChangeResult.hasChanges) {
-      console.log('╔════════════════════════════════════════════════════════════╗');
-      console.log('║          NO CHANGES DETECTED - SKIPPING UPDATE             ║');
-      console.log('╚════════════════════════════════════════════════════════════╝\n');
-      console.log('✓ Housing buildings: No changes');
-      console.log('✓ Demolitions: No changes');
-      console.log('\n💡 Database is already up to date. Seed skipped to save resources.\n');
+    logStep(10, 'Check for Data Changes');
+    // Hash the final staged rows (after overlay, dedup, and matching) so every row is compared
+    await fingerprintStagedRows(db, buildingsStaging);
+    await fingerprintStagedRows(db, demolitionsStaging);
+
+    const buildingsChangeResult = await detectDataChanges(db, 'housing_buildings', {
+      stagingTable: buildingsStaging.name,
+      key: 'job_number',
+      where: 'deleted_at IS NULL',
+      sampleSize: verbose ? 25 : 5,
+    });
+    const demolitionsChangeResult = await detectDataChanges(db, 'housing_demolitions', {
+      stagingTable: demolitionsStaging.name,
+      key: 'job_number',
+      where: 'deleted_at IS NULL',
+      sampleSize: verbose ? 25 : 5,
+    });
+    const changeResults = { housing_buildings: buildingsChangeResult, housing_demolitions: demolitionsChangeResult };
 
+    if (dryRun) {
       const totalTime = t.stop();
-      console.log('===================================');
-      console.log('           SEED SUMMARY            ');
-      console.log('===================================');
-      console.log('Status: SKIPPED (No changes detected)');
-      console.log(`Total Time: ${totalTime}`);
-      console.log('===================================\n');
-      return;
+      logReport([
+        'Status: DRY RUN (live tables not changed)',
+        `Housing Buildings: ${buildingsChangeResult.reason}`,
+        `Demolitions: ${demolitionsChangeResult.reason}`,
+        `Total Time: ${totalTime}`,
+      ]);
+      return {
+        seed: 'housing',
+        status: 'dry-run',
+        changes: summarizeChanges(changeResults, { keys: true }),
+        duration: totalTime,
+      };
     }
 
-    // Step 11: Clear existing data (only if changes detected)
-    console.log('--- STEP 11: Clear Existing Data ---\n');
-    console.log('⚠️  Changes detected - clearing tables and inserting new data...\n');
+    // Only update if changes detected (or forced)
+    if (!buildingsChangeResult.hasChanges && !demolitionsChangeResult.hasChanges && !force) {
+      logBanner('NO CHANGES DETECTED - SKIPPING UPDATE', { style: 'box' });
+      seedLog.success('Housing buildings: No changes');
+      seedLog.success('Demolitions: No changes');
+      seedLog.info('\n💡 Database is already up to date. Seed skipped to save resources.\n');
 
-    await clearTable(db, 'housing_buildings', 'housing_buildings');
-    await clearTable(db, 'housing_demolitions', 'housing_demolitions');
+      const changes = summarizeChanges(changeResults);
+      if (freshness) await recordSourceSync(db, freshness);
+      await finishSeedRun(db, seedRun, 'skipped-no-change', { changeDetection: changes, metrics: drift.metrics });
 
-    // Step 12: Insert into database
-    console.log('--- STEP 12: Insert into Database ---\n');
-    await batchInsert(db, housingBuildings, buildings, {
-      batchSize: 500,
-      label: 'housing buildings',
-    });
+      const totalTime = t.stop();
+      logReport([
+        'Status: SKIPPED (No changes detected)',
+        `Total Time: ${totalTime}`,
+      ]);
+      return { seed: 'housing', status: 'skipped-no-change', changes, duration: totalTime };
+    }
 
-    await batchInsert(db, housingDemolitions, demolitions, {
-      batchSize: 500,
-      label: 'demolitions',
-    });
+    // Step 11: Merge staged rows into the live tables (only if changes detected)
+    logStep(11, 'Merge Staged Data into Live Tables');
+    if (buildingsChangeResult.hasChanges || demolitionsChangeResult.hasChanges) {
+      seedLog.info('Changes detected - applying row-level changes...\n');
+    } else {
+      seedLog.warn('No changes detected, but --force was given - merging anyway...\n');
+    }
+
+    // Both tables are merged in one transaction - a failure leaves the live tables untouched
+    let merged;
+    try {
+      merged = await mergeStagingTables(db, [
+        { staging: buildingsStaging, key: 'jobNumber', history: true },
+        { staging: demolitionsStaging, key: 'jobNumber' },
+      ]);
+    } catch (error) {
+      // Duplicate staged keys are reported before anything is merged
+      if (error instanceof ValidationError) logValidationError(error);
+      throw error;
+    }
+    const buildingCount = await countStaging(db, buildingsStaging);
+
+    const changes = { ...summarizeChanges(changeResults), merged };
+    if (freshness) await recordSourceSync(db, freshness);
+    await finishSeedRun(db, seedRun, 'success', { changeDetection: changes, metrics: drift.metrics });
 
     // Summary
-    const totalUnits = buildings.reduce((sum, b) => sum + b.totalUnits, 0);
-    const totalAffordable = buildings.reduce((sum, b) => sum + b.affordableUnits, 0);
+    const [summary] = await db.execute(sql`
+      SELECT
+        COUNT(*) FILTER (WHERE data_source = 'dcp') AS dcp_only,
+        COUNT(*) FILTER (WHERE data_source = 'dcp-affordable') AS dcp_affordable,
+        COALESCE(SUM(total_units), 0) AS total_units,
+        COALESCE(SUM(affordable_units), 0) AS affordable_units
+      FROM ${sql.identifier(buildingsStaging.name)}
+    `);
+    const totalUnits = Number(summary.total_units);
+    const totalAffordable = Number(summary.affordable_units);
     const affordablePercent = totalUnits > 0 ? (totalAffordable / totalUnits) * 100 : 0;
 
-    console.log('===================================');
-    console.log('           SEED SUMMARY            ');
-    console.log('===================================');
-    console.log(`Housing Buildings: ${formatNumber(buildings.length)}`);
-    console.log(`  - DCP only: ${formatNumber(buildings.filter(b => b.dataSource === 'dcp').length)}`);
-    console.log(`  - DCP + Affordable overlay: ${formatNumber(buildings.filter(b => b.dataSource === 'dcp-affordable').length)}`);
-    console.log(`Total Units: ${formatNumber(totalUnits)}`);
-    console.log(`Affordable Units: ${formatNumber(totalAffordable)} (${affordablePercent.toFixed(1)}%)`);
-    console.log(`Demolitions: ${formatNumber(demolitions.length)}`);
-    console.log(`Standalone Demolitions: ${formatNumber(standaloneDemolitions.length)}`);
-    console.log(`Total Time: ${t.stop()}`);
-    console.log('===================================\n');
+    const totalTime = t.stop();
+    logReport([
+      `Housing Buildings: ${formatNumber(buildingCount)}`,
+      `  - DCP only: ${formatNumber(Number(summary.dcp_only))}`,
+      `  - DCP + Affordable overlay: ${formatNumber(Number(summary.dcp_affordable))}`,
+      `Total Units: ${formatNumber(totalUnits)}`,
+      `Affordable Units: ${formatNumber(totalAffordable)} (${affordablePercent.toFixed(1)}%)`,
+      `Demolitions: ${formatNumber(demolitionCounts.total)}`,
+      `Standalone Demolitions: ${formatNumber(demolitionCounts.standalone)}`,
+      `Rejected Source Records: ${formatNumber(rejections.total)}`,
+      `Changes: ${formatChanges(merged.housing_buildings)} buildings, ${formatChanges(merged.housing_demolitions)} demolitions`,
+      `Total Time: ${totalTime}`,
+    ]);
+
+    return { seed: 'housing', status: 'success', changes, duration: totalTime };
 
   } catch (error) {
-    console.error('\n[ERROR] Seed failed:', error);
-    process.exit(1);
+    // Validation failures were already reported by logValidationError
+    const validationFailed = error instanceof ValidationError;
+    if (!validationFailed) seedLog.error('\nSeed failed:', error);
+    await finishSeedRun(db, seedRun, validationFailed ? 'validation-failed' : 'error', { error });
+    throw error;
   } finally {
+    abortArchiveSession();
+    logHttpStats();
+    // Written for failed runs too, where the profile helps explain the failure
+    if (profiles) await profiles.finish();
+    try {
+      await dropStagingTables(db, stagingTables);
+    } catch (error) {
+      stagingLog.warn(`Could not drop staging tables: ${error.message}`);
+    }
+    if (tableLocks) await tableLocks.release();
     await closeDb(client);
   }
 }
 
-// Run the seed script
-main();
+// Run the seed script when executed directly (scripts/seed.js runs it in a child process; run() can also be imported)
+runSeedScript('housing', run, import.meta.url);
@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+
+// ABOUTME: Render stored dataset profiles (dataset_profiles) as a Markdown report - latest run per seed, or one run
+// ABOUTME: Usage: bun scripts/seed-profile.js [--seed housing] [--run 42] [--dataset housing-ny] [--out report.md]
+
+import fs from 'node:fs';
+import { and, eq, sql } from 'drizzle-orm';
+import { datasetProfiles } from '../server/lib/schema.ts';
+import { initDb, closeDb } from './lib/seed-utils.js';
+import { renderProfileReport } from './lib/profile-utils.js';
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+  const args = { seed: null, runId: null, dataset: null, out: null };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--seed') args.seed = argv[++i];
+    else if (arg === '--run') args.runId = parseInt(argv[++i], 10);
+    else if (arg === '--dataset') args.dataset = argv[++i];
+    else if (arg === '--out') args.out = argv[++i];
+  }
+
+  return args;
+}
+
+/**
+ * Latest profiled run, per seed
+ */
+async function latestRuns(db, seed) {
+  return db.select({
+    seed: datasetProfiles.seed,
+    runId: sql`max(${datasetProfiles.runId})`.mapWith(Number),
+  })
+    .from(datasetProfiles)
+    .where(seed ? eq(datasetProfiles.seed, seed) : undefined)
+    .groupBy(datasetProfiles.seed)
+    .orderBy(datasetProfiles.seed);
+}
+
+/**
+ * Report of one run's profiles (null if it has none)
+ */
+async function renderRun(db, runId, dataset) {
+  const profiles = await db.select()
+    .from(datasetProfiles)
+    .where(and(eq(datasetProfiles.runId, runId), dataset ? eq(datasetProfiles.dataset, dataset) : undefined))
+    .orderBy(datasetProfiles.id);
+
+  if (profiles.length === 0) return null;
+  return renderProfileReport({ seed: profiles[0].seed, runId, generatedAt: profiles[0].createdAt }, profiles);
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const { db, client } = initDb();
+
+  try {
+    const runs = args.runId !== null
+      ? [{ runId: args.runId }]
+      : await latestRuns(db, args.seed);
+
+    const reports = [];
+    for (const { runId } of runs) {
+      const report = await renderRun(db, runId, args.dataset);
+      if (report) reports.push(report);
+    }
+
+    if (reports.length === 0) {
+      console.error('[Profile] No matching profiles stored\n');
+      process.exitCode = 1;
+      return;
+    }
+
+    if (args.out) {
+      fs.writeFileSync(args.out, reports.join('\n'));
+      console.log(`[Profile] Report written to ${args.out}\n`);
+    } else {
+      console.log(reports.join('\n'));
+    }
+  } catch (error) {
+    console.error('\n[ERROR] Could not read dataset profiles:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await closeDb(client);
+  }
+}
+
+// Run the script
+main();
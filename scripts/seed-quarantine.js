@@ -0,0 +1,160 @@
+#!/usr/bin/env node
+
+// ABOUTME: Report on source records the seeds rejected (quarantined_records) - counts by source and rule, or the records
+// ABOUTME: Usage: bun scripts/seed-quarantine.js [--seed housing] [--run 42] [--source housing-ny] [--rule no-units] [--limit 20] [--payload]
+
+import { and, desc, eq, sql } from 'drizzle-orm';
+import { quarantinedRecords, seedRuns } from '../server/lib/schema.ts';
+import { initDb, closeDb, formatNumber } from './lib/seed-utils.js';
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+  const args = { seed: null, runId: null, source: null, rule: null, limit: 20, payload: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--seed') args.seed = argv[++i];
+    else if (arg === '--run') args.runId = parsePositiveInt(argv[++i], '--run');
+    else if (arg === '--source') args.source = argv[++i];
+    else if (arg === '--rule') args.rule = argv[++i];
+    else if (arg === '--limit') args.limit = parsePositiveInt(argv[++i], '--limit');
+    else if (arg === '--payload') args.payload = true;
+    else throw new Error(`Unknown option: ${arg}`);
+  }
+
+  return args;
+}
+
+/**
+ * Parse a positive integer option value (e.g., --limit 20)
+ */
+function parsePositiveInt(value, option) {
+  if (!/^\d+$/.test(value ?? '') || parseInt(value, 10) < 1) {
+    throw new Error(`${option} must be a positive integer (got ${value ?? 'nothing'})`);
+  }
+  return parseInt(value, 10);
+}
+
+/**
+ * Latest recorded run, per seed (whether or not it rejected anything)
+ */
+async function latestRuns(db, seed) {
+  return db.select({
+    seed: seedRuns.seed,
+    runId: sql`max(${seedRuns.id})`.mapWith(Number),
+  })
+    .from(seedRuns)
+    .where(seed ? eq(seedRuns.seed, seed) : undefined)
+    .groupBy(seedRuns.seed)
+    .orderBy(seedRuns.seed);
+}
+
+/**
+ * Rejections of a run by source and rule, with an example reason
+ */
+async function summarizeRun(db, runId, filters) {
+  const rows = await db.select({
+    sourceDataset: quarantinedRecords.sourceDataset,
+    rule: quarantinedRecords.rule,
+    count: sql`count(*)`.mapWith(Number),
+    example: sql`min(${quarantinedRecords.reason})`,
+  })
+    .from(quarantinedRecords)
+    .where(and(eq(quarantinedRecords.runId, runId), ...filters))
+    .groupBy(quarantinedRecords.sourceDataset, quarantinedRecords.rule)
+    .orderBy(quarantinedRecords.sourceDataset, desc(sql`count(*)`));
+
+  if (rows.length === 0) {
+    console.log(`[Quarantine] Run #${runId}: no rejected records\n`);
+    return;
+  }
+
+  const total = rows.reduce((sum, row) => sum + row.count, 0);
+  console.log(`[Quarantine] Run #${runId}: ${formatNumber(total)} rejected records\n`);
+  console.log('  SOURCE                  RULE                        COUNT  EXAMPLE');
+  for (const row of rows) {
+    console.log([
+      `  ${row.sourceDataset.padEnd(22)}`,
+      row.rule.padEnd(24),
+      formatNumber(row.count).padStart(9),
+      row.example ?? '',
+    ].join('  '));
+  }
+  console.log('');
+}
+
+/**
+ * List a run's rejected records (address and borough when the source has them)
+ */
+async function listRecords(db, runId, filters, { limit, payload }) {
+  const records = await db.select()
+    .from(quarantinedRecords)
+    .where(and(eq(quarantinedRecords.runId, runId), ...filters))
+    .orderBy(quarantinedRecords.id)
+    .limit(limit);
+
+  for (const record of records) {
+    console.log(`  [${record.sourceDataset}] ${record.sourceKey ?? '(no key)'} - ${record.rule}: ${record.reason ?? ''}`);
+    const location = describeLocation(record.payload);
+    if (location) console.log(`    ${location}`);
+    if (payload) console.log(`    ${JSON.stringify(record.payload)}`);
+  }
+  console.log('');
+}
+
+/**
+ * Address of a raw DCP or Housing NY record, e.g. '123 MAIN STREET, Boro 2'
+ */
+function describeLocation(record) {
+  const address = [record.AddressNum ?? record.house_number, record.AddressSt ?? record.street_name].filter(Boolean).join(' ');
+  const borough = record.Boro ? `Boro ${record.Boro}` : record.borough;
+  return [address, borough].filter(Boolean).join(', ');
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`[ERROR] ${error.message}`);
+    console.error('Usage: bun scripts/seed-quarantine.js [--seed housing] [--run 42] [--source housing-ny] [--rule no-units] [--limit 20] [--payload]');
+    process.exitCode = 1;
+    return;
+  }
+
+  const { db, client } = initDb();
+
+  const filters = [];
+  if (args.source) filters.push(eq(quarantinedRecords.sourceDataset, args.source));
+  if (args.rule) filters.push(eq(quarantinedRecords.rule, args.rule));
+
+  try {
+    const runs = args.runId !== null
+      ? [{ runId: args.runId }]
+      : await latestRuns(db, args.seed);
+
+    if (runs.length === 0) {
+      console.log('[Quarantine] No seed runs recorded\n');
+      return;
+    }
+
+    for (const { runId } of runs) {
+      await summarizeRun(db, runId, filters);
+      // Naming a source or rule lists the records themselves
+      if (args.source || args.rule) await listRecords(db, runId, filters, args);
+    }
+  } catch (error) {
+    console.error('\n[ERROR] Could not read quarantined records:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await closeDb(client);
+  }
+}
+
+// Run the script
+main();
@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+
+// ABOUTME: Query the seed run ledger (seed_runs) - lists recent runs or shows one run in detail
+// ABOUTME: Usage: bun scripts/seed-runs.js [--seed housing] [--status error] [--limit 20] | <runId>
+
+import { and, desc, eq } from 'drizzle-orm';
+import { seedRuns } from '../server/lib/schema.ts';
+import { initDb, closeDb, formatNumber } from './lib/seed-utils.js';
+
+const STATUS_ICONS = {
+  'running': '…',
+  'success': '✓',
+  'skipped-no-change': '=',
+  'validation-failed': '⚠️',
+  'error': '✗',
+};
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+  const args = { runId: null, seed: null, status: null, limit: 20 };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--seed') args.seed = argv[++i];
+    else if (arg === '--status') args.status = argv[++i];
+    else if (arg === '--limit') args.limit = parsePositiveInt(argv[++i], '--limit');
+    else if (/^\d+$/.test(arg) && args.runId === null) args.runId = parsePositiveInt(arg, 'runId');
+    else throw new Error(`Unknown option: ${arg}`);
+  }
+
+  return args;
+}
+
+/**
+ * Parse a positive integer option value (e.g., --limit 20)
+ */
+function parsePositiveInt(value, option) {
+  if (!/^\d+$/.test(value ?? '') || parseInt(value, 10) < 1) {
+    throw new Error(`${option} must be a positive integer (got ${value ?? 'nothing'})`);
+  }
+  return parseInt(value, 10);
+}
+
+/**
+ * Format a duration in milliseconds
+ */
+function formatDuration(ms) {
+  if (ms === null || ms === undefined) return '-';
+  return ms < 60000 ? `${(ms / 1000).toFixed(1)}s` : `${(ms / 60000).toFixed(1)}m`;
+}
+
+/**
+ * Format a count that may not have been recorded
+ */
+function formatCount(count) {
+  return count === null || count === undefined ? '-' : formatNumber(count);
+}
+
+/**
+ * List recent runs, newest first, with the last successful update of each seed
+ */
+async function listRuns(db, { seed, status, limit }) {
+  const filters = [];
+  if (seed) filters.push(eq(seedRuns.seed, seed));
+  if (status) filters.push(eq(seedRuns.status, status));
+
+  const runs = await db.select()
+    .from(seedRuns)
+    .where(filters.length > 0 ? and(...filters) : undefined)
+    .orderBy(desc(seedRuns.startedAt))
+    .limit(limit);
+
+  if (runs.length === 0) {
+    console.log('[Runs] No runs recorded yet\n');
+    return;
+  }
+
+  console.log('   ID  SEED        STATUS              STARTED                   DURATION   FETCHED  PROCESSED');
+  for (const run of runs) {
+    console.log([
+      String(run.id).padStart(5),
+      run.seed.padEnd(10),
+      `${STATUS_ICONS[run.status] || ' '} ${run.status}`.padEnd(19),
+      run.startedAt.toISOString().padEnd(25),
+      formatDuration(run.durationMs).padStart(8),
+      formatCount(run.fetchedCount).padStart(9),
+      formatCount(run.processedCount).padStart(10),
+    ].join('  '));
+  }
+  console.log('');
+
+  // When did each seed last actually change data?
+  const seeds = seed ? [seed] : [...new Set(runs.map(run => run.seed))];
+  for (const name of seeds) {
+    const [lastSuccess] = await db.select()
+      .from(seedRuns)
+      .where(and(eq(seedRuns.seed, name), eq(seedRuns.status, 'success')))
+      .orderBy(desc(seedRuns.startedAt))
+      .limit(1);
+
+    console.log(lastSuccess
+      ? `[Runs] ${name}: last updated ${lastSuccess.finishedAt?.toISOString() ?? lastSuccess.startedAt.toISOString()} (run #${lastSuccess.id})`
+      : `[Runs] ${name}: never updated successfully`);
+  }
+  console.log('');
+}
+
+/**
+ * Show one run in detail
+ */
+async function showRun(db, runId) {
+  const [run] = await db.select().from(seedRuns).where(eq(seedRuns.id, runId));
+
+  if (!run) {
+    console.error(`[Runs] Run #${runId} not found\n`);
+    process.exitCode = 1;
+    return;
+  }
+
+  console.log('========================================');
+  console.log(`   SEED RUN #${run.id}`);
+  console.log('========================================');
+  console.log(`Seed:      ${run.seed}`);
+  console.log(`Status:    ${STATUS_ICONS[run.status] || ''} ${run.status}`);
+  console.log(`Options:   ${JSON.stringify(run.options || {})}`);
+  console.log(`Started:   ${run.startedAt.toISOString()}`);
+  console.log(`Finished:  ${run.finishedAt ? run.finishedAt.toISOString() : '-'}`);
+  console.log(`Duration:  ${formatDuration(run.durationMs)}`);
+  console.log(`Fetched:   ${formatCount(run.fetchedCount)}`);
+  console.log(`Processed: ${formatCount(run.processedCount)}`);
+  console.log(`Skipped:   ${formatCount(run.skippedCount)}`);
+  console.log('========================================\n');
+
+  if (run.sourceParams?.length > 0) {
+    console.log('Sources:');
+    for (const source of run.sourceParams) {
+      console.log(`  - [${source.type}] ${source.url}`);
+      console.log(`    ${JSON.stringify(source.params)}`);
+    }
+    console.log('');
+  }
+
+  if (run.changeDetection) {
+    console.log('Change detection:');
+    console.log(JSON.stringify(run.changeDetection, null, 2));
+    console.log('');
+  }
+
+  if (run.metrics) {
+    console.log('Metrics (compared by the next run\'s drift checks):');
+    console.log(JSON.stringify(run.metrics, null, 2));
+    console.log('');
+  }
+
+  if (run.errorMessage) {
+    console.log(`Error: ${run.errorMessage}`);
+    if (run.errorDetails) {
+      console.log('Details:');
+      console.log(JSON.stringify(run.errorDetails, null, 2));
+    }
+    console.log('');
+  }
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`[ERROR] ${error.message}`);
+    console.error('Usage: bun scripts/seed-runs.js [--seed housing] [--status error] [--limit 20] | <runId>');
+    process.exitCode = 1;
+    return;
+  }
+
+  const { db, client } = initDb();
+
+  try {
+    if (args.runId !== null) {
+      await showRun(db, args.runId);
+    } else {
+      await listRuns(db, args);
+    }
+  } catch (error) {
+    console.error('\n[ERROR] Could not read seed runs:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await closeDb(client);
+  }
+}
+
+// Run the script
+main();
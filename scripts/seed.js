@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+
+// ABOUTME: Seed orchestrator - runs the housing, capital, and financial seeders in dependency order, in parallel
+// ABOUTME: Usage: bun scripts/seed.js [--only budget-sankey,pension-sankey] [--dry-run] [--force] [--from-archive [runId]] [--years 2025] [--concurrency 2] [--json]
+
+import {
+  SEEDS,
+  USAGE,
+  parseSeedArgs,
+  selectDatasets,
+  configureOutput,
+  printJson,
+} from './lib/cli-utils.js';
+import { SEEDERS, FAILED_STATUSES, COMPLETED_STATUSES, runSeed } from './lib/seed-runner.js';
+import { timer } from './lib/seed-utils.js';
+import { createLogger, logReport } from './lib/logger.js';
+
+const log = createLogger('Seed');
+
+/**
+ * Run seeds in dependency order, up to `concurrency` at a time
+ * A seed starts once every selected seed it depends on has completed. If one of them failed or was
+ * skipped, the seed is skipped too; unrelated seeds keep going past failures.
+ *
+ * @param {Array<string>} seeds - Selected seeds
+ * @param {number} concurrency - Seeds to run at once
+ * @param {Array<string>} argv - Command line options to pass on
+ * @returns {Promise<Array<object>>} Results in the order of `seeds`
+ */
+async function runSeeds(seeds, concurrency, argv) {
+  const results = new Map();
+  const pending = [...seeds];
+  const running = new Map(); // seed → promise of { seed, result }
+
+  const dependencies = seed => SEEDERS[seed].dependsOn.filter(dependency => seeds.includes(dependency));
+
+  while (pending.length > 0 || running.size > 0) {
+    // Skip seeds whose dependencies didn't complete
+    for (const seed of [...pending]) {
+      const blocker = dependencies(seed).find(dependency =>
+        results.has(dependency) && !COMPLETED_STATUSES.includes(results.get(dependency).status)
+      );
+      if (blocker) {
+        pending.splice(pending.indexOf(seed), 1);
+        results.set(seed, { seed, status: 'skipped-dependency-failed', reason: `${blocker} did not complete` });
+        log.warn(`Skipping ${seed}: ${blocker} did not complete`);
+      }
+    }
+
+    // Start every ready seed the concurrency limit allows
+    for (const seed of [...pending]) {
+      if (running.size >= concurrency) break;
+      if (!dependencies(seed).every(dependency => results.has(dependency))) continue;
+
+      pending.splice(pending.indexOf(seed), 1);
+      log.info(`▶️  Starting ${seed}...`);
+      running.set(seed, runSeed(seed, argv).then(result => ({ seed, result })));
+    }
+
+    if (running.size === 0) {
+      if (pending.length > 0) throw new Error(`Seed dependency cycle among: ${pending.join(', ')}`);
+      break;
+    }
+
+    const { seed, result } = await Promise.race(running.values());
+    running.delete(seed);
+    results.set(seed, result);
+    (FAILED_STATUSES.includes(result.status) ? log.error : log.success)(`${seed} finished: ${result.status}`);
+  }
+
+  return seeds.map(seed => results.get(seed));
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  let options;
+  try {
+    options = parseSeedArgs();
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  configureOutput(options);
+  const t = timer();
+
+  const seeds = SEEDS.filter(seed => selectDatasets(seed, options.only).length > 0);
+
+  // Archive run ids are per seed (data/archive/<seed>/<runId>), so one id can't be replayed by several seeds
+  if (options.fromArchive && options.fromArchive !== 'latest' && seeds.length > 1) {
+    console.error(`--from-archive ${options.fromArchive} selects one seed's archived run, but ${seeds.join(', ')} would run. `
+      + `Use --only to pick a single seed, or --from-archive without a run id to replay each seed's latest run.\n\n${USAGE}`);
+    process.exitCode = 1;
+    return;
+  }
+  log.info(`Running ${seeds.join(', ')} (up to ${options.concurrency} at a time)\n`);
+
+  // Children get the same options; each one prints its own JSON result for us to collect
+  const results = await runSeeds(seeds, options.concurrency, process.argv.slice(2));
+  const failed = results.filter(result => FAILED_STATUSES.includes(result.status));
+
+  log.info('');
+  logReport([
+    ...results.map((result) => {
+      const mark = FAILED_STATUSES.includes(result.status) ? '✗' : COMPLETED_STATUSES.includes(result.status) ? '✓' : '-';
+      const detail = result.error || result.reason;
+      return `${mark} ${result.seed}: ${result.status}${detail ? ` - ${detail}` : ''}${result.duration ? ` (${result.duration})` : ''}`;
+    }),
+    `Total Time: ${t.stop()}`,
+  ], `SEED COMMAND SUMMARY${options.dryRun ? ' (DRY RUN)' : ''}`);
+
+  if (options.json) {
+    printJson({ ok: failed.length === 0, results });
+  }
+
+  if (failed.length > 0) process.exitCode = 1;
+}
+
+// Run the seed command
+main();
@@ -1,7 +1,20 @@
 // ABOUTME: Comprehensive database schema using Drizzle ORM for all NYC civic data
 // ABOUTME: Includes civic structure, housing data, capital budget, and financial visualizations
 
-import { pgTable, text, real, integer, timestamp, jsonb, serial, boolean, index } from 'drizzle-orm/pg-core';
+import { sql } from 'drizzle-orm';
+import { pgTable, text, real, integer, timestamp, jsonb, serial, boolean, index, customType } from 'drizzle-orm/pg-core';
+
+/**
+ * PostGIS geometry column (SRID 4326 - WGS84 longitude/latitude)
+ * Requires the PostGIS extension (CREATE EXTENSION IF NOT EXISTS postgis) before pushing the schema.
+ * Values are read as hex EWKB - select ST_AsGeoJSON(column) for GeoJSON (see server/lib/spatial.ts).
+ * The seed scripts fill these columns in SQL from the GeoJSON / longitude-latitude columns of the same row.
+ */
+const geometry = customType<{ data: string; config: { type?: string } }>({
+  dataType(config) {
+    return `geometry(${config?.type ?? 'Geometry'}, 4326)`;
+  },
+});
 
 // ============================================================================
 // CIVIC STRUCTURE TABLES (existing)
@@ -125,6 +138,7 @@ export const housingBuildings = pgTable('housing_buildings', {
   // Location (from DCP - always present!)
   longitude: real('longitude').notNull(),
   latitude: real('latitude').notNull(),
+  location: geometry('location', { type: 'Point' }), // PostGIS point built from longitude/latitude
   address: text('address').notNull(),
   borough: text('borough').notNull(),
   bbl: text('bbl'), // Borough-Block-Lot identifier
@@ -199,6 +213,8 @@ export const housingBuildings = pgTable('housing_buildings', {
   createdAt: timestamp('created_at').defaultNow().notNull(),
   updatedAt: timestamp('updated_at').defaultNow().notNull(),
   lastSyncedAt: timestamp('last_synced_at').defaultNow().notNull(), // When data was last fetched from DCP/Housing NY
+  contentHash: text('content_hash'), // Canonical hash of the row's content (see scripts/lib/fingerprint-utils.js)
+  deletedAt: timestamp('deleted_at'), // Set when the job disappears upstream (tombstone) - filter on IS NULL
 }, (table) => ({
   // Indexes for common queries
   jobNumberIdx: index('housing_job_number_idx').on(table.jobNumber),
@@ -208,6 +224,7 @@ export const housingBuildings = pgTable('housing_buildings', {
   dataSourceIdx: index('housing_data_source_idx').on(table.dataSource),
   buildingTypeIdx: index('housing_building_type_idx').on(table.buildingType),
   jobTypeIdx: index('housing_job_type_idx').on(table.jobType),
+  locationIdx: index('housing_location_gist_idx').on(table.location).using(sql`gist`),
 }));
 
 /**
@@ -229,6 +246,7 @@ export const housingDemolitions = pgTable('housing_demolitions', {
   address: text('address').notNull(), // Computed from AddressNum + AddressSt
   latitude: real('latitude'), // DCP Latitude
   longitude: real('longitude'), // DCP Longitude
+  location: geometry('location', { type: 'Point' }), // PostGIS point built from longitude/latitude (null without coordinates)
 
   // Demolition details
   demolitionYear: integer('demolition_year').notNull(), // DCP CompltYear
@@ -247,11 +265,14 @@ export const housingDemolitions = pgTable('housing_demolitions', {
   createdAt: timestamp('created_at').defaultNow().notNull(),
   updatedAt: timestamp('updated_at').defaultNow().notNull(),
   lastSyncedAt: timestamp('last_synced_at').defaultNow().notNull(),
+  contentHash: text('content_hash'), // Canonical hash of the row's content (see scripts/lib/fingerprint-utils.js)
+  deletedAt: timestamp('deleted_at'), // Set when the job disappears upstream (tombstone)
 }, (table) => ({
   jobNumberIdx: index('demolition_job_number_idx').on(table.jobNumber),
   demolitionYearIdx: index('demolition_year_idx').on(table.demolitionYear),
   bblIdx: index('demolition_bbl_idx').on(table.bbl),
   boroughIdx: index('demolition_borough_idx').on(table.borough),
+  locationIdx: index('demolition_location_gist_idx').on(table.location).using(sql`gist`),
 }));
 
 // ============================================================================
@@ -297,15 +318,22 @@ export const capitalProjects = pgTable('capital_projects', {
   // Simplified geometry for faster API responses (Phase 2.2 optimization)
   geometrySimplified: jsonb('geometry_simplified'),
 
+  // PostGIS copies of geometry / geometrySimplified for indexed spatial queries (see server/lib/spatial.ts)
+  geom: geometry('geom'),
+  geomSimplified: geometry('geom_simplified'),
+
   // Metadata
   createdAt: timestamp('created_at').defaultNow().notNull(),
   updatedAt: timestamp('updated_at').defaultNow().notNull(),
   lastSyncedAt: timestamp('last_synced_at').defaultNow().notNull(),
+  contentHash: text('content_hash'), // Canonical hash of the row's content (see scripts/lib/fingerprint-utils.js)
+  deletedAt: timestamp('deleted_at'), // Set when the project disappears upstream (tombstone)
 }, (table) => ({
   fiscalYearIdx: index('capital_fiscal_year_idx').on(table.fiscalYear),
   managingAgencyIdx: index('capital_managing_agency_idx').on(table.managingAgency),
   typeCategoryIdx: index('capital_type_category_idx').on(table.typeCategory),
   completionYearIdx: index('capital_completion_year_idx').on(table.completionYear),
+  geomIdx: index('capital_geom_gist_idx').on(table.geom).using(sql`gist`),
 }));
 
 // ============================================================================
@@ -316,7 +344,7 @@ export const capitalProjects = pgTable('capital_projects', {
  * Sankey diagram datasets (budget flows, pension allocations)
  */
 export const sankeyDatasets = pgTable('sankey_datasets', {
-  id: text('id').primaryKey(), // e.g., 'budget-fy2025', 'pension-2025'
+  id: text('id').primaryKey(), // e.g., 'budget-fy2025-adopted', 'pension-2025'
 
   // Metadata
   label: text('label').notNull(),
@@ -336,6 +364,7 @@ export const sankeyDatasets = pgTable('sankey_datasets', {
   generatedAt: timestamp('generated_at').defaultNow().notNull(),
   createdAt: timestamp('created_at').defaultNow().notNull(),
   updatedAt: timestamp('updated_at').defaultNow().notNull(),
+  contentHash: text('content_hash'), // Canonical hash of the row's content (see scripts/lib/fingerprint-utils.js)
 }, (table) => ({
   fiscalYearIdx: index('sankey_fiscal_year_idx').on(table.fiscalYear),
   dataTypeIdx: index('sankey_data_type_idx').on(table.dataType),
@@ -345,7 +374,7 @@ export const sankeyDatasets = pgTable('sankey_datasets', {
  * Sunburst diagram datasets (revenue, expense breakdowns)
  */
 export const sunburstDatasets = pgTable('sunburst_datasets', {
-  id: text('id').primaryKey(), // e.g., 'revenue-fy2025', 'expense-fy2025'
+  id: text('id').primaryKey(), // e.g., 'revenue-fy2025-adopted', 'expense-fy2025-modified'
 
   // Metadata
   label: text('label').notNull(),
@@ -366,11 +395,155 @@ export const sunburstDatasets = pgTable('sunburst_datasets', {
   generatedAt: timestamp('generated_at').defaultNow().notNull(),
   createdAt: timestamp('created_at').defaultNow().notNull(),
   updatedAt: timestamp('updated_at').defaultNow().notNull(),
+  contentHash: text('content_hash'), // Canonical hash of the row's content (see scripts/lib/fingerprint-utils.js)
 }, (table) => ({
   fiscalYearIdx: index('sunburst_fiscal_year_idx').on(table.fiscalYear),
   dataTypeIdx: index('sunburst_data_type_idx').on(table.dataType),
 }));
 
+// ============================================================================
+// HISTORY TABLES (new)
+// ============================================================================
+
+/**
+ * Versioned history of seeded records (SCD type 2) for housing_buildings and capital_projects
+ * Each row is one version of a record, valid from valid_from until valid_to (null = current version).
+ * Maintained by the loaders in the same transaction as the live table (see scripts/lib/merge-utils.js)
+ */
+export const recordHistory = pgTable('record_history', {
+  id: serial('id').primaryKey(),
+
+  // Record identification
+  tableName: text('table_name').notNull(), // Live table, e.g. 'capital_projects'
+  recordKey: text('record_key').notNull(), // Natural key: job_number for housing, maprojid for capital
+
+  // Version content (snake_case columns, bookkeeping columns excluded)
+  data: jsonb('data').notNull(),
+  contentHash: text('content_hash'),
+
+  // Validity window
+  validFrom: timestamp('valid_from').notNull(),
+  validTo: timestamp('valid_to'), // null while this is the current version
+
+  createdAt: timestamp('created_at').defaultNow().notNull(),
+}, (table) => ({
+  tableKeyIdx: index('record_history_table_key_idx').on(table.tableName, table.recordKey),
+  validityIdx: index('record_history_validity_idx').on(table.tableName, table.validFrom, table.validTo),
+}));
+
+// ============================================================================
+// SYNC STATE TABLES (new)
+// ============================================================================
+
+/**
+ * Upstream version each source dataset was last synced against
+ * Written after a successful seed so the next run can skip sources that haven't changed
+ */
+export const sourceSyncState = pgTable('source_sync_state', {
+  id: text('id').primaryKey(), // Source key, e.g. 'housing:dcp-housing-database'
+
+  // Source identification
+  seed: text('seed').notNull(), // Seed script that reads the source: 'housing' | 'capital' | 'financial'
+  sourceType: text('source_type').notNull(), // 'socrata' | 'arcgis'
+  sourceUrl: text('source_url').notNull(),
+
+  // Upstream version we synced against
+  upstreamUpdatedAt: timestamp('upstream_updated_at'), // Socrata rowsUpdatedAt / ArcGIS editingInfo.lastEditDate
+  upstreamCount: integer('upstream_count'), // ArcGIS record count for the seed's where clause
+
+  // Timestamps
+  syncedAt: timestamp('synced_at').defaultNow().notNull(),
+  createdAt: timestamp('created_at').defaultNow().notNull(),
+  updatedAt: timestamp('updated_at').defaultNow().notNull(),
+}, (table) => ({
+  seedIdx: index('source_sync_state_seed_idx').on(table.seed),
+}));
+
+/**
+ * One row per seed script run - the run ledger
+ * Inserted as 'running' when a seed starts and finalized when it ends (see scripts/lib/seed-utils.js)
+ */
+export const seedRuns = pgTable('seed_runs', {
+  id: serial('id').primaryKey(),
+
+  // Run identification
+  seed: text('seed').notNull(), // Dataset seeded: 'housing' | 'capital' | 'financial'
+  status: text('status').notNull(), // 'running' | 'success' | 'skipped-no-change' | 'validation-failed' | 'error'
+  options: jsonb('options'), // Command line options, e.g. { force, reprocess }
+
+  // Timing
+  startedAt: timestamp('started_at').defaultNow().notNull(),
+  finishedAt: timestamp('finished_at'),
+  durationMs: integer('duration_ms'),
+
+  // What was fetched and how much of it was used
+  sourceParams: jsonb('source_params'), // Array of { type, url, params } for every source query
+  fetchedCount: integer('fetched_count'),
+  processedCount: integer('processed_count'),
+  skippedCount: integer('skipped_count'),
+
+  // Outcome
+  changeDetection: jsonb('change_detection'), // Per-table change detection and merge results
+  metrics: jsonb('metrics'), // Dataset totals and per-group counts, compared by the next run's drift checks
+  errorMessage: text('error_message'),
+  errorDetails: jsonb('error_details'), // ValidationError.details, or the stack for other errors
+
+  createdAt: timestamp('created_at').defaultNow().notNull(),
+}, (table) => ({
+  seedStartedAtIdx: index('seed_runs_seed_started_at_idx').on(table.seed, table.startedAt),
+  statusIdx: index('seed_runs_status_idx').on(table.status),
+}));
+
+/**
+ * Source records a seed rejected while processing (bad coordinates, out-of-range years, no units, ...)
+ * One row per rejected record per run, with the raw payload, so a building missing from the maps can be
+ * traced to the rule that dropped it. Written by scripts/lib/quarantine-utils.js, which keeps the latest runs only
+ */
+export const quarantinedRecords = pgTable('quarantined_records', {
+  id: serial('id').primaryKey(),
+
+  // Run and source
+  runId: integer('run_id').notNull().references(() => seedRuns.id, { onDelete: 'cascade' }),
+  seed: text('seed').notNull(), // 'housing' | 'capital' | 'financial'
+  sourceDataset: text('source_dataset').notNull(), // e.g. 'dcp-housing-database', 'housing-ny', 'dcp-demolitions'
+  sourceKey: text('source_key'), // Upstream record key, e.g. DCP Job_Number or Housing NY building_id
+
+  // Why it was rejected
+  rule: text('rule').notNull(), // e.g. 'invalid-coordinates', 'year-out-of-range', 'no-units'
+  reason: text('reason'), // The offending values, e.g. 'CompltYear 2013 outside 2014-2025'
+
+  payload: jsonb('payload').notNull(), // Raw source record
+
+  createdAt: timestamp('created_at').defaultNow().notNull(),
+}, (table) => ({
+  runIdx: index('quarantined_records_run_idx').on(table.runId),
+  sourceRuleIdx: index('quarantined_records_source_rule_idx').on(table.sourceDataset, table.rule),
+}));
+
+/**
+ * Field-level profile of each dataset a seed fetched or produced, one row per dataset and stage per run
+ * (null/empty rates, distinct counts, numeric quantiles, top values, coordinate bounding box).
+ * Written by scripts/lib/profile-utils.js, which also renders them as a Markdown report
+ */
+export const datasetProfiles = pgTable('dataset_profiles', {
+  id: serial('id').primaryKey(),
+
+  // Run and dataset
+  runId: integer('run_id').notNull().references(() => seedRuns.id, { onDelete: 'cascade' }),
+  seed: text('seed').notNull(), // 'housing' | 'capital' | 'financial'
+  dataset: text('dataset').notNull(), // e.g. 'dcp-housing-database', 'cpdb-projects', 'budget-sankey'
+  stage: text('stage').notNull(), // 'fetched' (raw source records) | 'processed' (rows the seed produced)
+
+  recordCount: integer('record_count').notNull(),
+  fields: jsonb('fields').notNull(), // Per-field stats keyed by field name
+  bbox: jsonb('bbox'), // { minLat, maxLat, minLon, maxLon, points, invalid } when the dataset has coordinates
+
+  createdAt: timestamp('created_at').defaultNow().notNull(),
+}, (table) => ({
+  runIdx: index('dataset_profiles_run_idx').on(table.runId),
+  datasetStageIdx: index('dataset_profiles_dataset_stage_idx').on(table.dataset, table.stage),
+}));
+
 // ============================================================================
 // TYPE EXPORTS
 // ============================================================================
@@ -409,3 +582,23 @@ export type SunburstDataset = typeof sunburstDatasets.$inferSelect;
 
 export type InsertSankeyDataset = typeof sankeyDatasets.$inferInsert;
 export type InsertSunburstDataset = typeof sunburstDatasets.$inferInsert;
+
+// Sync state types
+export type SourceSyncState = typeof sourceSyncState.$inferSelect;
+export type InsertSourceSyncState = typeof sourceSyncState.$inferInsert;
+
+// Run ledger types
+export type SeedRun = typeof seedRuns.$inferSelect;
+export type InsertSeedRun = typeof seedRuns.$inferInsert;
+
+// Quarantine types
+export type QuarantinedRecord = typeof quarantinedRecords.$inferSelect;
+export type InsertQuarantinedRecord = typeof quarantinedRecords.$inferInsert;
+
+// Profile types
+export type DatasetProfile = typeof datasetProfiles.$inferSelect;
+export type InsertDatasetProfile = typeof datasetProfiles.$inferInsert;
+
+// History types
+export type RecordHistory = typeof recordHistory.$inferSelect;
+export type InsertRecordHistory = typeof recordHistory.$inferInsert;
@@ -0,0 +1,62 @@
+// ABOUTME: Index-backed spatial query helpers for the PostGIS geometry columns in schema.ts
+// ABOUTME: Bounding box, radius, and point-in-polygon conditions for Drizzle where() clauses
+
+import { sql, type SQL } from 'drizzle-orm';
+import type { PgColumn } from 'drizzle-orm/pg-core';
+
+export type LonLat = [number, number];
+export type BBox = [number, number, number, number]; // [west, south, east, north]
+
+/**
+ * Point geometry for a longitude/latitude pair
+ */
+function point([lon, lat]: LonLat): SQL {
+  return sql`ST_SetSRID(ST_MakePoint(${lon}, ${lat}), 4326)`;
+}
+
+/**
+ * Rows whose geometry intersects a bounding box (e.g., the visible map area)
+ *
+ * @example db.select().from(capitalProjects).where(and(isNull(capitalProjects.deletedAt), withinBbox(capitalProjects.geom, bbox)))
+ */
+export function withinBbox(column: PgColumn, [west, south, east, north]: BBox): SQL {
+  return sql`ST_Intersects(${column}, ST_MakeEnvelope(${west}, ${south}, ${east}, ${north}, 4326))`;
+}
+
+/**
+ * Rows whose geometry lies within `meters` of a point (true distance on the spheroid)
+ * The && bounding box test lets the GiST index narrow candidates before the exact geography check
+ */
+export function withinRadius(column: PgColumn, center: LonLat, meters: number): SQL {
+  const origin = sql`${point(center)}::geography`;
+  return sql`(${column} && ST_Envelope(ST_Buffer(${origin}, ${meters})::geometry)
+    AND ST_DWithin(${column}::geography, ${origin}, ${meters}))`;
+}
+
+/**
+ * Rows whose geometry contains a point (e.g., capital projects covering a clicked location)
+ */
+export function containsPoint(column: PgColumn, location: LonLat): SQL {
+  return sql`ST_Intersects(${column}, ${point(location)})`;
+}
+
+/**
+ * Rows whose geometry falls inside a GeoJSON polygon (e.g., housing in a council district)
+ */
+export function withinPolygon(column: PgColumn, polygon: object): SQL {
+  return sql`ST_Intersects(${column}, ST_SetSRID(ST_GeomFromGeoJSON(${JSON.stringify(polygon)}), 4326))`;
+}
+
+/**
+ * Select a geometry column as a GeoJSON geometry object
+ */
+export function asGeoJSON(column: PgColumn): SQL<object | null> {
+  return sql<object | null>`ST_AsGeoJSON(${column})::jsonb`;
+}
+
+/**
+ * Distance in meters from a point, for ordering by proximity
+ */
+export function distanceFrom(column: PgColumn, location: LonLat): SQL<number> {
+  return sql<number>`ST_Distance(${column}::geography, ${point(location)}::geography)`;
+}